@@ -1,6 +1,9 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { io } from "socket.io-client";
 import { Intel } from "./Intel";
+import { SupplyBoard } from "./SupplyBoard";
+import { PrivateFrequency } from "./PrivateFrequency";
+import { DirectMessages } from "./DirectMessages";
 import LandingIntro from "./LandingIntro";
 import {
   MapContainer,
@@ -9,6 +12,7 @@ import {
   TileLayer,
   Circle,
   CircleMarker,
+  Polygon,
   Tooltip,
   useMap,
   useMapEvents
@@ -39,6 +43,83 @@ function safeParseJson(value, fallback) {
   }
 }
 
+// One entry per incident (at the position of its first alert in `list`) or
+// per alert outside any incident.
+function groupSosAlerts(list, incidents, allAlerts) {
+  const incidentOf = new Map();
+  for (const incident of incidents) for (const id of incident.sosIds || []) incidentOf.set(id, incident);
+  const byId = new Map(allAlerts.map((a) => [a?.id, a]));
+  const shown = new Set();
+  const groups = [];
+  for (const alert of list) {
+    const incident = incidentOf.get(alert.id) || null;
+    if (incident) {
+      if (shown.has(incident.id)) continue;
+      shown.add(incident.id);
+    }
+    const members = incident ? incident.sosIds.map((id) => byId.get(id)).filter(Boolean) : [alert];
+    groups.push({ alert, incident, members });
+  }
+  return groups;
+}
+
+function incidentActors(members, key) {
+  const byUser = new Map();
+  for (const actor of members.flatMap((m) => m[key] || [])) {
+    const id = actor?.userId || actor?.name;
+    if (id && !byUser.has(id)) byUser.set(id, actor);
+  }
+  return Array.from(byUser.values());
+}
+
+function groupLocation(members) {
+  const located = members.filter((m) => m.location);
+  if (!located.length) return null;
+  return {
+    lat: located.reduce((sum, m) => sum + m.location.lat, 0) / located.length,
+    lng: located.reduce((sum, m) => sum + m.location.lng, 0) / located.length
+  };
+}
+
+const TIMELINE_LABELS = {
+  created: "SOS sent",
+  acked: "Acknowledged",
+  unacked: "Acknowledgement withdrawn",
+  taken: "Responding",
+  untaken: "Stopped responding",
+  escalated: "Escalated",
+  dispatched: "Responder dispatched",
+  resolved: "Resolved",
+  reopened: "Reopened"
+};
+
+function timelineLabel(entry) {
+  const d = entry.details || {};
+  const label = TIMELINE_LABELS[entry.kind] || entry.kind;
+  const by = entry.actor?.name ? ` by ${entry.actor.name}` : "";
+  if (entry.kind === "escalated") return `${label} ${d.fromSeverity} → ${d.toSeverity}: ${d.reason}`;
+  if (entry.kind === "dispatched") {
+    return `${label}: ${d.responderName}${Number.isFinite(d.etaMinutes) ? `, ETA ${d.etaMinutes} min` : ""}${by}`;
+  }
+  return `${label}${by}`;
+}
+
+const HAZARD_KINDS = { threat: "threat", danger_marker: "danger zone", missing: "missing survivor" };
+
+function triageSummary(t) {
+  const hazard = t.nearestHazard;
+  const near =
+    hazard && hazard.distanceM < 1000
+      ? ` · ${hazard.distanceM === 0 ? "inside" : `${hazard.distanceM} m from`} ${HAZARD_KINDS[hazard.kind] || "hazard"}: ${hazard.label}`
+      : "";
+  return `Waiting ${t.waitingMinutes} min${near}`;
+}
+
+function triageTitle(t) {
+  const f = t.factors;
+  return `Priority ${t.score}: severity ${f.severity} + category ${f.category} + wait ${f.waiting} + people ${f.people} + hazard ${f.hazard}`;
+}
+
 function formatTime(isoString) {
   if (!isoString) return "";
   const d = new Date(isoString);
@@ -63,6 +144,20 @@ async function apiPost(path, body) {
   return data;
 }
 
+// The file goes up as the raw request body; resolves to the attachment
+// reference to send along with a message or SOS.
+async function uploadAttachment(file, userId) {
+  const params = new URLSearchParams({ name: file.name, userId });
+  const res = await fetch(`/api/attachments?${params}`, {
+    method: "POST",
+    headers: { "Content-Type": file.type || "application/octet-stream" },
+    body: file
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error || `Upload failed: ${res.status}`);
+  return data.attachment;
+}
+
 function useIdentity() {
   const [identity, setIdentity] = useState(() => {
     const raw = localStorage.getItem("udsn.identity");
@@ -103,10 +198,98 @@ function TabButton({ active, onClick, children, badge }) {
   );
 }
 
+function AttachmentList({ attachments }) {
+  if (!attachments?.length) return null;
+  return (
+    <div className="attachments">
+      {attachments.map((a) =>
+        a.type?.startsWith("image/") ? (
+          <a key={a.id} className="attachmentImage" href={a.url} target="_blank" rel="noreferrer" title={a.name}>
+            <img src={a.thumbUrl || a.url} alt={a.name} loading="lazy" />
+          </a>
+        ) : (
+          <a key={a.id} className="attachmentFile" href={a.url} download={a.name}>
+            {a.name} ({Math.max(1, Math.round(a.size / 1024))} KB)
+          </a>
+        )
+      )}
+    </div>
+  );
+}
+
+// Pending uploads under a composer, with a picker for more.
+function AttachmentPicker({ attachments, uploading, disabled, onPick, onRemove }) {
+  const inputRef = useRef(null);
+  return (
+    <div className="attachmentPicker">
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/jpeg,image/png,image/webp,image/gif,application/pdf"
+        multiple
+        hidden
+        onChange={(e) => {
+          onPick(e.target.files);
+          e.target.value = "";
+        }}
+      />
+      <button
+        className="chip"
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || uploading || attachments.length >= 4}
+      >
+        {uploading ? "Uploading…" : "Attach"}
+      </button>
+      {attachments.map((a) => (
+        <span key={a.id} className="chip attachmentPending">
+          {a.name}
+          <button className="msgAction" type="button" onClick={() => onRemove(a.id)} title="Remove">
+            ×
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
 function Badge({ tone, children }) {
   return <span className={`badge badge-${tone}`}>{children}</span>;
 }
 
+const CAMP_RESOURCES = ["food", "water", "medical", "power"];
+
+// Private frequencies share the zone id space; the server gates them by prefix.
+// Must match RESPONDER_ROLES in server/escalation.js.
+const RESPONDER_ROLES = ["medic", "rescue", "supply", "security"];
+
+function isPrivateFrequency(id) {
+  return String(id || "").startsWith("freq-");
+}
+
+function unreadSuffix(count) {
+  return count ? ` (${count > 99 ? "99+" : count})` : "";
+}
+
+// GeoJSON [lng, lat] rings -> Leaflet [lat, lng] positions.
+function boundaryPositions(boundary) {
+  const toLatLng = (rings) => rings.map((ring) => ring.map(([lng, lat]) => [lat, lng]));
+  if (boundary?.type === "Polygon") return toLatLng(boundary.coordinates);
+  if (boundary?.type === "MultiPolygon") return boundary.coordinates.map(toLatLng);
+  return null;
+}
+
+function formatHoursLeft(hours) {
+  if (hours < 1) return "<1h";
+  if (hours < 48) return `~${Math.round(hours)}h`;
+  return `~${Math.round(hours / 24)}d`;
+}
+
+function formatTrend(delta) {
+  if (!delta) return "→";
+  return delta > 0 ? `▲${delta}` : `▼${Math.abs(delta)}`;
+}
+
 function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
@@ -570,7 +753,25 @@ function AppShell() {
   const [zones, setZones] = useState([]);
   const [camps, setCamps] = useState([]);
 
+  // Direct messages: one summary row per peer, loaded threads by peer id,
+  // and the conversation on screen.
+  const [dmConversations, setDmConversations] = useState([]);
+  const [dmThreads, setDmThreads] = useState({});
+  const [dmPeer, setDmPeer] = useState(null);
+  const dmPeerRef = useRef(dmPeer);
+  useEffect(() => { dmPeerRef.current = dmPeer; }, [dmPeer]);
+  const [supplyBoard, setSupplyBoard] = useState({ requests: [], offers: [], transfers: [] });
+
   const [zoneId, setZoneId] = useState("castle-byers");
+  // Follow the GPS zone automatically, or only suggest it.
+  const [autoZone, setAutoZone] = useState(() => localStorage.getItem("udsn.autoZone") !== "off");
+  const autoZoneRef = useRef(autoZone);
+  const [zoneSuggestion, setZoneSuggestion] = useState(null);
+  const lastLocationRef = useRef(null);
+  // Private frequencies joined this session, and the credential each was
+  // verified with (plus the socket it was verified on). Memory only.
+  const [privateChannels, setPrivateChannels] = useState([]);
+  const channelAuthRef = useRef(new Map());
   const [chatInput, setChatInput] = useState("");
   const [chatMessages, setChatMessages] = useState([]);
   const [chatKind, setChatKind] = useState("info");
@@ -579,18 +780,50 @@ function AppShell() {
   const [zonePinned, setZonePinned] = useState(null);
   const [reactionCounts, setReactionCounts] = useState({});
   const [myReactions, setMyReactions] = useState({});
+  // Threads: reply counts per top-level message, which threads are expanded,
+  // full reply lists fetched via thread_view, and the message being answered.
+  const [replyCounts, setReplyCounts] = useState({});
+  const [openThreads, setOpenThreads] = useState({});
+  const [threadReplies, setThreadReplies] = useState({});
+  const [replyTarget, setReplyTarget] = useState(null);
+  // Message being corrected in the composer; moderators may change anyone's.
+  const [editTarget, setEditTarget] = useState(null);
+  const [isModerator, setIsModerator] = useState(false);
+  const [chatAttachments, setChatAttachments] = useState([]);
+  const [sosAttachments, setSosAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  // Older pages come over REST; the cursor is null once history is exhausted.
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [loadingEarlier, setLoadingEarlier] = useState(false);
+  const [messageSearch, setMessageSearch] = useState({ q: "", kind: "", thisZone: true, sinceYesterday: true });
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchError, setSearchError] = useState("");
   const typingTimersRef = useRef(new Map());
   const typingDebounceRef = useRef(null);
   const chatLogRef = useRef(null);
 
   const [sosInput, setSosInput] = useState("");
   const [sosAlerts, setSosAlerts] = useState([]);
+  const [sosIncidents, setSosIncidents] = useState([]);
+  // alert and incident ids picked for a merge
+  const [mergeSelection, setMergeSelection] = useState([]);
   const [sosSeverity, setSosSeverity] = useState("high");
   const [sosCategory, setSosCategory] = useState("general");
   const [sosAttachGps, setSosAttachGps] = useState(true);
   const [sosOnlyOpen, setSosOnlyOpen] = useState(true);
   const [sosCategoryFilter, setSosCategoryFilter] = useState("all");
+  const [sosPeople, setSosPeople] = useState("1");
+  const [sosTriage, setSosTriage] = useState(false);
+  // server triage order: { order: [sosId], triage: { sosId: { score, factors, ... } } }
+  const [triageData, setTriageData] = useState(null);
   const [sosSound, setSosSound] = useState(false);
+  // Roles this survivor is on duty for; escalated SOS alerts nearby reach them.
+  const [dutyRoles, setDutyRoles] = useState(() => safeParseJson(localStorage.getItem("udsn.dutyRoles"), []));
+  // timeline and follow-up thread per alert whose History panel is open
+  const [sosDetails, setSosDetails] = useState({});
+  const [sosReplyInput, setSosReplyInput] = useState({});
+  // { sosId, responders, loading } for the alert whose dispatch list is open
+  const [dispatchPanel, setDispatchPanel] = useState(null);
   const sosSoundRef = useRef(false);
   const sosAudioCtxRef = useRef(null);
 
@@ -607,7 +840,9 @@ function AppShell() {
   const [me, setMe] = useState(null);
   const [busy, setBusy] = useState(false);
   const [statusLine, setStatusLine] = useState("");
-  const [unreadCount, setUnreadCount] = useState(0);
+  // Server-side unread counts per zone, and the current zone's read markers.
+  const [zoneUnread, setZoneUnread] = useState({});
+  const [zoneReads, setZoneReads] = useState([]);
   const [mapFocus, setMapFocus] = useState(null);
 
   const stealthLock = hawkinsMode === "hiding";
@@ -631,20 +866,24 @@ function AppShell() {
 
     (async () => {
       try {
-        const [{ sos }, { threats: t }, { camps: campList }, { dangerZones: dz }, { zoneMarkers: zm }] =
+        const [{ sos }, { incidents }, { threats: t }, { camps: campList }, { dangerZones: dz }, { zoneMarkers: zm }, board] =
           await Promise.all([
             apiGet("/api/sos"),
+            apiGet("/api/sos/incidents"),
             apiGet("/api/threats"),
             apiGet("/api/camps"),
             apiGet("/api/danger-zones"),
-            apiGet("/api/zone-markers")
+            apiGet("/api/zone-markers"),
+            apiGet("/api/supply")
           ]);
         if (cancelled) return;
         setSosAlerts(sos);
+        setSosIncidents(incidents || []);
         setThreats(t);
         setCamps(campList);
         setDangerZones(dz);
         setZoneMarkers((zm || []).slice(0, 200));
+        setSupplyBoard(board);
       } catch (e) {
         if (!cancelled) setStatusLine(e.message || "Failed to load initial data");
       }
@@ -692,9 +931,33 @@ function AppShell() {
       setCamps(payload?.camps || []);
     });
 
-    socket.on("zone_history", ({ zoneId: z, messages }) => {
+    socket.on("zone_history", ({ zoneId: z, messages, reactions, replyCounts: counts, before, reads }) => {
       if (z !== zoneIdRef.current) return;
       setChatMessages(messages || []);
+      setHistoryCursor(before || null);
+      setZoneReads(reads || []);
+      setReactionCounts(reactions || {});
+      setReplyCounts(counts || {});
+    });
+
+    socket.on("message_update", ({ zoneId: z, message }) => {
+      if (z !== zoneIdRef.current || !message?.id) return;
+      const swap = (list) => list.map((m) => (m.id === message.id ? message : m));
+      setChatMessages(swap);
+      if (message.threadId) {
+        setThreadReplies((prev) => (prev[message.threadId] ? { ...prev, [message.threadId]: swap(prev[message.threadId]) } : prev));
+      }
+      if (message.deletedAt) setEditTarget((prev) => (prev?.id === message.id ? null : prev));
+    });
+
+    socket.on("thread_update", ({ zoneId: z, messageId, replyCount, lastReply }) => {
+      if (z !== zoneIdRef.current || !messageId) return;
+      setReplyCounts((prev) => ({ ...prev, [messageId]: replyCount }));
+      setThreadReplies((prev) => {
+        const list = prev[messageId];
+        if (!list || !lastReply || list.some((m) => m.id === lastReply.id)) return prev;
+        return { ...prev, [messageId]: [...list, lastReply] };
+      });
     });
 
     socket.on("zone_presence", (snapshot) => {
@@ -757,38 +1020,134 @@ function AppShell() {
         return next.slice(-120);
       });
 
-      if (activeTabRef.current !== "chat") {
-        setUnreadCount((prev) => prev + 1);
+      // Public zones are counted from zone_activity; private ones only reach
+      // sockets in the room.
+      if (isPrivateFrequency(msg.zoneId) && activeTabRef.current !== "chat" && msg.userId !== identity.userId) {
+        setZoneUnread((prev) => ({ ...prev, [msg.zoneId]: (prev[msg.zoneId] || 0) + 1 }));
+      }
+    });
+
+    socket.on("zone_activity", ({ zoneId: z, userId }) => {
+      if (!z || userId === identity.userId) return;
+      if (z === zoneIdRef.current && activeTabRef.current === "chat") return;
+      setZoneUnread((prev) => ({ ...prev, [z]: (prev[z] || 0) + 1 }));
+    });
+
+    socket.on("unread_counts", ({ counts }) => {
+      setZoneUnread((prev) => ({ ...prev, ...counts }));
+    });
+
+    socket.on("zone_read", (read) => {
+      if (read?.zoneId !== zoneIdRef.current) return;
+      setZoneReads((prev) => [...prev.filter((r) => r.userId !== read.userId), read]);
+    });
+
+    socket.on("dm_message", (dm) => {
+      const mine = dm.fromUserId === identity.userId;
+      const peerId = mine ? dm.toUserId : dm.fromUserId;
+      const viewing = activeTabRef.current === "dm" && dmPeerRef.current?.userId === peerId;
+      setDmThreads((prev) => (prev[peerId] ? { ...prev, [peerId]: [...prev[peerId], dm] } : prev));
+      setDmConversations((prev) => {
+        const row = prev.find((c) => c.withUserId === peerId);
+        const next = {
+          withUserId: peerId,
+          withName: mine ? row?.withName || dm.toName : dm.fromName,
+          lastMessage: dm,
+          unread: (row?.unread || 0) + (!mine && !viewing ? 1 : 0)
+        };
+        return [next, ...prev.filter((c) => c.withUserId !== peerId)];
+      });
+      if (!mine && viewing) socket.emit("dm_read", { withUserId: peerId });
+    });
+
+    socket.on("dm_read", ({ conversationId, readerId, at }) => {
+      if (readerId === identity.userId) {
+        // read here or in another tab
+        setDmConversations((prev) =>
+          prev.map((c) => ([c.withUserId, identity.userId].sort().join("|") === conversationId ? { ...c, unread: 0 } : c))
+        );
+        return;
       }
+      setDmThreads((prev) => {
+        const list = prev[readerId];
+        if (!list) return prev;
+        return { ...prev, [readerId]: list.map((m) => (m.toUserId === readerId && !m.readAt && m.createdAt <= at ? { ...m, readAt: at } : m)) };
+      });
     });
 
+    function playSosTone() {
+      if (!sosSoundRef.current) return;
+      try {
+        const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextCtor) return;
+        if (!sosAudioCtxRef.current) sosAudioCtxRef.current = new AudioContextCtor();
+        const ctx = sosAudioCtxRef.current;
+        ctx.resume?.().catch(() => { });
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = "square";
+        osc.frequency.value = 880;
+        gain.gain.value = 0.0001;
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+        const now = ctx.currentTime;
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(0.08, now + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.14);
+        osc.start(now);
+        osc.stop(now + 0.16);
+      } catch {
+        // ignore
+      }
+    }
+
     socket.on("sos_alert", (alert) => {
       setSosAlerts((prev) => [alert, ...prev].slice(0, 200));
+      playSosTone();
+    });
 
-      if (sosSoundRef.current) {
-        try {
-          const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
-          if (!AudioContextCtor) return;
-          if (!sosAudioCtxRef.current) sosAudioCtxRef.current = new AudioContextCtor();
-          const ctx = sosAudioCtxRef.current;
-          ctx.resume?.().catch(() => { });
-          const osc = ctx.createOscillator();
-          const gain = ctx.createGain();
-          osc.type = "square";
-          osc.frequency.value = 880;
-          gain.gain.value = 0.0001;
-          osc.connect(gain);
-          gain.connect(ctx.destination);
-          const now = ctx.currentTime;
-          gain.gain.setValueAtTime(0.0001, now);
-          gain.gain.exponentialRampToValueAtTime(0.08, now + 0.01);
-          gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.14);
-          osc.start(now);
-          osc.stop(now + 0.16);
-        } catch {
-          // ignore
-        }
-      }
+    // Only sent to on-duty responders the escalation picked.
+    socket.on("sos_escalation_notice", ({ sos, distanceM }) => {
+      if (!sos?.id) return;
+      const away = Number.isFinite(distanceM) ? ` ${(distanceM / 1000).toFixed(1)} km away` : "";
+      setStatusLine(`ESCALATED ${String(sos.category).toUpperCase()} SOS${away}, no one has answered: ${sos.message}`);
+      playSosTone();
+    });
+
+    // Only alerts with an open History panel keep their timeline.
+    socket.on("sos_timeline", ({ entry }) => {
+      if (!entry?.sosId) return;
+      setSosDetails((prev) => {
+        const detail = prev[entry.sosId];
+        if (!detail || detail.timeline.some((e) => e.id === entry.id)) return prev;
+        return { ...prev, [entry.sosId]: { ...detail, timeline: [...detail.timeline, entry] } };
+      });
+    });
+
+    socket.on("sos_message", ({ message }) => {
+      if (!message?.sosId) return;
+      setSosDetails((prev) => {
+        const detail = prev[message.sosId];
+        if (!detail || detail.messages.some((m) => m.id === message.id)) return prev;
+        return { ...prev, [message.sosId]: { ...detail, messages: [...detail.messages, message] } };
+      });
+    });
+
+    socket.on("sos_incident_update", ({ incident }) => {
+      if (!incident?.id) return;
+      setSosIncidents((prev) => [incident, ...prev.filter((i) => i.id !== incident.id)]);
+    });
+
+    socket.on("sos_incident_remove", ({ incidentId }) => {
+      setSosIncidents((prev) => prev.filter((i) => i.id !== incidentId));
+      setMergeSelection((prev) => prev.filter((id) => id !== incidentId));
+    });
+
+    socket.on("sos_dispatch_notice", ({ sos, dispatch }) => {
+      if (!sos?.id) return;
+      const eta = Number.isFinite(dispatch?.etaMinutes) ? `, ETA ${dispatch.etaMinutes} min` : "";
+      setStatusLine(`DISPATCHED to ${String(sos.category).toUpperCase()} SOS from ${sos.name}${eta}: ${sos.message}`);
+      playSosTone();
     });
 
     socket.on("sos_update", ({ sos }) => {
@@ -814,6 +1173,52 @@ function AppShell() {
       });
     });
 
+    socket.on("camp_update", ({ camp }) => {
+      if (!camp?.id) return;
+      setCamps((prev) => {
+        const rest = prev.filter((c) => c?.id !== camp.id);
+        if (camp.retiredAt) return rest;
+        const idx = prev.findIndex((c) => c?.id === camp.id);
+        if (idx === -1) return [...prev, camp];
+        const next = [...prev];
+        next[idx] = camp;
+        return next;
+      });
+    });
+
+    socket.on("zone_changed", ({ zone }) => {
+      if (!zone?.id || zone.id === zoneIdRef.current) return;
+      // Never pull someone off a private frequency; just suggest.
+      if (autoZoneRef.current && !isPrivateFrequency(zoneIdRef.current)) {
+        setZoneId(zone.id);
+        setZoneSuggestion(null);
+        setStatusLine(`Entered ${zone.name}. Chat switched.`);
+      } else {
+        setZoneSuggestion(zone);
+      }
+    });
+
+    socket.on("zone_suggestion", ({ zone }) => {
+      if (zone?.id && zone.id !== zoneIdRef.current) setZoneSuggestion(zone);
+    });
+
+    socket.on("zone_update", ({ zone }) => {
+      if (!zone?.id) return;
+      setZones((prev) => {
+        const rest = prev.filter((z) => z?.id !== zone.id);
+        if (zone.retiredAt) return rest;
+        const idx = prev.findIndex((z) => z?.id === zone.id);
+        if (idx === -1) return [...prev, zone];
+        const next = [...prev];
+        next[idx] = zone;
+        return next;
+      });
+    });
+
+    socket.on("supply_board", (board) => {
+      if (board?.requests) setSupplyBoard(board);
+    });
+
     socket.on("danger_zones_update", ({ dangerZones: dz }) => {
       setDangerZones(dz || []);
     });
@@ -836,10 +1241,91 @@ function AppShell() {
   useEffect(() => {
     const socket = socketRef.current;
     if (!socket || !connected) return;
-    socket.emit("join_zone", { zoneId, userId: identity.userId, name: identity.name });
+    const join = () =>
+      socket.emit(
+        "join_zone",
+        {
+          zoneId,
+          userId: identity.userId,
+          name: identity.name,
+          location: isPrivateFrequency(zoneId) ? null : lastLocationRef.current
+        },
+        (res) => setIsModerator(Boolean(res?.moderator))
+      );
+    // Channel access is per connection; verify again after a reconnect.
+    const auth = channelAuthRef.current.get(zoneId);
+    if (isPrivateFrequency(zoneId) && auth && auth.socketId !== socket.id) {
+      socket.emit("channel_join", auth.credential, (ack) => {
+        if (!ack?.ok) {
+          setStatusLine(ack?.error || "Lost access to this frequency");
+          return;
+        }
+        channelAuthRef.current.set(zoneId, { ...auth, socketId: socket.id });
+        join();
+      });
+    } else {
+      join();
+    }
     return () => socket.emit("leave_zone", { zoneId });
   }, [zoneId, identity.userId, identity.name, connected]);
 
+  // Joins this user's direct-message room; repeats after reconnects and
+  // renames. The first identify claims the id and returns the token that
+  // every later one must send; storing that token must not re-identify.
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket || !connected) return;
+    socket.emit("identify", { userId: identity.userId, name: identity.name, token: identity.token }, (res) => {
+      if (!res?.ok) {
+        setStatusLine(res?.error || "Could not identify");
+        return;
+      }
+      if (res.token) setIdentity((prev) => ({ ...prev, token: res.token }));
+      setDmConversations(res.conversations || []);
+      setZoneUnread(res.unreadCounts || {});
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [connected, identity.userId, identity.name]);
+
+  useEffect(() => {
+    localStorage.setItem("udsn.dutyRoles", JSON.stringify(dutyRoles));
+    const socket = socketRef.current;
+    if (!socket || !connected) return;
+    socket.emit("responder_duty", { roles: dutyRoles }, (res) => {
+      if (res && !res.ok) setStatusLine(res.error || "Could not update duty");
+    });
+  }, [connected, identity.userId, dutyRoles]);
+
+  useEffect(() => {
+    autoZoneRef.current = autoZone;
+    localStorage.setItem("udsn.autoZone", autoZone ? "on" : "off");
+  }, [autoZone]);
+
+  useEffect(() => {
+    if (zoneSuggestion?.id === zoneId) setZoneSuggestion(null);
+  }, [zoneId, zoneSuggestion]);
+
+  // Periodic position so the server can tell us when we cross into
+  // another zone. Hiding mode transmits nothing.
+  useEffect(() => {
+    if (!connected || stealthLock) return;
+    let cancelled = false;
+
+    async function report() {
+      const location = await getCurrentLocation();
+      if (cancelled || !location) return;
+      lastLocationRef.current = location;
+      socketRef.current?.emit("location_update", { location, userId: identity.userId });
+    }
+
+    report();
+    const timer = setInterval(report, 60_000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [connected, stealthLock, identity.userId]);
+
   useEffect(() => {
     // reset per-zone UI state
     setChatMessages([]);
@@ -848,24 +1334,45 @@ function AppShell() {
     setZonePinned(null);
     setReactionCounts({});
     setMyReactions({});
+    setReplyCounts({});
+    setOpenThreads({});
+    setThreadReplies({});
+    setReplyTarget(null);
+    setEditTarget(null);
+    setHistoryCursor(null);
+    setZoneReads([]);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [zoneId]);
 
-  useEffect(() => {
-    if (activeTab === "chat") {
-      setUnreadCount(0);
-    }
-  }, [activeTab]);
-
+  // Only new arrivals scroll the log; loading earlier pages keeps the view.
+  const lastChatId = chatMessages[chatMessages.length - 1]?.id;
   useEffect(() => {
     // auto-scroll chat log
     const el = chatLogRef.current;
     if (!el) return;
     el.scrollTop = el.scrollHeight;
-  }, [chatMessages.length]);
+  }, [lastChatId]);
+
+  // Reading the open zone moves the server-side read marker (debounced, so a
+  // burst of messages is one update).
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket || !connected || activeTab !== "chat" || !lastChatId) return;
+    const z = zoneId;
+    const timer = setTimeout(() => {
+      socket.emit("zone_read", { zoneId: z, messageId: lastChatId });
+      setZoneUnread((prev) => (prev[z] ? { ...prev, [z]: 0 } : prev));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [connected, activeTab, zoneId, lastChatId]);
+
+  const totalUnread = Object.values(zoneUnread).reduce((sum, n) => sum + (n || 0), 0);
+  const pinnedSeenBy = zonePinned ? zoneReads.filter((r) => r.readAt >= zonePinned.pinnedAt) : [];
 
   const connectionTone = connected ? "good" : "bad";
 
+  const dmUnread = dmConversations.reduce((sum, c) => sum + (c.unread || 0), 0);
+
   const trustByUser = useMemo(() => {
     const trust = {};
     for (const m of chatMessages) {
@@ -900,6 +1407,23 @@ function AppShell() {
     };
   }, [chatMessages]);
 
+  // Replies render inside their thread; a reply whose parent scrolled out of
+  // the loaded history stays top-level with a marker.
+  const { topLevel, repliesByThread } = useMemo(() => {
+    const ids = new Set(chatMessages.map((m) => m.id));
+    const byThread = new Map();
+    const top = [];
+    for (const m of chatMessages) {
+      if (m.threadId && ids.has(m.threadId)) {
+        if (!byThread.has(m.threadId)) byThread.set(m.threadId, []);
+        byThread.get(m.threadId).push(m);
+      } else {
+        top.push(m);
+      }
+    }
+    return { topLevel: top, repliesByThread: byThread };
+  }, [chatMessages]);
+
   function pinMessage(messageId) {
     if (stealthLock) {
       setStatusLine("STEALTH MODE: transmissions muted.");
@@ -968,21 +1492,160 @@ function AppShell() {
       return;
     }
     const text = chatInput.trim();
-    if (!text) return;
+    if (!text && (editTarget || !chatAttachments.length)) return;
     setChatInput("");
     const kind = chatKind;
-    socketRef.current?.emit("chat_message", {
-      zoneId,
-      userId: identity.userId,
-      name: identity.name,
-      text,
-      kind
-    });
+    if (editTarget) {
+      const messageId = editTarget.id;
+      setEditTarget(null);
+      socketRef.current?.emit(
+        "edit_message",
+        { zoneId, messageId, text, kind },
+        (res) => {
+          if (!res?.ok) setStatusLine(res?.error || "Failed to edit message");
+        }
+      );
+      return;
+    }
+    const replyTo = replyTarget?.id || null;
+    setReplyTarget(null);
+    if (/^\/(?!\/)/.test(text)) {
+      sendChatCommand(text, replyTo);
+      return;
+    }
+    const attachments = chatAttachments;
+    setChatAttachments([]);
+    socketRef.current?.emit(
+      "chat_message",
+      {
+        zoneId,
+        userId: identity.userId,
+        name: identity.name,
+        text,
+        kind,
+        replyTo,
+        attachments: attachments.map((a) => a.id)
+      },
+      (res) => {
+        if (res && !res.ok) {
+          setStatusLine(res.error || "Failed to send");
+          setChatAttachments(attachments);
+        } else if (replyTo) setOpenThreads((prev) => ({ ...prev, [res?.message?.threadId || replyTo]: true }));
+      }
+    );
 
     // stop typing indicator for self
     socketRef.current?.emit("typing", { zoneId, userId: identity.userId, name: identity.name, isTyping: false });
   }
 
+  // Slash commands go through chat_message; the server answers in the ack
+  // with the record it created (or the usage lines for /help).
+  async function sendChatCommand(text, replyTo) {
+    socketRef.current?.emit("typing", { zoneId, userId: identity.userId, name: identity.name, isTyping: false });
+    const needsPlace = /^\/(sos|mark)\b/i.test(text);
+    const location = needsPlace ? await getCurrentLocation() : null;
+    socketRef.current?.emit(
+      "chat_message",
+      { zoneId, userId: identity.userId, name: identity.name, text, replyTo, location },
+      (res) => {
+        if (!res?.ok) {
+          setStatusLine(res?.error || "Command failed");
+          setChatInput(text);
+          return;
+        }
+        if (res.sos) setStatusLine(`SOS sent (${res.sos.category}, ${res.sos.severity}).`);
+        else if (res.zoneMarker) setStatusLine(`Marked ${res.zoneMarker.kind} zone: ${res.zoneMarker.label}.`);
+        else if (res.user) setStatusLine("Checked in.");
+        else if (res.pinned) setStatusLine("Pinned.");
+        else if (res.usage) setStatusLine(`Commands: ${res.usage.join(" • ")} • //text posts a literal slash`);
+      }
+    );
+  }
+
+  async function addAttachments(fileList, setList) {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setUploading(true);
+    try {
+      for (const file of files) {
+        const attachment = await uploadAttachment(file, identity.userId);
+        setList((prev) => (prev.length >= 4 ? prev : [...prev, attachment]));
+      }
+    } catch (e) {
+      setStatusLine(e.message || "Upload failed");
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  function openDm(userId, name) {
+    if (!userId || userId === identity.userId) return;
+    setDmPeer({ userId, name: name || dmConversations.find((c) => c.withUserId === userId)?.withName || null });
+    setActiveTab("dm");
+    setDmConversations((prev) => prev.map((c) => (c.withUserId === userId ? { ...c, unread: 0 } : c)));
+    const socket = socketRef.current;
+    if (!socket?.connected) return;
+    socket.emit("dm_history", { withUserId: userId }, (res) => {
+      if (res?.ok) setDmThreads((prev) => ({ ...prev, [userId]: res.messages || [] }));
+      else setStatusLine(res?.error || "Failed to load conversation");
+    });
+    socket.emit("dm_read", { withUserId: userId });
+  }
+
+  function sendDm(text) {
+    if (stealthLock) {
+      setStatusLine("STEALTH MODE: transmissions muted.");
+      return;
+    }
+    if (!dmPeer) return;
+    socketRef.current?.emit("dm_send", { toUserId: dmPeer.userId, toName: dmPeer.name, text }, (res) => {
+      if (!res?.ok) setStatusLine(res?.error || "Failed to send message");
+    });
+  }
+
+  function startEdit(m) {
+    setReplyTarget(null);
+    setEditTarget(m);
+    setChatInput(m.text || "");
+    setChatKind(m.kind || "info");
+  }
+
+  function cancelEdit() {
+    setEditTarget(null);
+    setChatInput("");
+  }
+
+  function retractMessage(m) {
+    if (stealthLock) {
+      setStatusLine("STEALTH MODE: transmissions muted.");
+      return;
+    }
+    if (!window.confirm("Retract this message? Its text will be removed for everyone.")) return;
+    socketRef.current?.emit(
+      "delete_message",
+      { zoneId, messageId: m.id },
+      (res) => {
+        if (!res?.ok) setStatusLine(res?.error || "Failed to retract message");
+      }
+    );
+  }
+
+  function toggleThread(messageId) {
+    const opening = !openThreads[messageId];
+    setOpenThreads((prev) => ({ ...prev, [messageId]: opening }));
+    if (!opening) return;
+    // The zone history only holds the latest messages; fetch the whole thread.
+    socketRef.current?.emit("thread_view", { zoneId, messageId }, (res) => {
+      if (!res?.ok) {
+        setStatusLine(res?.error || "Failed to load thread");
+        return;
+      }
+      setThreadReplies((prev) => ({ ...prev, [messageId]: res.replies || [] }));
+      setReplyCounts((prev) => ({ ...prev, [messageId]: res.replyCount }));
+      setReactionCounts((prev) => ({ ...res.reactions, ...prev }));
+    });
+  }
+
   function emitTyping(isTyping) {
     const socket = socketRef.current;
     if (!socket?.connected) return;
@@ -1018,6 +1681,53 @@ function AppShell() {
     }
   }
 
+  async function loadEarlierMessages() {
+    if (!historyCursor || loadingEarlier || isPrivateFrequency(zoneId)) return;
+    const z = zoneId;
+    setLoadingEarlier(true);
+    try {
+      const page = await apiGet(
+        `/api/zones/${encodeURIComponent(z)}/messages?before=${encodeURIComponent(historyCursor)}&limit=80`
+      );
+      if (z !== zoneIdRef.current) return;
+      setChatMessages((prev) => {
+        const seen = new Set(prev.map((m) => m.id));
+        return [...(page.messages || []).filter((m) => !seen.has(m.id)), ...prev];
+      });
+      setReactionCounts((prev) => ({ ...page.reactions, ...prev }));
+      setReplyCounts((prev) => ({ ...page.replyCounts, ...prev }));
+      setHistoryCursor(page.hasMore ? page.before : null);
+    } catch {
+      // keep the cursor so the button can be tried again
+    } finally {
+      setLoadingEarlier(false);
+    }
+  }
+
+  async function searchMessages({ more = false } = {}) {
+    const params = new URLSearchParams({ limit: "30" });
+    if (messageSearch.q.trim()) params.set("q", messageSearch.q.trim());
+    if (messageSearch.kind) params.set("kind", messageSearch.kind);
+    if (messageSearch.thisZone && !isPrivateFrequency(zoneId)) params.set("zoneId", zoneId);
+    if (messageSearch.sinceYesterday) {
+      const since = new Date();
+      since.setDate(since.getDate() - 1);
+      since.setHours(0, 0, 0, 0);
+      params.set("from", since.toISOString());
+    }
+    if (more && searchResults?.before) params.set("before", searchResults.before);
+    try {
+      const data = await apiGet(`/api/messages/search?${params}`);
+      setSearchResults((prev) => ({
+        messages: more && prev ? [...prev.messages, ...data.messages] : data.messages,
+        before: data.before
+      }));
+      setSearchError("");
+    } catch (e) {
+      setSearchError(e?.message || "Search failed");
+    }
+  }
+
   function startMapFocus(lat, lng) {
     setActiveTab("map");
     setMapFocus({ center: [lat, lng], zoom: 16, ts: Date.now() });
@@ -1046,10 +1756,15 @@ function AppShell() {
         location,
         severity: sosSeverity,
         category: sosCategory,
-        zoneId
+        peopleCount: Number(sosPeople) || 1,
+        // private frequencies are never named in public alerts
+        zoneId: isPrivateFrequency(zoneId) ? null : zoneId,
+        attachments: sosAttachments.map((a) => a.id)
       };
       socketRef.current?.emit("sos_alert", alert);
       setSosInput("");
+      setSosPeople("1");
+      setSosAttachments([]);
     } catch (e) {
       setStatusLine(e.message || "Failed to send SOS");
     } finally {
@@ -1092,21 +1807,154 @@ function AppShell() {
     socketRef.current?.emit(event, { sosId, userId: identity.userId, name: identity.name });
   }
 
+  function toggleDispatchPanel(sosId) {
+    if (dispatchPanel?.sosId === sosId) {
+      setDispatchPanel(null);
+      return;
+    }
+    setDispatchPanel({ sosId, responders: [], loading: true });
+    socketRef.current?.emit("sos_responders", { sosId }, (res) => {
+      if (!res?.ok) setStatusLine(res?.error || "Failed to load responders");
+      setDispatchPanel((prev) => (prev?.sosId === sosId ? { sosId, responders: res?.responders || [], loading: false } : prev));
+    });
+  }
+
+  function dispatchResponder(sosId, responder) {
+    if (stealthLock) {
+      setStatusLine("STEALTH MODE: transmissions muted.");
+      return;
+    }
+    socketRef.current?.emit("sos_dispatch", { sosId, responderId: responder.userId }, (res) => {
+      if (!res?.ok) {
+        setStatusLine(res?.error || "Dispatch failed");
+        return;
+      }
+      setDispatchPanel(null);
+      setStatusLine(`Dispatched ${responder.name}${Number.isFinite(res.dispatch?.etaMinutes) ? `, ETA ${res.dispatch.etaMinutes} min` : ""}.`);
+    });
+  }
+
+  function toggleSosHistory(sosId) {
+    if (sosDetails[sosId]) {
+      setSosDetails((prev) => {
+        const next = { ...prev };
+        delete next[sosId];
+        return next;
+      });
+      return;
+    }
+    socketRef.current?.emit("sos_detail", { sosId }, (res) => {
+      if (!res?.ok) {
+        setStatusLine(res?.error || "Failed to load SOS history");
+        return;
+      }
+      setSosDetails((prev) => ({ ...prev, [sosId]: { timeline: res.timeline || [], messages: res.messages || [] } }));
+    });
+  }
+
+  function sendSosMessage(sosId) {
+    if (stealthLock) {
+      setStatusLine("STEALTH MODE: transmissions muted.");
+      return;
+    }
+    const text = String(sosReplyInput[sosId] || "").trim();
+    if (!text) return;
+    socketRef.current?.emit("sos_message", { sosId, text }, (res) => {
+      if (!res?.ok) {
+        setStatusLine(res?.error || "Failed to send");
+        return;
+      }
+      setSosReplyInput((prev) => ({ ...prev, [sosId]: "" }));
+    });
+  }
+
+  function toggleMergeSelection(id) {
+    setMergeSelection((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  function mergeSelected() {
+    if (stealthLock) {
+      setStatusLine("STEALTH MODE: transmissions muted.");
+      return;
+    }
+    socketRef.current?.emit("sos_incident_merge", { ids: mergeSelection }, (res) => {
+      if (!res?.ok) {
+        setStatusLine(res?.error || "Merge failed");
+        return;
+      }
+      setMergeSelection([]);
+      setStatusLine(`Merged into one incident (${res.incident.reports} reports).`);
+    });
+  }
+
+  function splitFromIncident(incidentId, sosId) {
+    if (stealthLock) {
+      setStatusLine("STEALTH MODE: transmissions muted.");
+      return;
+    }
+    socketRef.current?.emit("sos_incident_split", { incidentId, sosIds: [sosId] }, (res) => {
+      if (!res?.ok) setStatusLine(res?.error || "Split failed");
+    });
+  }
+
   function applySosTemplate({ category, severity, text }) {
     setSosCategory(category);
     setSosSeverity(severity);
     setSosInput(text);
   }
 
+  // The queue is re-fetched shortly after any alert changes, and every 30s
+  // because waiting time keeps adding to the score.
+  useEffect(() => {
+    if (!sosTriage) return undefined;
+    let cancelled = false;
+    async function load() {
+      try {
+        const category = sosCategoryFilter !== "all" ? `&category=${encodeURIComponent(sosCategoryFilter)}` : "";
+        const res = await apiGet(`/api/sos/queue?limit=200${category}`);
+        if (cancelled) return;
+        setTriageData({
+          order: (res.queue || []).map((a) => a.id),
+          triage: Object.fromEntries((res.queue || []).map((a) => [a.id, a.triage]))
+        });
+      } catch (e) {
+        if (!cancelled) setStatusLine(e.message || "Failed to load triage queue");
+      }
+    }
+    const soon = setTimeout(load, 400);
+    const every = setInterval(load, 30_000);
+    return () => {
+      cancelled = true;
+      clearTimeout(soon);
+      clearInterval(every);
+    };
+  }, [sosTriage, sosCategoryFilter, sosAlerts]);
+
   const filteredSosAlerts = useMemo(() => {
     const list = sosAlerts || [];
+    if (sosTriage && triageData) {
+      const byId = new Map(list.map((a) => [a?.id, a]));
+      return triageData.order.map((id) => byId.get(id)).filter((a) => a && !a.resolvedAt);
+    }
     return list.filter((a) => {
       const status = a?.status || (a?.resolvedAt ? "resolved" : "open");
       if (sosOnlyOpen && status !== "open") return false;
       if (sosCategoryFilter !== "all" && String(a?.category || "general") !== sosCategoryFilter) return false;
       return true;
     });
-  }, [sosAlerts, sosOnlyOpen, sosCategoryFilter]);
+  }, [sosAlerts, sosOnlyOpen, sosCategoryFilter, sosTriage, triageData]);
+
+  const sosGroups = useMemo(
+    () => groupSosAlerts(filteredSosAlerts, sosIncidents, sosAlerts || []),
+    [filteredSosAlerts, sosIncidents, sosAlerts]
+  );
+
+  const mapSosGroups = useMemo(() => {
+    const open = (sosAlerts || []).filter((a) => (a?.status || (a?.resolvedAt ? "resolved" : "open")) === "open");
+    return groupSosAlerts(open, sosIncidents, sosAlerts || [])
+      .map((g) => ({ ...g, location: groupLocation(g.members) }))
+      .filter((g) => g.location);
+  }, [sosAlerts, sosIncidents]);
 
   async function reportThreat() {
     if (stealthLock) {
@@ -1185,6 +2033,37 @@ function AppShell() {
     }
   }
 
+  function emitWithAck(event, payload) {
+    return new Promise((resolve) => {
+      const socket = socketRef.current;
+      if (!socket?.connected) {
+        resolve({ ok: false, error: "Not connected" });
+        return;
+      }
+      socket.emit(event, payload, resolve);
+    });
+  }
+
+  function privateChannelJoined(channel, credential) {
+    channelAuthRef.current.set(channel.id, { credential, socketId: socketRef.current?.id });
+    setPrivateChannels((prev) => [...prev.filter((c) => c.id !== channel.id), channel]);
+    setZoneId(channel.id);
+  }
+
+  async function toggleCampStay(camp, here) {
+    if (stealthLock) {
+      setStatusLine("STEALTH MODE: transmissions muted.");
+      return;
+    }
+    const ack = await emitWithAck(here ? "camp_depart" : "camp_arrive", {
+      campId: camp.id,
+      userId: identity.userId,
+      name: identity.name
+    });
+    if (ack?.ok) setStatusLine(here ? `Departed ${camp.name}.` : `Registered at ${camp.name}.`);
+    else setStatusLine(ack?.error || "Camp registration failed");
+  }
+
   async function markMyLocation() {
     if (stealthLock) {
       setStatusLine("STEALTH MODE: transmissions muted.");
@@ -1315,6 +2194,174 @@ function AppShell() {
 
   const statusBadge = me?.status === "missing" ? <Badge tone="bad">MISSING</Badge> : <Badge tone="good">SAFE</Badge>;
 
+  function renderChatMessage(m, { reply = false, quote = null, orphan = false } = {}) {
+    if (m.deletedAt) {
+      return (
+        <div key={m.id} className={`logItem logItemChat logItemRetracted${reply ? " logItemReply" : ""}`}>
+          <div className="meta">
+            Message from {m.name} retracted
+            {m.deletedBy?.userId && m.deletedBy.userId !== m.userId ? ` by ${m.deletedBy.name}` : ""} ·{" "}
+            {formatTime(m.deletedAt)}
+          </div>
+        </div>
+      );
+    }
+    const canModify = isModerator || (m.userId && m.userId === identity.userId);
+    const kind = m.kind || "info";
+    const tone = kind === "threat" ? "bad" : kind === "resource" ? "good" : kind === "route" ? "warn" : "mid";
+    const label = kind.toUpperCase();
+    const counts = reactionCounts?.[m.id] || { confirm: 0, dispute: 0 };
+    const mine = myReactions?.[m.id];
+    const trust = m.userId ? (trustByUser?.[m.userId] || 0) : 0;
+
+    // Simple parser for "GPS: lat, lng"
+    const parts = [];
+    let lastIndex = 0;
+    const re = /GPS:?\s*(-?\d+\.\d+),\s*(-?\d+\.\d+)/g;
+    let match;
+    const text = m.text || "";
+
+    while ((match = re.exec(text)) !== null) {
+      if (match.index > lastIndex) parts.push(text.substring(lastIndex, match.index));
+      const lat = parseFloat(match[1]);
+      const lng = parseFloat(match[2]);
+      parts.push(
+        <button
+          key={match.index}
+          className="gpsLink"
+          onClick={() => startMapFocus(lat, lng)}
+        >
+          {match[0]}
+        </button>
+      );
+      lastIndex = re.lastIndex;
+    }
+    if (lastIndex < text.length) parts.push(text.substring(lastIndex));
+
+    return (
+      <div key={m.id} className={`logItem logItemChat logItem-${kind}${reply ? " logItemReply" : ""}`}>
+        <div className="logTop">
+          <div className="logTopLeft">
+            <span className="logName">{m.name}</span>
+            {trust ? (
+              <span className={trust > 0 ? "trust trustUp" : "trust trustDown"}>
+                Trust {trust > 0 ? `+${trust}` : trust}
+              </span>
+            ) : null}
+          </div>
+          <div className="logTopRight">
+            <button
+              className={mine === "confirm" ? "msgAction msgActionOn" : "msgAction"}
+              onClick={() => reactToMessage(m.id, "confirm")}
+              disabled={stealthLock || !connected}
+              title="Confirm this report"
+            >
+              ✓ {counts.confirm || 0}
+            </button>
+            <button
+              className={mine === "dispute" ? "msgAction msgActionOn" : "msgAction"}
+              onClick={() => reactToMessage(m.id, "dispute")}
+              disabled={stealthLock || !connected}
+              title="Dispute this report"
+            >
+              ✕ {counts.dispute || 0}
+            </button>
+            <button
+              className="msgAction"
+              onClick={() => {
+                if (editTarget) cancelEdit();
+                setReplyTarget(m);
+              }}
+              disabled={stealthLock || !connected}
+              title="Reply in thread"
+            >
+              Reply
+            </button>
+            {canModify ? (
+              <>
+                <button
+                  className="msgAction"
+                  onClick={() => startEdit(m)}
+                  disabled={stealthLock || !connected}
+                  title="Correct this message"
+                >
+                  Edit
+                </button>
+                <button
+                  className="msgAction"
+                  onClick={() => retractMessage(m)}
+                  disabled={stealthLock || !connected}
+                  title="Retract this message"
+                >
+                  Retract
+                </button>
+              </>
+            ) : null}
+            <button
+              className="msgAction"
+              onClick={() => pinMessage(m.id)}
+              disabled={stealthLock || !connected}
+              title="Pin as commander broadcast"
+            >
+              Pin
+            </button>
+            <span className="logTime">{formatTime(m.createdAt)}</span>
+          </div>
+        </div>
+        {quote ? (
+          <div className="replyQuote">
+            ↪ {quote.name}: {quote.deletedAt ? "[retracted]" : (quote.text || "").slice(0, 120)}
+          </div>
+        ) : orphan ? (
+          <div className="replyQuote">↪ Reply to an earlier message</div>
+        ) : null}
+        <div className="logText">
+          <Badge tone={tone}>{label}</Badge>
+          <span className="spacer" />
+          {parts.length > 0 ? parts : text}
+          {m.editedAt ? (
+            <span
+              className="editedMark"
+              title={(m.revisions || []).map((r) => `${formatTime(r.at)} ${r.by?.name || ""}: ${r.text}`).join("\n")}
+            >
+              (edited)
+            </span>
+          ) : null}
+        </div>
+        <AttachmentList attachments={m.attachments} />
+      </div>
+    );
+  }
+
+  // Collapsed by default: the summary line carries the reply count and the
+  // parent report's confirm/dispute counts.
+  function renderThread(parent) {
+    const loaded = repliesByThread.get(parent.id) || [];
+    const replies = threadReplies[parent.id] || loaded;
+    const count = Math.max(replyCounts[parent.id] || 0, replies.length);
+    if (!count) return null;
+    const counts = reactionCounts?.[parent.id] || { confirm: 0, dispute: 0 };
+    const last = replies[replies.length - 1];
+    const open = Boolean(openThreads[parent.id]);
+    const byId = new Map([parent, ...replies].map((r) => [r.id, r]));
+
+    return (
+      <div className="thread">
+        <button className="threadToggle" type="button" onClick={() => toggleThread(parent.id)}>
+          {open ? "▾" : "▸"} {count} {count === 1 ? "reply" : "replies"} · ✓ {counts.confirm || 0} ✕ {counts.dispute || 0}
+          {!open && last ? <span className="meta"> · last from {last.name}</span> : null}
+        </button>
+        {open
+          ? replies.map((r) => (
+              <div key={r.id}>
+                {renderChatMessage(r, { reply: true, quote: r.replyTo !== parent.id ? byId.get(r.replyTo) : null })}
+              </div>
+            ))
+          : null}
+      </div>
+    );
+  }
+
   return (
     <div className={stealthLock ? "app appStealth" : "app"}>
       <header className="header">
@@ -1349,9 +2396,16 @@ function AppShell() {
       </header>
 
       <nav className="tabs">
-        <TabButton active={activeTab === "chat"} onClick={() => setActiveTab("chat")} badge={unreadCount > 0 ? unreadCount : null}>
+        <TabButton active={activeTab === "chat"} onClick={() => setActiveTab("chat")} badge={totalUnread > 0 ? (totalUnread > 99 ? "99+" : totalUnread) : null}>
           Zone Chat
         </TabButton>
+        <TabButton
+          active={activeTab === "dm"}
+          onClick={() => setActiveTab("dm")}
+          badge={dmUnread > 0 ? dmUnread : null}
+        >
+          Direct
+        </TabButton>
         <TabButton active={activeTab === "sos"} onClick={() => setActiveTab("sos")}>
           Global SOS
         </TabButton>
@@ -1385,26 +2439,72 @@ function AppShell() {
 
             <div className="chatHeaderRow">
               <label className="label" style={{ minWidth: 260 }}>
-                Radio Frequency (Channel)
+                Radio Frequency (Zone)
                 <div className="frequencyTuner">
-                  <input
-                    className="input mono"
-                    value={zoneId}
-                    onChange={(e) => setZoneId(e.target.value)}
-                    placeholder="Enter channel name..."
-                    maxLength={20}
-                  />
-                  <div className="meta" style={{ marginTop: 4 }}>
-                    Share this channel name to talk privately.
-                  </div>
+                  <select className="select mono" value={zoneId} onChange={(e) => setZoneId(e.target.value)}>
+                    {(zones.some((z) => z.id === zoneId) || isPrivateFrequency(zoneId)
+                      ? zones
+                      : [...zones, { id: zoneId, name: zoneId }]
+                    ).map((z) => (
+                      <option key={z.id} value={z.id}>
+                        {z.name}
+                        {z.id === zoneId ? "" : unreadSuffix(zoneUnread[z.id])}
+                      </option>
+                    ))}
+                    {privateChannels.length ? (
+                      <optgroup label="Private">
+                        {privateChannels.map((c) => (
+                          <option key={c.id} value={c.id}>
+                            {c.name}
+                            {c.encrypted ? " (encrypted)" : ""}
+                            {c.id === zoneId ? "" : unreadSuffix(zoneUnread[c.id])}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ) : null}
+                  </select>
+                  {zones.find((z) => z.id === zoneId)?.description ? (
+                    <div className="meta" style={{ marginTop: 4 }}>
+                      {zones.find((z) => z.id === zoneId).description}
+                    </div>
+                  ) : null}
                 </div>
               </label>
               <div className="chatMetaRow">
                 <span className="pill">Presence: {zonePresence?.count ?? 0}</span>
                 <span className="pill">Mode: {stealthLock ? "HIDING" : "RUNNING"}</span>
+                <button
+                  className={autoZone ? "chip sosChipOn" : "chip"}
+                  type="button"
+                  onClick={() => setAutoZone((p) => !p)}
+                  title="Switch chat automatically when your GPS position enters another zone"
+                >
+                  Auto-zone: {autoZone ? "ON" : "OFF"}
+                </button>
               </div>
             </div>
 
+            <PrivateFrequency
+              activeId={zoneId}
+              canInvite={isPrivateFrequency(zoneId)}
+              identity={identity}
+              disabled={!connected || stealthLock}
+              send={emitWithAck}
+              onJoined={privateChannelJoined}
+            />
+
+            {zoneSuggestion ? (
+              <div className="zoneSuggestion">
+                <span>You appear to be in {zoneSuggestion.name}.</span>
+                <button className="button" type="button" onClick={() => setZoneId(zoneSuggestion.id)}>
+                  Switch
+                </button>
+                <button className="chip" type="button" onClick={() => setZoneSuggestion(null)}>
+                  Dismiss
+                </button>
+              </div>
+            ) : null}
+
             <div className="chatLayout">
               <div className="chatLeft">
                 {zonePinned ? (
@@ -1424,92 +2524,29 @@ function AppShell() {
                       </button>
                     </div>
                     <div className="pinnedBody">{zonePinned.text}</div>
+                    <div className="pinnedMeta" title={pinnedSeenBy.map((r) => r.name).join(", ")}>
+                      Seen by {pinnedSeenBy.length}
+                      {pinnedSeenBy.length ? `: ${pinnedSeenBy.slice(0, 5).map((r) => r.name).join(", ")}` : ""}
+                      {pinnedSeenBy.length > 5 ? ` +${pinnedSeenBy.length - 5}` : ""}
+                    </div>
                   </div>
                 ) : null}
 
                 <div className="log" ref={chatLogRef}>
+                  {historyCursor && !isPrivateFrequency(zoneId) ? (
+                    <button className="chip loadEarlier" type="button" onClick={loadEarlierMessages} disabled={loadingEarlier}>
+                      {loadingEarlier ? "Loading…" : "Load earlier messages"}
+                    </button>
+                  ) : null}
                   {chatMessages.length === 0 ? (
                     <div className="empty">No chatter yet. Break the silence.</div>
                   ) : (
-                    chatMessages.map((m) => {
-                      const kind = m.kind || "info";
-                      const tone = kind === "threat" ? "bad" : kind === "resource" ? "good" : kind === "route" ? "warn" : "mid";
-                      const label = kind.toUpperCase();
-                      const counts = reactionCounts?.[m.id] || { confirm: 0, dispute: 0 };
-                      const mine = myReactions?.[m.id];
-                      const trust = m.userId ? (trustByUser?.[m.userId] || 0) : 0;
-
-                      // Simple parser for "GPS: lat, lng"
-                      const parts = [];
-                      let lastIndex = 0;
-                      const re = /GPS:?\s*(-?\d+\.\d+),\s*(-?\d+\.\d+)/g;
-                      let match;
-                      const text = m.text || "";
-
-                      while ((match = re.exec(text)) !== null) {
-                        if (match.index > lastIndex) parts.push(text.substring(lastIndex, match.index));
-                        const lat = parseFloat(match[1]);
-                        const lng = parseFloat(match[2]);
-                        parts.push(
-                          <button
-                            key={match.index}
-                            className="gpsLink"
-                            onClick={() => startMapFocus(lat, lng)}
-                          >
-                            {match[0]}
-                          </button>
-                        );
-                        lastIndex = re.lastIndex;
-                      }
-                      if (lastIndex < text.length) parts.push(text.substring(lastIndex));
-
-                      return (
-                        <div key={m.id} className={`logItem logItemChat logItem-${kind}`}>
-                          <div className="logTop">
-                            <div className="logTopLeft">
-                              <span className="logName">{m.name}</span>
-                              {trust ? (
-                                <span className={trust > 0 ? "trust trustUp" : "trust trustDown"}>
-                                  Trust {trust > 0 ? `+${trust}` : trust}
-                                </span>
-                              ) : null}
-                            </div>
-                            <div className="logTopRight">
-                              <button
-                                className={mine === "confirm" ? "msgAction msgActionOn" : "msgAction"}
-                                onClick={() => reactToMessage(m.id, "confirm")}
-                                disabled={stealthLock || !connected}
-                                title="Confirm this report"
-                              >
-                                ✓ {counts.confirm || 0}
-                              </button>
-                              <button
-                                className={mine === "dispute" ? "msgAction msgActionOn" : "msgAction"}
-                                onClick={() => reactToMessage(m.id, "dispute")}
-                                disabled={stealthLock || !connected}
-                                title="Dispute this report"
-                              >
-                                ✕ {counts.dispute || 0}
-                              </button>
-                              <button
-                                className="msgAction"
-                                onClick={() => pinMessage(m.id)}
-                                disabled={stealthLock || !connected}
-                                title="Pin as commander broadcast"
-                              >
-                                Pin
-                              </button>
-                              <span className="logTime">{formatTime(m.createdAt)}</span>
-                            </div>
-                          </div>
-                          <div className="logText">
-                            <Badge tone={tone}>{label}</Badge>
-                            <span className="spacer" />
-                            {parts.length > 0 ? parts : text}
-                          </div>
-                        </div>
-                      );
-                    })
+                    topLevel.map((m) => (
+                      <div key={m.id} className="threadGroup">
+                        {renderChatMessage(m, { orphan: Boolean(m.threadId) })}
+                        {renderThread(m)}
+                      </div>
+                    ))
                   )}
                 </div>
 
@@ -1524,6 +2561,26 @@ function AppShell() {
                   )}
                 </div>
 
+                {editTarget ? (
+                  <div className="replyBanner">
+                    <span>Editing message from {editTarget.name}</span>
+                    <button className="chip" type="button" onClick={cancelEdit}>
+                      Cancel
+                    </button>
+                  </div>
+                ) : null}
+
+                {replyTarget ? (
+                  <div className="replyBanner">
+                    <span>
+                      Replying to {replyTarget.name}: {(replyTarget.text || "").slice(0, 80)}
+                    </span>
+                    <button className="chip" type="button" onClick={() => setReplyTarget(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                ) : null}
+
                 <div className="composer composerChat">
                   <label className="label" style={{ width: 180 }}>
                     Message Type
@@ -1538,15 +2595,24 @@ function AppShell() {
                     className="input"
                     value={chatInput}
                     onChange={(e) => onChatInputChange(e.target.value)}
-                    placeholder="Report threats, routes, resources…"
+                    placeholder="Report threats, routes, resources… (/help for commands)"
                     onKeyDown={(e) => {
                       if (e.key === "Enter") sendChat();
                     }}
                     maxLength={600}
                     disabled={stealthLock}
                   />
+                  {editTarget ? null : (
+                    <AttachmentPicker
+                      attachments={chatAttachments}
+                      uploading={uploading}
+                      disabled={stealthLock || privateChannels.some((c) => c.id === zoneId && c.encrypted)}
+                      onPick={(files) => addAttachments(files, setChatAttachments)}
+                      onRemove={(id) => setChatAttachments((prev) => prev.filter((a) => a.id !== id))}
+                    />
+                  )}
                   <button className="button" onClick={sendChat} disabled={!connected || stealthLock}>
-                    Transmit
+                    {editTarget ? "Save edit" : "Transmit"}
                   </button>
                 </div>
               </div>
@@ -1561,6 +2627,83 @@ function AppShell() {
                   </button>
                 </div>
 
+                <div className="sideCard">
+                  <div className="sideTitle">Search History</div>
+                  <input
+                    className="input"
+                    placeholder="Text, e.g. bridge"
+                    value={messageSearch.q}
+                    onChange={(e) => setMessageSearch((prev) => ({ ...prev, q: e.target.value }))}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") searchMessages();
+                    }}
+                    maxLength={100}
+                  />
+                  <div className="row">
+                    <select
+                      className="select"
+                      value={messageSearch.kind}
+                      onChange={(e) => setMessageSearch((prev) => ({ ...prev, kind: e.target.value }))}
+                    >
+                      <option value="">Any kind</option>
+                      <option value="info">Info</option>
+                      <option value="threat">Threat</option>
+                      <option value="resource">Resource</option>
+                      <option value="route">Route</option>
+                    </select>
+                    <button className="button" type="button" onClick={() => searchMessages()}>
+                      Search
+                    </button>
+                  </div>
+                  <label className="meta">
+                    <input
+                      type="checkbox"
+                      checked={messageSearch.thisZone && !isPrivateFrequency(zoneId)}
+                      onChange={(e) => setMessageSearch((prev) => ({ ...prev, thisZone: e.target.checked }))}
+                      disabled={isPrivateFrequency(zoneId)}
+                    />{" "}
+                    This zone only
+                  </label>
+                  <label className="meta">
+                    <input
+                      type="checkbox"
+                      checked={messageSearch.sinceYesterday}
+                      onChange={(e) => setMessageSearch((prev) => ({ ...prev, sinceYesterday: e.target.checked }))}
+                    />{" "}
+                    Since yesterday
+                  </label>
+                  {searchError ? <div className="meta">{searchError}</div> : null}
+                  {searchResults ? (
+                    <div className="searchResults">
+                      {searchResults.messages.length === 0 ? <div className="empty">No matches.</div> : null}
+                      {searchResults.messages.map((m) => (
+                        <div key={m.id} className="searchResult">
+                          <div className="meta">
+                            {String(m.kind).toUpperCase()} • {m.name} • {zones.find((z) => z.id === m.zoneId)?.name || m.zoneId} •{" "}
+                            {formatTime(m.createdAt)}
+                          </div>
+                          <div className="searchText">{m.text}</div>
+                          {(m.coordinates || []).map((c) => (
+                            <button
+                              key={`${c.lat},${c.lng}`}
+                              className="gpsLink"
+                              type="button"
+                              onClick={() => startMapFocus(c.lat, c.lng)}
+                            >
+                              GPS: {c.lat}, {c.lng}
+                            </button>
+                          ))}
+                        </div>
+                      ))}
+                      {searchResults.before ? (
+                        <button className="chip" type="button" onClick={() => searchMessages({ more: true })}>
+                          More results
+                        </button>
+                      ) : null}
+                    </div>
+                  ) : null}
+                </div>
+
                 <div className="sideCard">
                   <div className="sideTitle">Zone Summary</div>
                   <div className="meta">Last 60 messages: {zoneSummary.total}</div>
@@ -1661,6 +2804,18 @@ function AppShell() {
                     <option value="critical">Critical</option>
                   </select>
                 </label>
+                <label className="label" style={{ width: 110 }}>
+                  People
+                  <input
+                    className="input"
+                    type="number"
+                    min={1}
+                    max={500}
+                    value={sosPeople}
+                    onChange={(e) => setSosPeople(e.target.value)}
+                    disabled={stealthLock}
+                  />
+                </label>
                 <label className="label" style={{ minWidth: 220, flex: 1 }}>
                   Sector (optional)
                   <select className="select" value={zoneId} onChange={(e) => setZoneId(e.target.value)} disabled={stealthLock}>
@@ -1682,12 +2837,21 @@ function AppShell() {
                 >
                   GPS: {sosAttachGps ? "ON" : "OFF"}
                 </button>
+                <button
+                  className={sosTriage ? "chip sosChipOn" : "chip"}
+                  type="button"
+                  onClick={() => setSosTriage((p) => !p)}
+                  title="Open alerts by priority: severity, category, wait, people and nearby hazards"
+                >
+                  Order: {sosTriage ? "TRIAGE" : "NEWEST"}
+                </button>
                 <button
                   className={sosOnlyOpen ? "chip sosChipOn" : "chip"}
                   type="button"
                   onClick={() => setSosOnlyOpen((p) => !p)}
+                  disabled={sosTriage}
                 >
-                  Show: {sosOnlyOpen ? "OPEN" : "ALL"}
+                  Show: {sosTriage || sosOnlyOpen ? "OPEN" : "ALL"}
                 </button>
                 <label className="label" style={{ width: 220, marginBottom: 0 }}>
                   Filter
@@ -1704,6 +2868,36 @@ function AppShell() {
                 <button className={sosSound ? "chip sosChipOn" : "chip"} type="button" onClick={toggleSosSound}>
                   Sound: {sosSound ? "ON" : "OFF"}
                 </button>
+                {mergeSelection.length ? (
+                  <>
+                    <button
+                      className="chip sosChipOn"
+                      type="button"
+                      onClick={mergeSelected}
+                      disabled={mergeSelection.length < 2 || stealthLock}
+                      title="Group the selected alerts into one incident"
+                    >
+                      Merge selected ({mergeSelection.length})
+                    </button>
+                    <button className="chip" type="button" onClick={() => setMergeSelection([])}>
+                      Clear
+                    </button>
+                  </>
+                ) : null}
+              </div>
+
+              <div className="sosMetaRow">
+                <span className="meta">On duty as:</span>
+                {RESPONDER_ROLES.map((role) => (
+                  <button
+                    key={role}
+                    className={dutyRoles.includes(role) ? "chip sosChipOn" : "chip"}
+                    type="button"
+                    onClick={() => setDutyRoles((prev) => (prev.includes(role) ? prev.filter((r) => r !== role) : [...prev, role]))}
+                  >
+                    {role}
+                  </button>
+                ))}
               </div>
 
               <div className="chipRow" style={{ marginTop: 10 }}>
@@ -1730,6 +2924,13 @@ function AppShell() {
                   maxLength={400}
                   disabled={stealthLock}
                 />
+                <AttachmentPicker
+                  attachments={sosAttachments}
+                  uploading={uploading}
+                  disabled={stealthLock}
+                  onPick={(files) => addAttachments(files, setSosAttachments)}
+                  onRemove={(id) => setSosAttachments((prev) => prev.filter((a) => a.id !== id))}
+                />
                 <button className="button buttonDanger" onClick={sendSos} disabled={!connected || busy || stealthLock}>
                   Send SOS
                 </button>
@@ -1739,8 +2940,8 @@ function AppShell() {
                 {filteredSosAlerts.length === 0 ? (
                   <div className="empty">No SOS alerts yet.</div>
                 ) : (
-                  filteredSosAlerts.map((a) => (
-                    <div key={a.id} className="logItem logItemSos">
+                  sosGroups.map(({ alert: a, incident, members }) => (
+                    <div key={incident?.id || a.id} className={incident ? "logItem logItemSos logItemIncident" : "logItem logItemSos"}>
                       <div className="logTop">
                         <span className="logName">{a.name}</span>
                         <span className="sosBadges">
@@ -1753,10 +2954,56 @@ function AppShell() {
                           <Badge tone={(a.status || (a.resolvedAt ? "resolved" : "open")) === "resolved" ? "good" : "bad"}>
                             {(a.status || (a.resolvedAt ? "resolved" : "open")).toUpperCase()}
                           </Badge>
+                          {incident ? <Badge tone="bad">INCIDENT ×{members.length}</Badge> : null}
+                          {sosTriage && triageData?.triage[a.id] ? (
+                            <span title={triageTitle(triageData.triage[a.id])}>
+                              <Badge tone="bad">P{Math.round(triageData.triage[a.id].score)}</Badge>
+                            </span>
+                          ) : null}
+                          {a.escalated ? (
+                            <span
+                              title={(a.escalations || [])
+                                .map((e) => `${formatTime(e.at)} ${e.fromSeverity} → ${e.toSeverity}: ${e.reason}`)
+                                .join("\n")}
+                            >
+                              <Badge tone="bad">ESCALATED ×{(a.escalations || []).length}</Badge>
+                            </span>
+                          ) : null}
                           <span className="logTime">{formatTime(a.createdAt)}</span>
                         </span>
                       </div>
                       <div className="logText">{a.message}</div>
+                      <AttachmentList attachments={a.attachments} />
+                      {incident ? (
+                        <div className="incidentBox">
+                          <div className="meta">
+                            {members.length} reports · {members.reduce((sum, m) => sum + (m.peopleCount || 1), 0)} people ·{" "}
+                            {incident.createdBy ? `merged by ${incident.createdBy.name}` : "grouped automatically"}
+                          </div>
+                          {incidentActors(members, "acknowledgements").length || incidentActors(members, "responders").length ? (
+                            <div className="meta">
+                              All reports: acknowledged by {incidentActors(members, "acknowledgements").length}, responders{" "}
+                              {incidentActors(members, "responders")
+                                .map((r) => r?.name || "Survivor")
+                                .join(", ") || "none"}
+                            </div>
+                          ) : null}
+                          {members.map((m) => (
+                            <div key={m.id} className="incidentMember">
+                              <span>
+                                {formatTime(m.createdAt)} {m.name} ({m.severity}): {m.message}
+                              </span>
+                              <button className="msgAction" onClick={() => splitFromIncident(incident.id, m.id)} disabled={stealthLock}>
+                                Split
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      ) : null}
+                      {a.peopleCount > 1 ? <div className="meta">People affected: {a.peopleCount}</div> : null}
+                      {sosTriage && triageData?.triage[a.id] ? (
+                        <div className="meta">{triageSummary(triageData.triage[a.id])}</div>
+                      ) : null}
                       {a.zoneId ? <div className="meta">Sector: {a.zoneId}</div> : null}
                       {a.location ? (
                         <div className="meta">GPS: {a.location.lat.toFixed(5)}, {a.location.lng.toFixed(5)}</div>
@@ -1779,6 +3026,35 @@ function AppShell() {
                         >
                           → Responding ({sosCounts(a.responders)})
                         </button>
+                        {(a.status || (a.resolvedAt ? "resolved" : "open")) === "open" ? (
+                          <button
+                            className={dispatchPanel?.sosId === a.id ? "msgAction msgActionOn" : "msgAction"}
+                            onClick={() => toggleDispatchPanel(a.id)}
+                            disabled={stealthLock}
+                            title="Assign the nearest on-duty responder"
+                          >
+                            Dispatch…
+                          </button>
+                        ) : null}
+                        <button
+                          className={mergeSelection.includes(incident?.id || a.id) ? "msgAction msgActionOn" : "msgAction"}
+                          onClick={() => toggleMergeSelection(incident?.id || a.id)}
+                          title="Select for merging duplicate reports into one incident"
+                        >
+                          {mergeSelection.includes(incident?.id || a.id) ? "Selected" : "Select"}
+                        </button>
+                        <button
+                          className={sosDetails[a.id] ? "msgAction msgActionOn" : "msgAction"}
+                          onClick={() => toggleSosHistory(a.id)}
+                          title="Every change on this alert, and its follow-up thread"
+                        >
+                          History{sosDetails[a.id]?.messages.length ? ` (${sosDetails[a.id].messages.length})` : ""}
+                        </button>
+                        {a.userId && a.userId !== identity.userId ? (
+                          <button className="msgAction" onClick={() => openDm(a.userId, a.name)} title="Message the sender directly">
+                            Message
+                          </button>
+                        ) : null}
                         <button
                           className={(a.status || (a.resolvedAt ? "resolved" : "open")) === "resolved" ? "msgAction" : "msgAction msgActionDanger"}
                           onClick={() => emitSosAction("sos_resolve", a.id)}
@@ -1788,6 +3064,68 @@ function AppShell() {
                         </button>
                       </div>
 
+                      {sosDetails[a.id] ? (
+                        <div className="sosHistory">
+                          {sosDetails[a.id].timeline.map((e) => (
+                            <div key={e.id} className="meta">
+                              {formatTime(e.at)} · {timelineLabel(e)}
+                            </div>
+                          ))}
+                          {sosDetails[a.id].messages.map((m) => (
+                            <div key={m.id} className="sosThreadMessage">
+                              <span className="logName">{m.name}</span> <span className="logTime">{formatTime(m.createdAt)}</span>
+                              <div>{m.text}</div>
+                            </div>
+                          ))}
+                          <div className="row rowTight">
+                            <input
+                              className="input"
+                              value={sosReplyInput[a.id] || ""}
+                              onChange={(e) => setSosReplyInput((prev) => ({ ...prev, [a.id]: e.target.value }))}
+                              onKeyDown={(e) => {
+                                if (e.key === "Enter") sendSosMessage(a.id);
+                              }}
+                              placeholder="Follow-up: status, directions, what's needed"
+                              maxLength={500}
+                              disabled={stealthLock}
+                            />
+                            <button className="button" onClick={() => sendSosMessage(a.id)} disabled={!connected || stealthLock}>
+                              Send
+                            </button>
+                          </div>
+                        </div>
+                      ) : null}
+                      {dispatchPanel?.sosId === a.id ? (
+                        <div className="dispatchList">
+                          {dispatchPanel.loading ? (
+                            <div className="meta">Finding responders…</div>
+                          ) : dispatchPanel.responders.length === 0 ? (
+                            <div className="meta">No responders on duty.</div>
+                          ) : (
+                            dispatchPanel.responders.map((r) => (
+                              <div key={r.userId} className={r.fits ? "dispatchRow" : "dispatchRow dispatchRowOff"}>
+                                <span>
+                                  {r.name} · {r.roles.join(", ")}
+                                  {Number.isFinite(r.distanceM) ? ` · ${(r.distanceM / 1000).toFixed(1)} km · ~${r.etaMinutes} min` : " · position unknown"}
+                                  {r.locationSource === "checkin" ? " (check-in)" : ""}
+                                  {r.busy ? " · busy" : ""}
+                                </span>
+                                <button className="msgAction" onClick={() => dispatchResponder(a.id, r)} disabled={stealthLock}>
+                                  Assign
+                                </button>
+                              </div>
+                            ))
+                          )}
+                        </div>
+                      ) : null}
+                      {a.dispatch && (a.status || (a.resolvedAt ? "resolved" : "open")) === "open" ? (
+                        <div className={a.userId === identity.userId ? "dispatchEta dispatchEtaMine" : "dispatchEta"}>
+                          {a.userId === identity.userId ? "Help is coming: " : "Dispatched: "}
+                          {a.dispatch.userId === identity.userId ? "you" : a.dispatch.name}
+                          {a.dispatch.eta ? ` · ETA ${formatTime(a.dispatch.eta)} (${a.dispatch.etaMinutes} min)` : ""}
+                          {` · assigned by ${a.dispatch.assignedBy?.name || "Survivor"}`}
+                        </div>
+                      ) : null}
                       {(Array.isArray(a.responders) && a.responders.length) || (Array.isArray(a.acknowledgements) && a.acknowledgements.length) ? (
                         <div className="meta">
                           {Array.isArray(a.responders) && a.responders.length ? `Responders: ${a.responders.map((r) => r?.name || "Survivor").slice(0, 3).join(", ")}${a.responders.length > 3 ? "…" : ""}` : null}
@@ -1795,6 +3133,17 @@ function AppShell() {
                           {a.resolvedAt ? `  •  Resolved: ${formatTime(a.resolvedAt)}${a.resolvedBy?.name ? ` by ${a.resolvedBy.name}` : ""}` : null}
                         </div>
                       ) : null}
+                      {a.userId === identity.userId && Array.isArray(a.responders) && a.responders.some((r) => r?.userId && r.userId !== identity.userId) ? (
+                        <div className="sosActionRow">
+                          {a.responders
+                            .filter((r) => r?.userId && r.userId !== identity.userId)
+                            .map((r) => (
+                              <button key={r.userId} className="msgAction" onClick={() => openDm(r.userId, r.name)}>
+                                Message {r.name || "responder"}
+                              </button>
+                            ))}
+                        </div>
+                      ) : null}
                     </div>
                   ))
                 )}
@@ -1934,6 +3283,7 @@ function AppShell() {
               <span className="legendItem"><span className="dot dotDanger" /> Danger Zone (broken streak)</span>
               <span className="legendItem"><span className="dot dotThreat" /> Threat Marker</span>
               <span className="legendItem"><span className="dot dotZone" /> Marked Zone</span>
+              <span className="legendItem"><span className="dot dotSector" /> Chat Zone Boundary</span>
             </div>
 
             <div className={markMode ? "mapWrap mapWrapMark" : "mapWrap"}>
@@ -1945,19 +3295,111 @@ function AppShell() {
 
                 <MapZoneMarkerPlacer enabled={markMode && !stealthLock} onPick={addZoneMarker} />
 
-                {camps.map((c) => (
-                  <Marker key={c.id} position={[c.location.lat, c.location.lng]}>
+                {zones
+                  .filter((z) => boundaryPositions(z.boundary))
+                  .map((z) => (
+                    <Polygon
+                      // interactive is fixed at creation; remount so mark mode clicks reach the map
+                      key={`${z.id}-${markMode}`}
+                      positions={boundaryPositions(z.boundary)}
+                      pathOptions={{
+                        color: "#7f8cff",
+                        weight: z.id === zoneId ? 2 : 1,
+                        fillOpacity: z.id === zoneId ? 0.08 : 0.03,
+                        dashArray: "6 4"
+                      }}
+                      interactive={!markMode}
+                    >
+                      <Tooltip sticky opacity={0.8}>
+                        {z.name}
+                      </Tooltip>
+                      <Popup>
+                        <div className="popupTitle">{z.name}</div>
+                        {z.description ? <div className="meta">{z.description}</div> : null}
+                        <button className="button" type="button" onClick={() => setZoneId(z.id)} disabled={z.id === zoneId}>
+                          {z.id === zoneId ? "Current chat zone" : "Switch chat to this zone"}
+                        </button>
+                      </Popup>
+                    </Polygon>
+                  ))}
+
+                {camps.map((c) => {
+                  const here = (c.occupants || []).some((o) => o.userId === identity.userId);
+                  return (
+                    <Marker key={c.id} position={[c.location.lat, c.location.lng]} opacity={c.full ? 0.6 : 1}>
+                      <Popup>
+                        <div className="popupTitle">{c.name}</div>
+                        <div className="meta">Status: {c.status}</div>
+                        {c.capacity ? (
+                          <div className="meta">
+                            Beds: {c.occupancy}/{c.capacity}
+                            {c.full ? <strong className="popupFull"> FULL</strong> : ` · ${c.free} free`}
+                          </div>
+                        ) : null}
+                        <div className="meta">
+                          Resources — Food: {c.resources.food}, Water: {c.resources.water}, Medical: {c.resources.medical}, Power: {c.resources.power}
+                        </div>
+                        {c.trend ? (
+                          <div className="meta">
+                            24h trend —{" "}
+                            {CAMP_RESOURCES.map((r) => `${r[0].toUpperCase()}${r.slice(1)}: ${formatTrend(c.trend[r])}`).join(", ")}
+                          </div>
+                        ) : null}
+                        {c.forecast && CAMP_RESOURCES.some((r) => c.forecast[r]?.hoursToEmpty != null) ? (
+                          <div className="meta">
+                            Runs out —{" "}
+                            {CAMP_RESOURCES.filter((r) => c.forecast[r]?.hoursToEmpty != null)
+                              .map(
+                                (r) =>
+                                  `${c.forecast[r].atRisk ? "⚠ " : ""}${r[0].toUpperCase()}${r.slice(1)}: ${formatHoursLeft(c.forecast[r].hoursToEmpty)}`
+                              )
+                              .join(", ")}
+                          </div>
+                        ) : null}
+                        {c.recentLedger?.length ? (
+                          <div className="popupLedger">
+                            {c.recentLedger.map((e) => (
+                              <div key={e.id} className="meta">
+                                {formatTime(e.at)} · {e.kind} {e.resource}{" "}
+                                {e.kind === "count" ? `= ${e.levelAfter}` : `${e.delta >= 0 ? "+" : ""}${e.delta}`}
+                                {e.name ? ` · ${e.name}` : ""}
+                              </div>
+                            ))}
+                          </div>
+                        ) : null}
+                        <button
+                          className={here ? "button buttonDanger" : "button"}
+                          type="button"
+                          onClick={() => toggleCampStay(c, here)}
+                          disabled={!connected || stealthLock || (!here && (c.full || c.status === "closed"))}
+                        >
+                          {here ? "Depart" : "I'm here"}
+                        </button>
+                      </Popup>
+                      <Tooltip direction="top" offset={[0, -10]} opacity={0.9}>
+                        {c.full ? `${c.name} (FULL)` : c.name}
+                      </Tooltip>
+                    </Marker>
+                  );
+                })}
+
+                {mapSosGroups.map(({ alert: a, incident, members, location }) => (
+                  <CircleMarker
+                    key={incident?.id || a.id}
+                    center={[location.lat, location.lng]}
+                    radius={10 + Math.min(members.length, 6) * 2}
+                    pathOptions={{ color: "#ff2a2a", fillColor: "#ff2a2a", fillOpacity: 0.5, weight: 3 }}
+                  >
                     <Popup>
-                      <div className="popupTitle">{c.name}</div>
-                      <div className="meta">Status: {c.status}</div>
+                      <div className="popupTitle">{incident ? `SOS Incident (${members.length} reports)` : "SOS"}</div>
                       <div className="meta">
-                        Resources — Food: {c.resources.food}, Water: {c.resources.water}, Medical: {c.resources.medical}, Power: {c.resources.power}
+                        {String(a.category || "general").toUpperCase()} · {String(a.severity || "high").toUpperCase()}
                       </div>
+                      <div className="meta">{a.message}</div>
+                      <div className="meta">People: {members.reduce((sum, m) => sum + (m.peopleCount || 1), 0)}</div>
+                      <div className="meta">First report: {formatTime(members.map((m) => m.createdAt).sort()[0])}</div>
                     </Popup>
-                    <Tooltip direction="top" offset={[0, -10]} opacity={0.9}>
-                      {c.name}
-                    </Tooltip>
-                  </Marker>
+                  </CircleMarker>
                 ))}
 
                 {dangerZones
@@ -2037,6 +3479,14 @@ function AppShell() {
                 <MapController focus={mapFocus} />
               </MapContainer>
             </div>
+
+            <SupplyBoard
+              board={supplyBoard}
+              camps={camps}
+              identity={identity}
+              disabled={!connected || stealthLock}
+              send={emitWithAck}
+            />
           </section>
         ) : null}
 
@@ -2184,6 +3634,18 @@ function AppShell() {
             />
           </div>
         ) : null}
+        {activeTab === "dm" ? (
+          <DirectMessages
+            conversations={dmConversations}
+            peer={dmPeer}
+            messages={(dmPeer && dmThreads[dmPeer.userId]) || []}
+            identity={identity}
+            disabled={!connected || stealthLock}
+            onOpen={openDm}
+            onSend={sendDm}
+          />
+        ) : null}
+
         {activeTab === "intel" ? (
           <Intel identity={identity} stealthLock={stealthLock} apiPost={apiPost} />
         ) : null}
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from "react";
+
+function formatTime(isoString) {
+  if (!isoString) return "";
+  const d = new Date(isoString);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString();
+}
+
+// Conversation list on the left, the open conversation on the right. State
+// lives in the app shell so unread badges keep counting while this tab is
+// closed.
+export function DirectMessages({ conversations, peer, messages, identity, disabled, onOpen, onSend }) {
+  const [input, setInput] = useState("");
+  const [newPeer, setNewPeer] = useState("");
+  const logRef = useRef(null);
+
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [messages.length, peer?.userId]);
+
+  function send() {
+    const text = input.trim();
+    if (!text || !peer) return;
+    setInput("");
+    onSend(text);
+  }
+
+  const lastMine = [...messages].reverse().find((m) => m.fromUserId === identity.userId);
+
+  return (
+    <section className="panel tabPanel">
+      <div className="panelHeader">
+        <div className="panelTitle">Direct Messages</div>
+        <div className="panelHint">One-to-one with another survivor. Start one from an SOS card or by survivor ID.</div>
+      </div>
+
+      <div className="dmLayout">
+        <div className="dmList">
+          <div className="row">
+            <input
+              className="input mono"
+              placeholder="Survivor ID"
+              value={newPeer}
+              onChange={(e) => setNewPeer(e.target.value)}
+              disabled={disabled}
+            />
+            <button
+              className="button"
+              type="button"
+              onClick={() => {
+                if (newPeer.trim()) onOpen(newPeer.trim(), null);
+                setNewPeer("");
+              }}
+              disabled={disabled || !newPeer.trim()}
+            >
+              Open
+            </button>
+          </div>
+          {conversations.length === 0 ? <div className="meta">No conversations yet.</div> : null}
+          {conversations.map((c) => (
+            <button
+              key={c.withUserId}
+              type="button"
+              className={peer?.userId === c.withUserId ? "dmConversation dmConversationOn" : "dmConversation"}
+              onClick={() => onOpen(c.withUserId, c.withName)}
+            >
+              <span className="logName">{c.withName || c.withUserId}</span>
+              {c.unread ? <span className="badge badge-bad">{c.unread}</span> : null}
+              <span className="meta dmPreview">{c.lastMessage?.text}</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="dmThread">
+          {!peer ? (
+            <div className="empty">Pick a conversation.</div>
+          ) : (
+            <>
+              <div className="sideTitle">{peer.name || peer.userId}</div>
+              <div className="log" ref={logRef}>
+                {messages.length === 0 ? <div className="empty">No messages yet.</div> : null}
+                {messages.map((m) => (
+                  <div key={m.id} className={m.fromUserId === identity.userId ? "logItem dmMine" : "logItem"}>
+                    <div className="logTop">
+                      <span className="logName">{m.fromName}</span>
+                      <span className="logTime">{formatTime(m.createdAt)}</span>
+                    </div>
+                    <div className="logText">{m.text}</div>
+                    {m === lastMine && m.readAt ? <div className="meta">Read {formatTime(m.readAt)}</div> : null}
+                  </div>
+                ))}
+              </div>
+              <div className="composer">
+                <input
+                  className="input"
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") send();
+                  }}
+                  maxLength={600}
+                  placeholder={disabled ? "Transmissions muted" : "Message…"}
+                  disabled={disabled}
+                />
+                <button className="button" type="button" onClick={send} disabled={disabled}>
+                  Send
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
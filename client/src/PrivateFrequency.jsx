@@ -0,0 +1,104 @@
+import { useState } from "react";
+
+// Create or tune into a passphrase/invite-protected frequency. Credentials
+// are handed to onJoined so the shell can re-authenticate after reconnects;
+// nothing here is persisted.
+export function PrivateFrequency({ activeId, canInvite, identity, disabled, send, onJoined }) {
+  const [mode, setMode] = useState("join");
+  const [name, setName] = useState("");
+  const [code, setCode] = useState("");
+  const [passphrase, setPassphrase] = useState("");
+  const [encrypt, setEncrypt] = useState(true);
+  const [invite, setInvite] = useState(null);
+  const [status, setStatus] = useState("");
+
+  async function submit() {
+    setStatus("");
+    let ack;
+    let credential;
+    if (mode === "create") {
+      ack = await send("channel_create", { name: name.trim(), passphrase, encrypt, userId: identity.userId });
+      credential = { channelId: ack?.channel?.id, passphrase };
+    } else {
+      // A pasted invite token carries the frequency code before the dot.
+      const value = code.trim();
+      credential = value.includes(".") ? { inviteToken: value } : { channelId: value, passphrase };
+      ack = await send("channel_join", credential);
+    }
+    if (!ack?.ok) {
+      setStatus(ack?.error || "Could not tune in");
+      return;
+    }
+    onJoined(ack.channel, credential);
+    setPassphrase("");
+    setCode("");
+    setInvite(null);
+    setStatus(mode === "create" ? `Created ${ack.channel.name}. Share code ${ack.channel.id} and the passphrase.` : `Tuned into ${ack.channel.name}.`);
+  }
+
+  async function makeInvite() {
+    setStatus("");
+    const ack = await send("channel_invite", { channelId: activeId });
+    if (ack?.ok) setInvite(ack);
+    else setStatus(ack?.error || "Could not create invite");
+  }
+
+  return (
+    <div className="privateFrequency">
+      <div className="row" style={{ alignItems: "end" }}>
+        <label className="label" style={{ width: 120 }}>
+          Private
+          <select className="select" value={mode} onChange={(e) => setMode(e.target.value)} disabled={disabled}>
+            <option value="join">Join</option>
+            <option value="create">Create</option>
+          </select>
+        </label>
+        {mode === "create" ? (
+          <label className="label" style={{ flex: 1, minWidth: 140 }}>
+            Name
+            <input className="input" value={name} onChange={(e) => setName(e.target.value)} maxLength={40} disabled={disabled} />
+          </label>
+        ) : (
+          <label className="label" style={{ flex: 1, minWidth: 180 }}>
+            Code or invite token
+            <input className="input mono" value={code} onChange={(e) => setCode(e.target.value)} disabled={disabled} />
+          </label>
+        )}
+        {mode === "create" || !code.includes(".") ? (
+          <label className="label" style={{ flex: 1, minWidth: 140 }}>
+            Passphrase
+            <input
+              className="input"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              disabled={disabled}
+            />
+          </label>
+        ) : null}
+        {mode === "create" ? (
+          <label className="label" title="Store messages encrypted with a key derived from the passphrase">
+            <span>
+              <input type="checkbox" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} disabled={disabled} /> Encrypt
+            </span>
+          </label>
+        ) : null}
+        <button className="button" type="button" onClick={submit} disabled={disabled}>
+          {mode === "create" ? "Create" : "Tune in"}
+        </button>
+        {canInvite ? (
+          <button className="chip" type="button" onClick={makeInvite} disabled={disabled}>
+            Invite
+          </button>
+        ) : null}
+      </div>
+      {invite ? (
+        <div className="meta">
+          Invite (expires {new Date(invite.expiresAt).toLocaleString()}):{" "}
+          <input className="input mono" readOnly value={invite.token} onFocus={(e) => e.target.select()} />
+        </div>
+      ) : null}
+      {status ? <div className="meta">{status}</div> : null}
+    </div>
+  );
+}
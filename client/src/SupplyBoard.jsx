@@ -0,0 +1,174 @@
+import { useState } from "react";
+
+const RESOURCES = ["food", "water", "medical", "power"];
+const URGENCIES = ["low", "normal", "high", "critical"];
+
+const TRANSFER_ACTIONS = {
+  accepted: ["dispatch", "deliver", "cancel"],
+  in_transit: ["deliver", "cancel"]
+};
+
+const ACTION_DONE = {
+  dispatch: "Transfer marked in transit.",
+  deliver: "Transfer delivered; camp levels updated.",
+  cancel: "Transfer cancelled."
+};
+
+export function SupplyBoard({ board, camps, identity, disabled, send }) {
+  const [kind, setKind] = useState("request");
+  const [campId, setCampId] = useState("");
+  const [resource, setResource] = useState("medical");
+  const [quantity, setQuantity] = useState(10);
+  const [urgency, setUrgency] = useState("normal");
+  const [note, setNote] = useState("");
+  const [status, setStatus] = useState("");
+
+  const campName = (id) => camps.find((c) => c.id === id)?.name || id;
+  const actor = { userId: identity.userId, name: identity.name };
+
+  async function run(event, payload, done) {
+    setStatus("");
+    const ack = await send(event, { ...actor, ...payload });
+    if (ack?.ok) setStatus(done);
+    else setStatus(ack?.error || "Request failed");
+    return ack;
+  }
+
+  async function post() {
+    const payload = { campId: campId || camps[0]?.id, resource, quantity, note: note.trim() };
+    if (kind === "request") payload.urgency = urgency;
+    const ack = await run(kind === "request" ? "supply_request_add" : "supply_offer_add", payload, `Supply ${kind} posted.`);
+    if (ack?.ok) setNote("");
+  }
+
+  return (
+    <div className="supplyBoard">
+      <div className="panelHeader">
+        <div className="panelTitle">Supply Board</div>
+        <div className="panelHint">Camps post needs and surplus; matches are ranked by distance and donor surplus.</div>
+      </div>
+
+      <div className="row" style={{ alignItems: "end" }}>
+        <label className="label" style={{ width: 130 }}>
+          Post
+          <select className="select" value={kind} onChange={(e) => setKind(e.target.value)} disabled={disabled}>
+            <option value="request">Request</option>
+            <option value="offer">Offer</option>
+          </select>
+        </label>
+        <label className="label" style={{ flex: 1, minWidth: 180 }}>
+          Camp
+          <select className="select" value={campId || camps[0]?.id || ""} onChange={(e) => setCampId(e.target.value)} disabled={disabled}>
+            {camps.map((c) => (
+              <option key={c.id} value={c.id}>{c.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="label" style={{ width: 130 }}>
+          Resource
+          <select className="select" value={resource} onChange={(e) => setResource(e.target.value)} disabled={disabled}>
+            {RESOURCES.map((r) => (
+              <option key={r} value={r}>{r}</option>
+            ))}
+          </select>
+        </label>
+        <label className="label" style={{ width: 100 }}>
+          Qty (%)
+          <input
+            className="input"
+            type="number"
+            min={1}
+            max={100}
+            value={quantity}
+            onChange={(e) => setQuantity(Number(e.target.value))}
+            disabled={disabled}
+          />
+        </label>
+        {kind === "request" ? (
+          <label className="label" style={{ width: 130 }}>
+            Urgency
+            <select className="select" value={urgency} onChange={(e) => setUrgency(e.target.value)} disabled={disabled}>
+              {URGENCIES.map((u) => (
+                <option key={u} value={u}>{u}</option>
+              ))}
+            </select>
+          </label>
+        ) : null}
+        <label className="label" style={{ flex: 1, minWidth: 160 }}>
+          Note
+          <input className="input" value={note} onChange={(e) => setNote(e.target.value)} maxLength={180} disabled={disabled} />
+        </label>
+        <button className="button" type="button" onClick={post} disabled={disabled || !camps.length}>
+          Post
+        </button>
+      </div>
+      {status ? <div className="meta">{status}</div> : null}
+
+      <div className="cardGrid">
+        <div className="card">
+          <div className="cardTitle">Open Requests</div>
+          {board.requests.length === 0 ? <div className="meta">No open requests.</div> : null}
+          {board.requests.map((r) => (
+            <div key={r.id} className="supplyItem">
+              <div className="cardLine">
+                {campName(r.campId)} needs {r.remaining}/{r.quantity} {r.resource} · {r.urgency}
+              </div>
+              {r.note ? <div className="meta">{r.note}</div> : null}
+              {(r.matches || []).map((m) => (
+                <div key={m.offerId} className="row supplyMatch">
+                  <span className="meta">
+                    {m.fromCampName} · {m.quantity} · {m.distanceKm} km · surplus {m.surplus}
+                  </span>
+                  <button
+                    className="button"
+                    type="button"
+                    disabled={disabled}
+                    onClick={() => run("supply_transfer_accept", { requestId: r.id, offerId: m.offerId }, "Transfer accepted.")}
+                  >
+                    Accept
+                  </button>
+                </div>
+              ))}
+              {r.status === "open" && !r.matches?.length ? <div className="meta">No matching offers yet.</div> : null}
+            </div>
+          ))}
+        </div>
+
+        <div className="card">
+          <div className="cardTitle">Offers</div>
+          {board.offers.length === 0 ? <div className="meta">No offers.</div> : null}
+          {board.offers.map((o) => (
+            <div key={o.id} className="cardLine">
+              {campName(o.campId)} can spare {o.remaining}/{o.quantity} {o.resource}
+            </div>
+          ))}
+        </div>
+
+        <div className="card">
+          <div className="cardTitle">Transfers</div>
+          {board.transfers.length === 0 ? <div className="meta">Nothing in motion.</div> : null}
+          {board.transfers.map((t) => (
+            <div key={t.id} className="supplyItem">
+              <div className="cardLine">
+                {t.quantity} {t.resource}: {campName(t.fromCampId)} → {campName(t.toCampId)} · {t.status.replace("_", " ")}
+              </div>
+              <div className="row">
+                {(TRANSFER_ACTIONS[t.status] || []).map((action) => (
+                  <button
+                    key={action}
+                    className={action === "cancel" ? "button buttonDanger" : "button"}
+                    type="button"
+                    disabled={disabled}
+                    onClick={() => run("supply_transfer_update", { transferId: t.id, action }, ACTION_DONE[action])}
+                  >
+                    {action}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+// Rebuilds server state from the append-only event log and writes it as a
+// snapshot the in-memory backend can boot from.
+//
+// Usage: node scripts/replay-events.mjs [events.ndjson] [snapshot.json]
+import path from "path";
+import { fileURLToPath } from "url";
+import { createInitialState } from "../server/state.js";
+import { DEFAULT_EVENT_LOG_FILE, replayEvents } from "../server/events.js";
+import { serializeState, writeSnapshot } from "../server/snapshot.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const input = path.resolve(process.argv[2] || DEFAULT_EVENT_LOG_FILE);
+const output = path.resolve(process.argv[3] || path.join(__dirname, "..", "server", "data", "snapshot.replayed.json"));
+
+const state = createInitialState();
+const { count, lastSeq } = await replayEvents(state, input);
+await writeSnapshot(output, serializeState(state));
+
+// eslint-disable-next-line no-console
+console.log(`Replayed ${count} events (last seq ${lastSeq}) from ${input}`);
+// eslint-disable-next-line no-console
+console.log(`Wrote ${output} — point SNAPSHOT_FILE at it to boot from the rebuilt state.`);
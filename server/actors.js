@@ -0,0 +1,8 @@
+// Who did something, as recorded on the record they changed: a trimmed user
+// id (null when absent) and a display name.
+export function actorOf({ userId, name } = {}) {
+  return {
+    userId: String(userId || "").trim() || null,
+    name: String(name || "Unknown Survivor").slice(0, 60)
+  };
+}
@@ -0,0 +1,131 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_UPLOAD_DIR = path.resolve(__dirname, "data", "uploads");
+export const URL_PREFIX = "/api/uploads";
+export const MAX_ATTACHMENTS = 4;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const THUMB_SIZE = 320;
+
+// Accepted uploads and the extension they are stored under.
+export const ATTACHMENT_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "application/pdf": "pdf"
+};
+
+// The type comes from the file's magic bytes, never from the client.
+export function sniffType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return "image/png";
+  if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString("latin1", 0, 6))) return "image/gif";
+  if (buffer.length >= 5 && buffer.toString("latin1", 0, 5) === "%PDF-") return "application/pdf";
+  return null;
+}
+
+// sharp ships with the server. If its native build can't load on this
+// platform, uploads still work; images just have no thumbnail or dimensions.
+let sharpLoader = null;
+function loadSharp() {
+  sharpLoader ??= import("sharp")
+    .then((m) => m.default)
+    .catch((e) => {
+      // eslint-disable-next-line no-console
+      console.warn(`sharp failed to load, image thumbnails are off: ${e?.message || e}`);
+      return null;
+    });
+  return sharpLoader;
+}
+
+function cleanName(value, ext) {
+  const base = path
+    .basename(String(value || ""))
+    .replace(/[^\w. -]+/g, "")
+    .trim()
+    .slice(0, 80);
+  return base || `attachment.${ext}`;
+}
+
+// What chat messages and SOS alerts carry.
+export function attachmentRef(attachment) {
+  const { id, name, type, size, width, height, url, thumbUrl } = attachment;
+  return { id, name, type, size, width, height, url, thumbUrl };
+}
+
+// Files live under `<dir>/files` (served at URL_PREFIX), metadata under
+// `<dir>/meta/<id>.json`.
+export async function createAttachmentStore(options = {}) {
+  const dir = path.resolve(options.dir || process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+  const maxBytes = Number(options.maxBytes || process.env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES;
+  const makeId = options.makeId;
+  const filesDir = path.join(dir, "files");
+  const metaDir = path.join(dir, "meta");
+  await fs.promises.mkdir(filesDir, { recursive: true });
+  await fs.promises.mkdir(metaDir, { recursive: true });
+
+  async function thumbnail(buffer, id) {
+    const sharp = await loadSharp();
+    if (!sharp) return {};
+    try {
+      const image = sharp(buffer);
+      const { width, height } = await image.metadata();
+      const thumbFile = `${id}.thumb.webp`;
+      await image
+        .rotate()
+        .resize({ width: THUMB_SIZE, height: THUMB_SIZE, fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toFile(path.join(filesDir, thumbFile));
+      return { width, height, thumbUrl: `${URL_PREFIX}/${thumbFile}` };
+    } catch {
+      // a corrupt image is still stored; it just has no preview
+      return {};
+    }
+  }
+
+  async function save(buffer, { name, userId } = {}) {
+    if (!buffer?.length) throw new Error("Empty upload");
+    if (buffer.length > maxBytes) throw new Error("File is too large");
+    const type = sniffType(buffer);
+    if (!type) throw new Error("Unsupported file type");
+
+    const id = makeId();
+    const ext = ATTACHMENT_TYPES[type];
+    const file = `${id}.${ext}`;
+    await fs.promises.writeFile(path.join(filesDir, file), buffer);
+    const preview = type.startsWith("image/") ? await thumbnail(buffer, id) : {};
+    const attachment = {
+      id,
+      name: cleanName(name, ext),
+      type,
+      size: buffer.length,
+      width: preview.width || null,
+      height: preview.height || null,
+      url: `${URL_PREFIX}/${file}`,
+      thumbUrl: preview.thumbUrl || null,
+      uploadedBy: String(userId || "").trim() || null,
+      createdAt: new Date().toISOString()
+    };
+    await fs.promises.writeFile(path.join(metaDir, `${id}.json`), JSON.stringify(attachment));
+    return attachment;
+  }
+
+  async function get(id) {
+    if (!/^[\w-]+$/.test(String(id || ""))) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(metaDir, `${id}.json`), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  return { dir, filesDir, maxBytes, save, get };
+}
@@ -0,0 +1,250 @@
+import { distanceKm, normalizeLocation } from "./geo.js";
+
+export const CAMP_STATUSES = ["safe", "watch", "critical", "closed"];
+export const CAMP_RESOURCES = ["food", "water", "medical", "power"];
+export const LEDGER_KINDS = ["delivery", "consumption", "count"];
+const DEFAULT_CAPACITY = 50;
+
+export function normalizeCampStatus(value, fallback = "safe") {
+  const v = String(value || "").toLowerCase();
+  return CAMP_STATUSES.includes(v) ? v : fallback;
+}
+
+function normalizeCampName(value) {
+  const name = String(value || "").trim().slice(0, 80);
+  if (!name) throw new Error("Camp name is required");
+  return name;
+}
+
+function normalizeCapacity(value) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n) || n < 1 || n > 100000) throw new Error("capacity must be a positive number of beds");
+  return n;
+}
+
+function clampLevel(n) {
+  return Math.max(0, Math.min(100, Math.round(n)));
+}
+
+function normalizeResources(input, base = {}) {
+  const out = {};
+  for (const r of CAMP_RESOURCES) {
+    const n = Number(input?.[r]);
+    out[r] = Number.isFinite(n) ? clampLevel(n) : (base[r] ?? 0);
+  }
+  return out;
+}
+
+// Status thresholds in resource percent: any resource below `critical` makes
+// the camp critical, below `watch` puts it on watch.
+export function campStatusThresholds() {
+  const critical = Number(process.env.CAMP_CRITICAL_BELOW);
+  const watch = Number(process.env.CAMP_WATCH_BELOW);
+  return {
+    critical: Number.isFinite(critical) ? critical : 20,
+    watch: Number.isFinite(watch) ? watch : 30
+  };
+}
+
+// "closed" is the only status a coordinator sets by hand; everything else
+// follows the resource levels.
+export function deriveCampStatus(camp, thresholds = campStatusThresholds()) {
+  if (camp.status === "closed") return "closed";
+  const lowest = Math.min(...CAMP_RESOURCES.map((r) => Number(camp.resources?.[r] ?? 0)));
+  if (lowest < thresholds.critical) return "critical";
+  if (lowest < thresholds.watch) return "watch";
+  return "safe";
+}
+
+export function createCamp(payload, makeId) {
+  const { name, status, location, resources, capacity } = payload || {};
+  const loc = normalizeLocation(location);
+  if (!loc) throw new Error("Missing location");
+  const now = new Date().toISOString();
+  const camp = {
+    id: `camp-${makeId()}`,
+    name: normalizeCampName(name),
+    status: normalizeCampStatus(status),
+    location: loc,
+    resources: normalizeResources(resources),
+    capacity: capacity === undefined || capacity === null ? DEFAULT_CAPACITY : normalizeCapacity(capacity),
+    createdAt: now,
+    updatedAt: now,
+    retiredAt: null
+  };
+  camp.status = deriveCampStatus(camp);
+  return camp;
+}
+
+// Returns a new camp with the allowed fields of `patch` applied: rename, move,
+// close/reopen, resize. Unknown fields are ignored; resource levels only change
+// through the ledger.
+export function applyCampPatch(camp, patch) {
+  const next = { ...camp };
+  if (patch?.name !== undefined) next.name = normalizeCampName(patch.name);
+  if (patch?.status !== undefined) {
+    const status = normalizeCampStatus(patch.status, null);
+    if (!status) throw new Error(`Camp status must be one of: ${CAMP_STATUSES.join(", ")}`);
+    // Any open status reopens the camp; the ledger decides which one.
+    next.status = deriveCampStatus({ ...next, status });
+  }
+  if (patch?.location !== undefined) {
+    const loc = normalizeLocation(patch.location);
+    if (!loc) throw new Error("Invalid location");
+    next.location = loc;
+  }
+  if (patch?.capacity !== undefined) next.capacity = normalizeCapacity(patch.capacity);
+  next.updatedAt = new Date().toISOString();
+  return next;
+}
+
+export function retireCamp(camp) {
+  const now = new Date().toISOString();
+  return { ...camp, status: "closed", retiredAt: camp.retiredAt || now, updatedAt: now };
+}
+
+export function createLedgerEntry(camp, payload, makeId) {
+  const { resource, kind, amount, note, userId, name } = payload || {};
+  if (!CAMP_RESOURCES.includes(resource)) {
+    throw new Error(`resource must be one of: ${CAMP_RESOURCES.join(", ")}`);
+  }
+  if (!LEDGER_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of: ${LEDGER_KINDS.join(", ")}`);
+  }
+  const n = Number(amount);
+  if (!Number.isFinite(n) || n < 0) throw new Error("amount must be a non-negative number");
+
+  const before = Number(camp.resources?.[resource] ?? 0);
+  let after = before;
+  if (kind === "count") after = clampLevel(n);
+  else if (kind === "delivery") after = clampLevel(before + n);
+  else after = clampLevel(before - n);
+
+  return {
+    id: makeId(),
+    campId: camp.id,
+    resource,
+    kind,
+    amount: Math.round(n),
+    delta: after - before,
+    levelAfter: after,
+    note: String(note || "").trim().slice(0, 180) || null,
+    userId: String(userId || "").trim() || null,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    at: new Date().toISOString()
+  };
+}
+
+// Opening stock for a new camp, recorded as counts so its ledger is complete.
+export function openingLedgerEntries(camp, { userId, name } = {}, makeId) {
+  return CAMP_RESOURCES.map((resource) =>
+    createLedgerEntry(
+      { ...camp, resources: {} },
+      { userId, name, resource, kind: "count", amount: camp.resources[resource], note: "Opening stock" },
+      makeId
+    )
+  );
+}
+
+export function applyLedgerEntry(camp, entry) {
+  const next = {
+    ...camp,
+    resources: { ...camp.resources, [entry.resource]: entry.levelAfter },
+    updatedAt: entry.at
+  };
+  next.status = deriveCampStatus(next);
+  return next;
+}
+
+// Net change per resource across `entries` (any order) at or after `since`.
+export function ledgerTrend(entries, since = null) {
+  const trend = Object.fromEntries(CAMP_RESOURCES.map((r) => [r, 0]));
+  for (const e of entries || []) {
+    if (since && e.at < since) continue;
+    if (e?.resource in trend && e.kind !== "count") trend[e.resource] += Number(e.delta) || 0;
+  }
+  return trend;
+}
+
+export function campForecastSettings() {
+  const windowHours = Number(process.env.CAMP_BURN_WINDOW_HOURS);
+  const horizonHours = Number(process.env.CAMP_FORECAST_HORIZON_HOURS);
+  return {
+    windowHours: windowHours > 0 ? windowHours : 24,
+    horizonHours: horizonHours > 0 ? horizonHours : 24
+  };
+}
+
+// Time-to-empty per resource from the burn rate over the last `windowHours`.
+// Consumption and stock counts that came in lower than expected both count
+// as burn; the rate runs from the oldest such entry (at least an hour back)
+// so a single fresh entry doesn't read as a huge hourly rate.
+export function forecastDepletion(camp, entries, { now = new Date(), ...settings } = {}) {
+  const { windowHours, horizonHours } = { ...campForecastSettings(), ...settings };
+  const nowMs = now.getTime();
+  const windowStart = nowMs - windowHours * 3600_000;
+  const burned = Object.fromEntries(CAMP_RESOURCES.map((r) => [r, { amount: 0, since: nowMs }]));
+
+  for (const e of entries || []) {
+    const b = burned[e?.resource];
+    const at = Date.parse(e?.at);
+    if (!b || !(at >= windowStart) || e.campId !== camp.id) continue;
+    if (e.kind === "delivery" || !(e.delta < 0)) continue;
+    b.amount += -e.delta;
+    b.since = Math.min(b.since, at);
+  }
+
+  const forecast = {};
+  for (const r of CAMP_RESOURCES) {
+    const { amount, since } = burned[r];
+    const hours = Math.max(1, (nowMs - since) / 3600_000);
+    const burnPerHour = amount / hours;
+    const level = Number(camp.resources?.[r] ?? 0);
+    const hoursToEmpty = burnPerHour > 0 ? Math.round((level / burnPerHour) * 10) / 10 : null;
+    forecast[r] = {
+      burnPerHour: Math.round(burnPerHour * 100) / 100,
+      hoursToEmpty,
+      emptyAt: hoursToEmpty === null ? null : new Date(nowMs + hoursToEmpty * 3600_000).toISOString(),
+      atRisk: hoursToEmpty !== null && hoursToEmpty <= horizonHours
+    };
+  }
+  return forecast;
+}
+
+// A survivor's stay at a camp, open until they depart.
+export function createStay(camp, { userId, name } = {}, makeId) {
+  const uid = String(userId || "").trim();
+  if (!uid) throw new Error("userId is required");
+  return {
+    id: makeId(),
+    campId: camp.id,
+    userId: uid,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    arrivedAt: new Date().toISOString(),
+    departedAt: null
+  };
+}
+
+export function endStay(stay) {
+  return { ...stay, departedAt: stay.departedAt || new Date().toISOString() };
+}
+
+export function campOccupancy(camp, activeStays) {
+  const capacity = Number(camp.capacity) || DEFAULT_CAPACITY;
+  const occupancy = activeStays.length;
+  return { capacity, occupancy, free: Math.max(0, capacity - occupancy), full: occupancy >= capacity };
+}
+
+// Nearest open camp with a free bed, for camps already carrying occupancy.
+export function recommendCamp(camps, location) {
+  let best = null;
+  for (const camp of camps) {
+    if (camp.retiredAt || camp.status === "closed" || !(camp.free > 0)) continue;
+    const km = distanceKm(location, camp.location);
+    if (km === null) continue;
+    if (!best || km < best.distanceKm) {
+      best = { campId: camp.id, name: camp.name, free: camp.free, distanceKm: Math.round(km * 10) / 10 };
+    }
+  }
+  return best;
+}
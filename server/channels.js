@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Private frequencies live in the same room namespace as zones; the prefix
+// is how every handler tells them apart without a lookup.
+export const PRIVATE_CHANNEL_PREFIX = "freq-";
+const SEALED_PREFIX = "enc:v1:";
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const INVITE_MAX_USES = 20;
+
+export function isPrivateChannelId(id) {
+  return String(id || "").startsWith(PRIVATE_CHANNEL_PREFIX);
+}
+
+function normalizePassphrase(value) {
+  const passphrase = String(value || "");
+  if (passphrase.length < 6) throw new Error("Passphrase must be at least 6 characters");
+  if (passphrase.length > 200) throw new Error("Passphrase is too long");
+  return passphrase;
+}
+
+async function derive(secret, saltHex) {
+  return scrypt(secret, Buffer.from(saltHex, "hex"), 32);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// The public face of a channel; salts, hashes and invites never leave the
+// server.
+export function publicChannel(channel) {
+  return { id: channel.id, name: channel.name, encrypted: channel.encrypted, createdAt: channel.createdAt };
+}
+
+// Returns the stored channel plus the message key (null unless encrypted).
+// The key is derived from the passphrase with its own salt, so the stored
+// verifier can't decrypt anything.
+export async function createPrivateChannel(payload, makeId) {
+  const { name, passphrase, encrypt, userId } = payload || {};
+  const channelName = String(name || "").trim().slice(0, 40);
+  if (!channelName) throw new Error("Channel name is required");
+  const secret = normalizePassphrase(passphrase);
+
+  const passSalt = crypto.randomBytes(16).toString("hex");
+  const keySalt = crypto.randomBytes(16).toString("hex");
+  const encrypted = Boolean(encrypt);
+  const channel = {
+    id: `${PRIVATE_CHANNEL_PREFIX}${makeId()}`,
+    name: channelName,
+    encrypted,
+    passSalt,
+    passHash: (await derive(secret, passSalt)).toString("hex"),
+    keySalt,
+    invites: [],
+    createdBy: String(userId || "").trim() || null,
+    createdAt: new Date().toISOString()
+  };
+  return { channel, key: encrypted ? await derive(secret, keySalt) : null };
+}
+
+// Resolves to { key } on success (key null for unencrypted channels), or
+// null when the passphrase is wrong.
+export async function verifyPassphrase(channel, passphrase) {
+  const candidate = await derive(String(passphrase || ""), channel.passSalt);
+  const expected = Buffer.from(channel.passHash, "hex");
+  if (candidate.length !== expected.length || !crypto.timingSafeEqual(candidate, expected)) return null;
+  return { key: channel.encrypted ? await derive(String(passphrase), channel.keySalt) : null };
+}
+
+// Invite tokens are `<channelId>.<secret>`. Only a hash of the secret is
+// stored; for encrypted channels the message key is wrapped with it so the
+// invitee never needs the passphrase.
+export async function createInvite(channel, key) {
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const wrapSalt = crypto.randomBytes(16).toString("hex");
+  const invite = {
+    hash: sha256(secret),
+    wrapSalt,
+    wrappedKey: key ? sealText(await derive(secret, wrapSalt), key.toString("hex")) : null,
+    usesLeft: INVITE_MAX_USES,
+    expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+  };
+  const now = new Date().toISOString();
+  const invites = [...(channel.invites || []).filter((i) => i.expiresAt > now && i.usesLeft > 0), invite];
+  return { channel: { ...channel, invites }, token: `${channel.id}.${secret}`, expiresAt: invite.expiresAt };
+}
+
+export function inviteChannelId(token) {
+  const [channelId] = String(token || "").split(".");
+  return isPrivateChannelId(channelId) ? channelId : null;
+}
+
+// Resolves to { channel, key } with the invite's use counted, or null when
+// the token is unknown, used up or expired.
+export async function redeemInvite(channel, token) {
+  const secret = String(token || "").split(".")[1] || "";
+  const hash = sha256(secret);
+  const now = new Date().toISOString();
+  const invite = (channel.invites || []).find((i) => i.hash === hash);
+  if (!invite || invite.expiresAt <= now || invite.usesLeft <= 0) return null;
+
+  let key = null;
+  if (invite.wrappedKey) {
+    const hex = openText(await derive(secret, invite.wrapSalt), invite.wrappedKey);
+    if (!hex) return null;
+    key = Buffer.from(hex, "hex");
+  }
+  const invites = channel.invites.map((i) => (i === invite ? { ...i, usesLeft: i.usesLeft - 1 } : i));
+  return { channel: { ...channel, invites }, key };
+}
+
+export function isSealed(value) {
+  return typeof value === "string" && value.startsWith(SEALED_PREFIX);
+}
+
+// AES-256-GCM; output is `enc:v1:<iv>:<tag>:<ciphertext>` in base64url.
+export function sealText(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(String(text), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${SEALED_PREFIX}${[iv, tag, data].map((b) => b.toString("base64url")).join(":")}`;
+}
+
+// Plaintext for a sealed value, the value itself if it isn't sealed, or null
+// if the key doesn't fit.
+export function openText(key, value) {
+  if (!isSealed(value)) return value;
+  if (!key) return null;
+  try {
+    const [iv, tag, data] = value.slice(SEALED_PREFIX.length).split(":").map((p) => Buffer.from(p, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
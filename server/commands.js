@@ -0,0 +1,66 @@
+import { SOS_CATEGORIES, SOS_SEVERITIES, ZONE_MARKER_KINDS } from "./constants.js";
+import { extractCoordinates } from "./messages.js";
+
+export const CHAT_COMMAND_USAGE = {
+  sos: "/sos [category] [severity] <message>",
+  mark: "/mark <safe|danger|resource|rally|blocked> [radius in m] [label]",
+  checkin: "/checkin [note]",
+  pin: "/pin (pins the message you reply to, or the latest one)",
+  help: "/help"
+};
+
+function usage(name) {
+  return new Error(`Usage: ${CHAT_COMMAND_USAGE[name]}`);
+}
+
+// A "GPS: lat, lng" in the text wins over the sender's live position.
+function locationIn(text) {
+  return extractCoordinates(text)[0] || null;
+}
+
+// Null for ordinary chat (including "//" escapes, which post literally);
+// otherwise the parsed command. Throws a usage line on malformed input.
+export function parseChatCommand(text) {
+  const raw = String(text || "").trim();
+  if (!raw.startsWith("/") || raw.startsWith("//")) return null;
+  const [head, ...words] = raw.slice(1).split(/\s+/);
+  const name = head.toLowerCase();
+
+  switch (name) {
+    case "sos": {
+      let category = "general";
+      let severity = "high";
+      // category and severity are optional and may come in either order
+      for (let i = 0; i < 2 && words.length; i += 1) {
+        const word = words[0].toLowerCase();
+        if (SOS_CATEGORIES.includes(word)) category = word;
+        else if (SOS_SEVERITIES.includes(word)) severity = word;
+        else break;
+        words.shift();
+      }
+      const message = words.join(" ");
+      if (!message) throw usage("sos");
+      return { name, category, severity, message, location: locationIn(message) };
+    }
+    case "mark": {
+      const kind = String(words.shift() || "").toLowerCase();
+      if (!ZONE_MARKER_KINDS.includes(kind)) throw usage("mark");
+      const radius = /^\d+m?$/i.test(words[0] || "") ? Number.parseInt(words.shift(), 10) : undefined;
+      const label = words.join(" ");
+      return { name, kind, radiusM: radius, label, location: locationIn(label) };
+    }
+    case "checkin":
+      return { name, note: words.join(" ") };
+    case "pin":
+      return { name };
+    case "help":
+      return { name, usage: Object.values(CHAT_COMMAND_USAGE) };
+    default:
+      throw new Error(`Unknown command /${name}. Try /help`);
+  }
+}
+
+// "//text" posts "/text".
+export function literalChatText(text) {
+  return String(text || "").replace(/^(\s*)\/\//, "$1/");
+}
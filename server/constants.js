@@ -0,0 +1,6 @@
+// Shared vocabularies for SOS alerts and map markers. Chat commands,
+// escalation, incidents and the socket handlers all validate against these.
+export const SOS_CATEGORIES = ["medical", "evac", "supplies", "threat", "lost", "general"];
+// Ordered from least to most urgent; escalation steps up this list.
+export const SOS_SEVERITIES = ["low", "medium", "high", "critical"];
+export const ZONE_MARKER_KINDS = ["safe", "danger", "resource", "rally", "blocked"];
@@ -1,5 +1,8 @@
 import { createClient } from "@supabase/supabase-js";
 import { utcDayKey, utcYesterdayDayKey, isOlderThanYesterdayDayKey } from "./time.js";
+import { conversationId, summarizeConversations } from "./dms.js";
+import { PRIVATE_CHANNEL_PREFIX } from "./channels.js";
+import { markerCursor } from "./reads.js";
 
 function getSupabase() {
   const url = process.env.SUPABASE_URL;
@@ -20,6 +23,33 @@ function getSupabase() {
   return globalThis.__maketon_supabase;
 }
 
+// Tables the server reads or writes; dbPing checks that each one exists.
+const SCHEMA_TABLES = [
+  "zones",
+  "private_channels",
+  "users",
+  "checkins",
+  "sos_alerts",
+  "sos_actors",
+  "sos_incidents",
+  "sos_timeline",
+  "sos_messages",
+  "threats",
+  "zone_markers",
+  "camps",
+  "camp_ledger",
+  "camp_stays",
+  "supply_requests",
+  "supply_offers",
+  "supply_transfers",
+  "zone_messages",
+  "zone_pins",
+  "zone_reactions",
+  "direct_messages",
+  "zone_reads",
+  "user_tokens"
+];
+
 export function supabaseEnabled() {
   return Boolean(getSupabase());
 }
@@ -28,10 +58,12 @@ export async function dbPing() {
   const sb = getSupabase();
   if (!sb) return { enabled: false };
 
-  // Lightweight read to confirm credentials + network + schema.
-  const { error } = await sb.from("zones").select("id").limit(1);
-  if (error) throw error;
-  return { enabled: true };
+  // Lightweight reads to confirm credentials + network + schema.
+  for (const table of SCHEMA_TABLES) {
+    const { error } = await sb.from(table).select("*").limit(1);
+    if (error) throw error;
+  }
+  return { enabled: true, tables: SCHEMA_TABLES };
 }
 
 function normalizeUserId(value) {
@@ -241,41 +273,73 @@ export async function dbListSos(limit = 200) {
     const { data: actors, error: aErr } = await sb
       .from("sos_actors")
       .select("sos_id, role, user_id, name, at")
-      .in("sos_id", ids);
+      .in("sos_id", ids)
+      .order("at", { ascending: false });
     if (aErr) throw aErr;
+    actorsById = groupSosActors(actors);
+  }
 
-    actorsById = new Map();
-    for (const row of actors || []) {
-      const list = actorsById.get(row.sos_id) || { ack: [], responder: [] };
-      const entry = { userId: row.user_id, name: row.name, at: row.at };
-      if (row.role === "ack") list.ack.push(entry);
-      else list.responder.push(entry);
-      actorsById.set(row.sos_id, list);
-    }
+  return (alerts || []).map((a) => rowToSos(a, actorsById.get(a.id)));
+}
+
+export async function dbGetSos(sosId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const id = String(sosId || "").trim();
+  if (!id) return null;
+
+  const { data: row, error } = await sb.from("sos_alerts").select("*").eq("id", id).maybeSingle();
+  if (error) throw error;
+  if (!row) return null;
+
+  const { data: actors, error: aErr } = await sb
+    .from("sos_actors")
+    .select("sos_id, role, user_id, name, at")
+    .eq("sos_id", id)
+    .order("at", { ascending: false });
+  if (aErr) throw aErr;
+
+  return rowToSos(row, groupSosActors(actors).get(id));
+}
+
+function groupSosActors(rows) {
+  const byId = new Map();
+  for (const row of rows || []) {
+    const list = byId.get(row.sos_id) || { ack: [], responder: [] };
+    const entry = { userId: row.user_id, name: row.name, at: row.at };
+    if (row.role === "ack") list.ack.push(entry);
+    else list.responder.push(entry);
+    byId.set(row.sos_id, list);
   }
+  return byId;
+}
 
-  return (alerts || []).map((a) => {
-    const actors = actorsById.get(a.id) || { ack: [], responder: [] };
-    return {
-      id: a.id,
-      type: "sos",
-      userId: a.user_id,
-      name: a.name,
-      message: a.message,
-      severity: a.severity,
-      category: a.category,
-      zoneId: a.zone_id,
-      status: a.status,
-      acknowledgements: actors.ack,
-      responders: actors.responder,
-      resolvedAt: a.resolved_at,
-      resolvedBy: a.resolved_by_user_id
-        ? { userId: a.resolved_by_user_id, name: a.resolved_by_name || "Unknown Survivor" }
-        : null,
-      location: toLocation(a.lat, a.lng),
-      createdAt: a.created_at
-    };
-  });
+function rowToSos(a, actors = { ack: [], responder: [] }) {
+  return {
+    id: a.id,
+    type: "sos",
+    userId: a.user_id,
+    name: a.name,
+    message: a.message,
+    severity: a.severity,
+    category: a.category,
+    peopleCount: a.people_count ?? 1,
+    zoneId: a.zone_id,
+    status: a.status,
+    acknowledgements: actors.ack,
+    responders: actors.responder,
+    resolvedAt: a.resolved_at,
+    resolvedBy: a.resolved_by_user_id
+      ? { userId: a.resolved_by_user_id, name: a.resolved_by_name || "Unknown Survivor" }
+      : null,
+    location: toLocation(a.lat, a.lng),
+    attachments: a.attachments || [],
+    escalated: Boolean(a.escalated),
+    escalations: a.escalations || [],
+    dispatch: a.dispatch || null,
+    createdAt: a.created_at
+  };
 }
 
 export async function dbInsertSos(alert) {
@@ -289,6 +353,7 @@ export async function dbInsertSos(alert) {
     message: alert.message,
     severity: alert.severity,
     category: alert.category,
+    people_count: alert.peopleCount ?? 1,
     zone_id: alert.zoneId,
     status: alert.status,
     lat: alert.location?.lat ?? null,
@@ -296,6 +361,10 @@ export async function dbInsertSos(alert) {
     resolved_at: alert.resolvedAt ?? null,
     resolved_by_user_id: alert.resolvedBy?.userId ?? null,
     resolved_by_name: alert.resolvedBy?.name ?? null,
+    attachments: alert.attachments || [],
+    escalated: Boolean(alert.escalated),
+    escalations: alert.escalations || [],
+    dispatch: alert.dispatch || null,
     created_at: alert.createdAt
   };
 
@@ -371,6 +440,163 @@ export async function dbToggleSosResolved(sosId, { userId, name }) {
   return { resolved: !isResolved };
 }
 
+export async function dbSaveSosEscalation(sosId, { severity, escalated, escalations }) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb
+    .from("sos_alerts")
+    .update({ severity, escalated: Boolean(escalated), escalations: escalations || [] })
+    .eq("id", String(sosId || "").trim());
+  if (error) throw error;
+}
+
+export async function dbSaveSosDispatch(sosId, dispatch) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb
+    .from("sos_alerts")
+    .update({ dispatch: dispatch || null })
+    .eq("id", String(sosId || "").trim());
+  if (error) throw error;
+}
+
+function rowToSosTimelineEntry(row) {
+  return {
+    id: row.id,
+    sosId: row.sos_id,
+    kind: row.kind,
+    actor: row.actor_user_id || row.actor_name ? { userId: row.actor_user_id, name: row.actor_name } : null,
+    details: row.details || null,
+    at: row.at
+  };
+}
+
+export async function dbListSosTimeline(sosId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("sos_timeline")
+    .select("*")
+    .eq("sos_id", String(sosId || "").trim())
+    .order("at", { ascending: true })
+    .limit(500);
+  if (error) throw error;
+  return (data || []).map(rowToSosTimelineEntry);
+}
+
+export async function dbInsertSosTimeline(entry) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("sos_timeline").insert({
+    id: entry.id,
+    sos_id: entry.sosId,
+    kind: entry.kind,
+    actor_user_id: entry.actor?.userId ?? null,
+    actor_name: entry.actor?.name ?? null,
+    details: entry.details,
+    at: entry.at
+  });
+  if (error) throw error;
+  return entry;
+}
+
+function rowToSosMessage(row) {
+  return {
+    id: row.id,
+    sosId: row.sos_id,
+    userId: row.user_id,
+    name: row.name,
+    text: row.text,
+    createdAt: row.created_at
+  };
+}
+
+export async function dbListSosMessages(sosId, limit = 200) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("sos_messages")
+    .select("*")
+    .eq("sos_id", String(sosId || "").trim())
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map(rowToSosMessage).reverse();
+}
+
+export async function dbInsertSosMessage(message) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("sos_messages").insert({
+    id: message.id,
+    sos_id: message.sosId,
+    user_id: message.userId,
+    name: message.name,
+    text: message.text,
+    created_at: message.createdAt
+  });
+  if (error) throw error;
+  return message;
+}
+
+function rowToSosIncident(row) {
+  return {
+    id: row.id,
+    type: "incident",
+    sosIds: row.sos_ids || [],
+    auto: Boolean(row.auto),
+    createdBy: row.created_by_user_id
+      ? { userId: row.created_by_user_id, name: row.created_by_name || "Unknown Survivor" }
+      : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export async function dbListSosIncidents(limit = 200) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("sos_incidents")
+    .select("*")
+    .order("updated_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map(rowToSosIncident);
+}
+
+export async function dbSaveSosIncident(incident) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("sos_incidents").upsert({
+    id: incident.id,
+    sos_ids: incident.sosIds,
+    auto: Boolean(incident.auto),
+    created_by_user_id: incident.createdBy?.userId ?? null,
+    created_by_name: incident.createdBy?.name ?? null,
+    created_at: incident.createdAt,
+    updated_at: incident.updatedAt
+  });
+  if (error) throw error;
+  return incident;
+}
+
+export async function dbDeleteSosIncident(incidentId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("sos_incidents").delete().eq("id", String(incidentId || "").trim());
+  if (error) throw error;
+}
+
 // -------- Threats --------
 export async function dbListThreats(limit = 200) {
   const sb = getSupabase();
@@ -468,3 +694,843 @@ export async function dbInsertZoneMarker(marker) {
   if (error) throw error;
   return marker;
 }
+
+// -------- Zones --------
+function rowToZone(z) {
+  return {
+    id: z.id,
+    name: z.name,
+    description: z.description,
+    boundary: z.boundary,
+    createdAt: z.created_at,
+    updatedAt: z.updated_at,
+    retiredAt: z.retired_at
+  };
+}
+
+export async function dbListZones({ includeRetired = false } = {}) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb.from("zones").select("*").order("created_at", { ascending: true });
+  if (!includeRetired) query = query.is("retired_at", null);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(rowToZone);
+}
+
+export async function dbGetZone(zoneId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb.from("zones").select("*").eq("id", zoneId).maybeSingle();
+  if (error) throw error;
+  return data ? rowToZone(data) : null;
+}
+
+export async function dbSaveZone(zone) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("zones").upsert(
+    {
+      id: zone.id,
+      name: zone.name,
+      description: zone.description ?? null,
+      boundary: zone.boundary ?? null,
+      ...(zone.createdAt ? { created_at: zone.createdAt } : {}),
+      updated_at: zone.updatedAt || new Date().toISOString(),
+      retired_at: zone.retiredAt ?? null
+    },
+    { onConflict: "id" }
+  );
+  if (error) throw error;
+  return zone;
+}
+
+// -------- Private channels --------
+function rowToPrivateChannel(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    encrypted: Boolean(c.encrypted),
+    passSalt: c.pass_salt,
+    passHash: c.pass_hash,
+    keySalt: c.key_salt,
+    invites: c.invites || [],
+    createdBy: c.created_by,
+    createdAt: c.created_at
+  };
+}
+
+export async function dbGetPrivateChannel(channelId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb.from("private_channels").select("*").eq("id", channelId).maybeSingle();
+  if (error) throw error;
+  return data ? rowToPrivateChannel(data) : null;
+}
+
+export async function dbSavePrivateChannel(channel) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("private_channels").upsert(
+    {
+      id: channel.id,
+      name: channel.name,
+      encrypted: channel.encrypted,
+      pass_salt: channel.passSalt,
+      pass_hash: channel.passHash,
+      key_salt: channel.keySalt,
+      invites: channel.invites || [],
+      created_by: channel.createdBy,
+      created_at: channel.createdAt
+    },
+    { onConflict: "id" }
+  );
+  if (error) throw error;
+  return channel;
+}
+
+// -------- Camps --------
+function rowToCamp(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    status: c.status,
+    location: toLocation(c.lat, c.lng),
+    resources: c.resources || {},
+    capacity: c.capacity,
+    createdAt: c.created_at,
+    updatedAt: c.updated_at,
+    retiredAt: c.retired_at
+  };
+}
+
+export async function dbListCamps({ includeRetired = false } = {}) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb.from("camps").select("*").order("created_at", { ascending: true });
+  if (!includeRetired) query = query.is("retired_at", null);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(rowToCamp);
+}
+
+export async function dbGetCamp(campId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb.from("camps").select("*").eq("id", campId).maybeSingle();
+  if (error) throw error;
+  return data ? rowToCamp(data) : null;
+}
+
+export async function dbUpsertCamp(camp) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const payload = {
+    id: camp.id,
+    name: camp.name,
+    status: camp.status,
+    lat: camp.location?.lat ?? null,
+    lng: camp.location?.lng ?? null,
+    resources: camp.resources || {},
+    ...(camp.capacity ? { capacity: camp.capacity } : {}),
+    ...(camp.createdAt ? { created_at: camp.createdAt } : {}),
+    updated_at: camp.updatedAt || new Date().toISOString(),
+    retired_at: camp.retiredAt ?? null
+  };
+
+  const { error } = await sb.from("camps").upsert(payload, { onConflict: "id" });
+  if (error) throw error;
+  return camp;
+}
+
+function rowToLedgerEntry(e) {
+  return {
+    id: e.id,
+    campId: e.camp_id,
+    resource: e.resource,
+    kind: e.kind,
+    amount: e.amount,
+    delta: e.delta,
+    levelAfter: e.level_after,
+    note: e.note,
+    userId: e.user_id,
+    name: e.name,
+    at: e.at
+  };
+}
+
+export async function dbListCampLedger({ campIds, since, limit = 200 } = {}) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb.from("camp_ledger").select("*").order("at", { ascending: false }).limit(limit);
+  if (campIds) query = query.in("camp_id", campIds);
+  if (since) query = query.gte("at", since);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(rowToLedgerEntry);
+}
+
+export async function dbInsertCampLedgerEntry(entry) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("camp_ledger").insert({
+    id: entry.id,
+    camp_id: entry.campId,
+    resource: entry.resource,
+    kind: entry.kind,
+    amount: entry.amount,
+    delta: entry.delta,
+    level_after: entry.levelAfter,
+    note: entry.note,
+    user_id: entry.userId,
+    name: entry.name,
+    at: entry.at
+  });
+  if (error) throw error;
+  return entry;
+}
+
+function rowToStay(s) {
+  return {
+    id: s.id,
+    campId: s.camp_id,
+    userId: s.user_id,
+    name: s.name,
+    arrivedAt: s.arrived_at,
+    departedAt: s.departed_at
+  };
+}
+
+export async function dbListCampStays({ campIds, userId, name, activeOnly = true, limit = 500 } = {}) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb.from("camp_stays").select("*").order("arrived_at", { ascending: false }).limit(limit);
+  if (activeOnly) query = query.is("departed_at", null);
+  if (campIds) query = query.in("camp_id", campIds);
+  if (userId) query = query.eq("user_id", userId);
+  if (name) query = query.ilike("name", `%${String(name).replace(/[%_]/g, "")}%`);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(rowToStay);
+}
+
+export async function dbSaveCampStay(stay) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("camp_stays").upsert(
+    {
+      id: stay.id,
+      camp_id: stay.campId,
+      user_id: stay.userId,
+      name: stay.name,
+      arrived_at: stay.arrivedAt,
+      departed_at: stay.departedAt
+    },
+    { onConflict: "id" }
+  );
+  if (error) throw error;
+  return stay;
+}
+
+// -------- Supply board --------
+const CLOSED_SUPPLY_STATUSES = ["fulfilled", "delivered", "cancelled"];
+
+function rowToSupplyPosting(r) {
+  return {
+    id: r.id,
+    campId: r.camp_id,
+    resource: r.resource,
+    quantity: r.quantity,
+    remaining: r.remaining,
+    ...(r.urgency !== undefined ? { urgency: r.urgency } : {}),
+    note: r.note,
+    status: r.status,
+    createdBy: { userId: r.created_by_user_id, name: r.created_by_name },
+    createdAt: r.created_at,
+    updatedAt: r.updated_at
+  };
+}
+
+function supplyPostingToRow(p) {
+  return {
+    id: p.id,
+    camp_id: p.campId,
+    resource: p.resource,
+    quantity: p.quantity,
+    remaining: p.remaining,
+    ...(p.urgency !== undefined ? { urgency: p.urgency } : {}),
+    note: p.note,
+    status: p.status,
+    created_by_user_id: p.createdBy?.userId ?? null,
+    created_by_name: p.createdBy?.name ?? null,
+    created_at: p.createdAt,
+    updated_at: p.updatedAt
+  };
+}
+
+function rowToTransfer(t) {
+  return {
+    id: t.id,
+    requestId: t.request_id,
+    offerId: t.offer_id,
+    fromCampId: t.from_camp_id,
+    toCampId: t.to_camp_id,
+    resource: t.resource,
+    quantity: t.quantity,
+    status: t.status,
+    history: t.history || [],
+    createdAt: t.created_at,
+    updatedAt: t.updated_at
+  };
+}
+
+async function listSupplyRows(table, { includeClosed = false, requestId, offerId } = {}) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb.from(table).select("*").order("created_at", { ascending: false }).limit(500);
+  if (!includeClosed) query = query.not("status", "in", `(${CLOSED_SUPPLY_STATUSES.join(",")})`);
+  if (requestId) query = query.eq("request_id", requestId);
+  if (offerId) query = query.eq("offer_id", offerId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function getSupplyRow(table, id) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb.from(table).select("*").eq("id", id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function upsertSupplyRow(table, row) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from(table).upsert(row, { onConflict: "id" });
+  if (error) throw error;
+}
+
+export async function dbListSupplyRequests(options) {
+  return (await listSupplyRows("supply_requests", options)).map(rowToSupplyPosting);
+}
+
+export async function dbGetSupplyRequest(id) {
+  const row = await getSupplyRow("supply_requests", id);
+  return row ? rowToSupplyPosting(row) : null;
+}
+
+export async function dbSaveSupplyRequest(request) {
+  await upsertSupplyRow("supply_requests", supplyPostingToRow(request));
+  return request;
+}
+
+export async function dbListSupplyOffers(options) {
+  return (await listSupplyRows("supply_offers", options)).map(rowToSupplyPosting);
+}
+
+export async function dbGetSupplyOffer(id) {
+  const row = await getSupplyRow("supply_offers", id);
+  return row ? rowToSupplyPosting(row) : null;
+}
+
+export async function dbSaveSupplyOffer(offer) {
+  await upsertSupplyRow("supply_offers", supplyPostingToRow(offer));
+  return offer;
+}
+
+export async function dbListSupplyTransfers(options) {
+  return (await listSupplyRows("supply_transfers", options)).map(rowToTransfer);
+}
+
+export async function dbGetSupplyTransfer(id) {
+  const row = await getSupplyRow("supply_transfers", id);
+  return row ? rowToTransfer(row) : null;
+}
+
+export async function dbSaveSupplyTransfer(t) {
+  await upsertSupplyRow("supply_transfers", {
+    id: t.id,
+    request_id: t.requestId,
+    offer_id: t.offerId,
+    from_camp_id: t.fromCampId,
+    to_camp_id: t.toCampId,
+    resource: t.resource,
+    quantity: t.quantity,
+    status: t.status,
+    history: t.history || [],
+    created_at: t.createdAt,
+    updated_at: t.updatedAt
+  });
+  return t;
+}
+
+// -------- Zone chat --------
+function rowToZoneMessage(m) {
+  return {
+    id: m.id,
+    type: "chat",
+    zoneId: m.zone_id,
+    userId: m.user_id,
+    name: m.name,
+    kind: m.kind,
+    text: m.text,
+    replyTo: m.reply_to ?? null,
+    threadId: m.thread_id ?? null,
+    attachments: m.attachments || [],
+    createdAt: m.created_at,
+    editedAt: m.edited_at ?? null,
+    editedBy: m.edited_by ?? null,
+    revisions: m.revisions || [],
+    deletedAt: m.deleted_at ?? null,
+    deletedBy: m.deleted_by ?? null
+  };
+}
+
+export async function dbListZoneMessages(zoneId, limit = 80) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("zone_messages")
+    .select("*")
+    .eq("zone_id", zoneId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+
+  // Newest-first from the query; callers expect chronological order.
+  return (data || []).map(rowToZoneMessage).reverse();
+}
+
+export async function dbGetZoneMessage(zoneId, messageId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("zone_messages")
+    .select("*")
+    .eq("zone_id", zoneId)
+    .eq("id", messageId)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? rowToZoneMessage(data) : null;
+}
+
+// PostgREST filter for rows strictly before/after a (createdAt, id) cursor.
+function cursorFilter(cursor, direction) {
+  const op = direction === "before" ? "lt" : "gt";
+  return `created_at.${op}."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.${op}.${cursor.id})`;
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+export async function dbListZoneMessagesPage(zoneId, { before = null, after = null, limit = 50 } = {}) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const ascending = Boolean(after);
+  let query = sb.from("zone_messages").select("*").eq("zone_id", zoneId);
+  if (before) query = query.or(cursorFilter(before, "before"));
+  if (after) query = query.or(cursorFilter(after, "after"));
+  const { data, error } = await query
+    .order("created_at", { ascending })
+    .order("id", { ascending })
+    .limit(limit + 1);
+  if (error) throw error;
+
+  const rows = (data || []).slice(0, limit).map(rowToZoneMessage);
+  return { messages: ascending ? rows : rows.reverse(), hasMore: (data || []).length > limit };
+}
+
+export async function dbSearchZoneMessages(zoneId, search) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb.from("zone_messages").select("*").is("deleted_at", null);
+  query = zoneId ? query.eq("zone_id", zoneId) : query.not("zone_id", "like", `${PRIVATE_CHANNEL_PREFIX}%`);
+  if (search.kinds.length) query = query.in("kind", search.kinds);
+  if (search.userId) query = query.eq("user_id", search.userId);
+  if (search.author) query = query.ilike("name", `%${escapeLike(search.author)}%`);
+  if (search.text) query = query.ilike("text", `%${escapeLike(search.text)}%`);
+  if (search.from) query = query.gte("created_at", search.from);
+  if (search.to) query = query.lte("created_at", search.to);
+  if (search.before) query = query.or(cursorFilter(search.before, "before"));
+  const { data, error } = await query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(search.limit + 1);
+  if (error) throw error;
+
+  return {
+    messages: (data || []).slice(0, search.limit).map(rowToZoneMessage),
+    hasMore: (data || []).length > search.limit
+  };
+}
+
+export async function dbListZoneThread(zoneId, threadId, limit = 200) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("zone_messages")
+    .select("*")
+    .eq("zone_id", zoneId)
+    .eq("thread_id", threadId)
+    .order("created_at", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map(rowToZoneMessage);
+}
+
+export async function dbCountZoneReplies(zoneId, messageIds) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const ids = (messageIds || []).filter(Boolean);
+  if (!ids.length) return {};
+
+  const { data, error } = await sb
+    .from("zone_messages")
+    .select("thread_id")
+    .eq("zone_id", zoneId)
+    .in("thread_id", ids);
+  if (error) throw error;
+
+  const out = {};
+  for (const r of data || []) out[r.thread_id] = (out[r.thread_id] || 0) + 1;
+  return out;
+}
+
+export async function dbInsertZoneMessage(msg) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const payload = {
+    id: msg.id,
+    zone_id: msg.zoneId,
+    user_id: msg.userId,
+    name: msg.name,
+    kind: msg.kind,
+    text: msg.text,
+    reply_to: msg.replyTo ?? null,
+    thread_id: msg.threadId ?? null,
+    attachments: msg.attachments || [],
+    created_at: msg.createdAt
+  };
+
+  const { error } = await sb.from("zone_messages").insert(payload);
+  if (error) throw error;
+  return msg;
+}
+
+// Edits and retractions; id, zone and thread never change.
+export async function dbUpdateZoneMessage(msg) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb
+    .from("zone_messages")
+    .update({
+      kind: msg.kind,
+      text: msg.text,
+      attachments: msg.attachments || [],
+      edited_at: msg.editedAt ?? null,
+      edited_by: msg.editedBy ?? null,
+      revisions: msg.revisions || [],
+      deleted_at: msg.deletedAt ?? null,
+      deleted_by: msg.deletedBy ?? null
+    })
+    .eq("id", msg.id);
+  if (error) throw error;
+  return msg;
+}
+
+// -------- User tokens --------
+export async function dbGetUserToken(userId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb.from("user_tokens").select("*").eq("user_id", userId).maybeSingle();
+  if (error) throw error;
+  return data ? { id: data.user_id, userId: data.user_id, tokenHash: data.token_hash, createdAt: data.created_at } : null;
+}
+
+// A plain insert, so the primary key settles two first identifies racing.
+export async function dbInsertUserToken(record) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("user_tokens").insert({
+    user_id: record.userId,
+    token_hash: record.tokenHash,
+    created_at: record.createdAt
+  });
+  if (error?.code === "23505") throw new Error("User id is already claimed");
+  if (error) throw error;
+  return record;
+}
+
+// -------- Direct messages --------
+function rowToDirectMessage(m) {
+  return {
+    id: m.id,
+    conversationId: m.conversation_id,
+    fromUserId: m.from_user_id,
+    fromName: m.from_name,
+    toUserId: m.to_user_id,
+    toName: m.to_name,
+    text: m.text,
+    createdAt: m.created_at,
+    readAt: m.read_at
+  };
+}
+
+export async function dbListDirectMessages(userId, withUserId, limit = 100) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("direct_messages")
+    .select("*")
+    .eq("conversation_id", conversationId(userId, withUserId))
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map(rowToDirectMessage).reverse();
+}
+
+// Summaries are built from the most recent messages each way.
+export async function dbListDmConversations(userId, scan = 1000) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const [sent, received] = await Promise.all(
+    ["from_user_id", "to_user_id"].map((column) =>
+      sb.from("direct_messages").select("*").eq(column, userId).order("created_at", { ascending: false }).limit(scan)
+    )
+  );
+  if (sent.error) throw sent.error;
+  if (received.error) throw received.error;
+  return summarizeConversations([...(sent.data || []), ...(received.data || [])].map(rowToDirectMessage), userId);
+}
+
+export async function dbInsertDirectMessage(dm) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("direct_messages").insert({
+    id: dm.id,
+    conversation_id: dm.conversationId,
+    from_user_id: dm.fromUserId,
+    from_name: dm.fromName,
+    to_user_id: dm.toUserId,
+    to_name: dm.toName,
+    text: dm.text,
+    created_at: dm.createdAt,
+    read_at: dm.readAt
+  });
+  if (error) throw error;
+  return dm;
+}
+
+export async function dbMarkDirectMessagesRead(userId, withUserId, at) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data, error } = await sb
+    .from("direct_messages")
+    .update({ read_at: at })
+    .eq("conversation_id", conversationId(userId, withUserId))
+    .eq("to_user_id", userId)
+    .is("read_at", null)
+    .lte("created_at", at)
+    .select("id");
+  if (error) throw error;
+  return (data || []).length;
+}
+
+function rowToZoneRead(r) {
+  return {
+    id: `${r.zone_id}|${r.user_id}`,
+    zoneId: r.zone_id,
+    userId: r.user_id,
+    name: r.name,
+    messageId: r.message_id,
+    messageAt: r.message_at,
+    readAt: r.read_at
+  };
+}
+
+export async function dbListZoneReads({ zoneId = null, userId = null } = {}) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb.from("zone_reads").select("*");
+  if (zoneId) query = query.eq("zone_id", zoneId);
+  if (userId) query = query.eq("user_id", userId);
+  const { data, error } = await query.order("read_at", { ascending: false }).limit(1000);
+  if (error) throw error;
+  return (data || []).map(rowToZoneRead);
+}
+
+export async function dbSaveZoneRead(read) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { error } = await sb.from("zone_reads").upsert(
+    {
+      zone_id: read.zoneId,
+      user_id: read.userId,
+      name: read.name,
+      message_id: read.messageId,
+      message_at: read.messageAt,
+      read_at: read.readAt
+    },
+    { onConflict: "zone_id,user_id" }
+  );
+  if (error) throw error;
+  return read;
+}
+
+export async function dbCountZoneUnread(zoneId, userId, marker) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  let query = sb
+    .from("zone_messages")
+    .select("id", { count: "exact", head: true })
+    .eq("zone_id", zoneId)
+    .is("deleted_at", null)
+    .or(`user_id.is.null,user_id.neq."${String(userId).replace(/["\\]/g, "\\$&")}"`);
+  if (marker) query = query.or(cursorFilter(markerCursor(marker), "after"));
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+export async function dbGetZonePinned(zoneId) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data: p, error } = await sb.from("zone_pins").select("*").eq("zone_id", zoneId).maybeSingle();
+  if (error) throw error;
+  if (!p) return null;
+
+  return {
+    id: p.id,
+    zoneId: p.zone_id,
+    messageId: p.message_id,
+    kind: p.kind,
+    text: p.text,
+    from: { userId: p.from_user_id, name: p.from_name },
+    pinnedBy: { userId: p.pinned_by_user_id, name: p.pinned_by_name },
+    createdAt: p.created_at,
+    pinnedAt: p.pinned_at
+  };
+}
+
+export async function dbSetZonePinned(zoneId, pinned) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  if (!pinned) {
+    const { error } = await sb.from("zone_pins").delete().eq("zone_id", zoneId);
+    if (error) throw error;
+    return null;
+  }
+
+  const payload = {
+    zone_id: zoneId,
+    id: pinned.id,
+    message_id: pinned.messageId,
+    kind: pinned.kind,
+    text: pinned.text,
+    from_user_id: pinned.from?.userId ?? null,
+    from_name: pinned.from?.name ?? null,
+    pinned_by_user_id: pinned.pinnedBy?.userId ?? null,
+    pinned_by_name: pinned.pinnedBy?.name ?? null,
+    created_at: pinned.createdAt,
+    pinned_at: pinned.pinnedAt
+  };
+
+  const { error } = await sb.from("zone_pins").upsert(payload, { onConflict: "zone_id" });
+  if (error) throw error;
+  return pinned;
+}
+
+export async function dbListZoneReactions(zoneId, messageIds) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const ids = (messageIds || []).filter(Boolean);
+  if (!ids.length) return {};
+
+  const { data, error } = await sb
+    .from("zone_reactions")
+    .select("message_id, reaction")
+    .eq("zone_id", zoneId)
+    .in("message_id", ids);
+  if (error) throw error;
+
+  const out = {};
+  for (const r of data || []) {
+    const counts = out[r.message_id] || { confirm: 0, dispute: 0 };
+    if (r.reaction === "dispute") counts.dispute += 1;
+    else counts.confirm += 1;
+    out[r.message_id] = counts;
+  }
+  return out;
+}
+
+export async function dbToggleZoneReaction(zoneId, messageId, userId, reaction) {
+  const sb = getSupabase();
+  if (!sb) throw new Error("Supabase not configured");
+
+  const { data: existing, error: selErr } = await sb
+    .from("zone_reactions")
+    .select("reaction")
+    .eq("message_id", messageId)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (selErr) throw selErr;
+
+  // Toggle + enforce mutual exclusivity (one row per user per message).
+  if (existing?.reaction === reaction) {
+    const { error } = await sb.from("zone_reactions").delete().eq("message_id", messageId).eq("user_id", userId);
+    if (error) throw error;
+  } else {
+    const { error } = await sb
+      .from("zone_reactions")
+      .upsert(
+        { zone_id: zoneId, message_id: messageId, user_id: userId, reaction, at: new Date().toISOString() },
+        { onConflict: "message_id,user_id" }
+      );
+    if (error) throw error;
+  }
+
+  const counts = (await dbListZoneReactions(zoneId, [messageId]))[messageId] || { confirm: 0, dispute: 0 };
+  const mine = existing?.reaction === reaction ? null : reaction;
+  return {
+    confirmCount: counts.confirm,
+    disputeCount: counts.dispute,
+    my: { confirm: mine === "confirm", dispute: mine === "dispute" }
+  };
+}
@@ -0,0 +1,64 @@
+import { actorOf } from "./actors.js";
+import { rolesForCategory } from "./escalation.js";
+import { distanceKm } from "./geo.js";
+
+const DEFAULT_SPEED_KMH = 4;
+const MAX_ETA_MINUTES = 24 * 60;
+
+// Straight-line travel on foot; SOS_RESPONDER_SPEED_KMH tunes it.
+export function responderSpeedKmh() {
+  const speed = Number(process.env.SOS_RESPONDER_SPEED_KMH);
+  return speed > 0 ? speed : DEFAULT_SPEED_KMH;
+}
+
+export function etaMinutesFor(distanceM, speedKmh = responderSpeedKmh()) {
+  if (!Number.isFinite(distanceM)) return null;
+  return Math.min(MAX_ETA_MINUTES, Math.max(1, Math.ceil((distanceM / 1000 / speedKmh) * 60)));
+}
+
+// A dispatcher's own ETA, or null to use the estimate.
+export function normalizeEtaMinutes(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n) || n < 1 || n > MAX_ETA_MINUTES) throw new Error("etaMinutes must be between 1 and 1440");
+  return n;
+}
+
+// Responders for an alert: those whose roles fit its category first, then
+// free before already-dispatched (`busy`), then nearest. Unknown distances
+// sort last.
+export function rankResponders(alert, responders, { busy = new Set(), speedKmh = responderSpeedKmh() } = {}) {
+  const wanted = rolesForCategory(alert.category);
+  return responders
+    .filter((r) => r.userId !== alert.userId)
+    .map((r) => {
+      const distanceM = alert.location && r.location ? Math.round(distanceKm(alert.location, r.location) * 1000) : null;
+      return {
+        ...r,
+        fits: r.roles.some((role) => wanted.includes(role)),
+        busy: busy.has(r.userId),
+        distanceM,
+        etaMinutes: etaMinutesFor(distanceM, speedKmh)
+      };
+    })
+    .sort(
+      (a, b) =>
+        Number(b.fits) - Number(a.fits) ||
+        Number(a.busy) - Number(b.busy) ||
+        (a.distanceM ?? Infinity) - (b.distanceM ?? Infinity)
+    );
+}
+
+export function createDispatch({ responder, by, etaMinutes }, now = new Date()) {
+  const eta = etaMinutes ?? responder.etaMinutes;
+  return {
+    userId: responder.userId,
+    name: String(responder.name || "Unknown Survivor").slice(0, 60),
+    roles: responder.roles,
+    distanceM: responder.distanceM,
+    etaMinutes: eta,
+    eta: eta === null ? null : new Date(now.getTime() + eta * 60_000).toISOString(),
+    assignedAt: now.toISOString(),
+    assignedBy: actorOf(by)
+  };
+}
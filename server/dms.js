@@ -0,0 +1,55 @@
+// Both directions of a conversation share one id, whoever writes first.
+export function conversationId(a, b) {
+  return [String(a), String(b)].sort().join("|");
+}
+
+function normalizeUserId(value, field) {
+  const id = String(value || "").trim();
+  if (!id) throw new Error(`${field} is required`);
+  return id;
+}
+
+export function createDirectMessage({ fromUserId, fromName, toUserId, toName, text }, makeId) {
+  const from = normalizeUserId(fromUserId, "userId");
+  const to = normalizeUserId(toUserId, "toUserId");
+  if (from === to) throw new Error("Cannot message yourself");
+  const body = String(text || "").slice(0, 600);
+  if (!body.trim()) throw new Error("Message text is required");
+  return {
+    id: `dm-${makeId()}`,
+    conversationId: conversationId(from, to),
+    fromUserId: from,
+    fromName: String(fromName || "Unknown Survivor").slice(0, 60),
+    toUserId: to,
+    toName: String(toName || "").slice(0, 60) || null,
+    text: body,
+    createdAt: new Date().toISOString(),
+    readAt: null
+  };
+}
+
+// One row per peer, most recent conversation first: the latest message and
+// how many messages to `userId` are still unread. `messages` may be in any
+// order.
+export function summarizeConversations(messages, userId) {
+  const byPeer = new Map();
+  for (const m of messages) {
+    const mine = m.fromUserId === userId;
+    if (!mine && m.toUserId !== userId) continue;
+    const peer = mine ? m.toUserId : m.fromUserId;
+    const row = byPeer.get(peer) || { withUserId: peer, withName: null, lastMessage: null, unread: 0, nameAt: "" };
+    if (!mine && !m.readAt) row.unread += 1;
+    if (!row.lastMessage || m.createdAt > row.lastMessage.createdAt) row.lastMessage = m;
+    // Prefer the name the peer last signed with over what we called them.
+    const name = mine ? m.toName : m.fromName;
+    const nameAt = mine ? "" : m.createdAt;
+    if (name && (!row.withName || nameAt > row.nameAt)) {
+      row.withName = name;
+      row.nameAt = nameAt;
+    }
+    byPeer.set(peer, row);
+  }
+  return Array.from(byPeer.values())
+    .map(({ nameAt, ...row }) => row)
+    .sort((a, b) => (a.lastMessage.createdAt < b.lastMessage.createdAt ? 1 : -1));
+}
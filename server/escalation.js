@@ -0,0 +1,85 @@
+import { SOS_SEVERITIES } from "./constants.js";
+
+// Responder roles a survivor can go on duty with, and which SOS categories
+// each one answers. `general` alerts reach every role.
+export const RESPONDER_ROLES = {
+  medic: ["medical"],
+  rescue: ["evac", "lost"],
+  supply: ["supplies"],
+  security: ["threat"]
+};
+
+// Minutes an open SOS may go without an ack (or a responder taking it)
+// before it escalates. First match wins; "*" matches any category.
+export const DEFAULT_ESCALATION_RULES = [
+  { category: "medical", severity: "critical", afterMinutes: 3 },
+  { category: "*", severity: "critical", afterMinutes: 5 },
+  { category: "medical", severity: "high", afterMinutes: 5 },
+  { category: "evac", severity: "high", afterMinutes: 5 },
+  { category: "*", severity: "high", afterMinutes: 10 },
+  { category: "*", severity: "medium", afterMinutes: 20 },
+  { category: "*", severity: "low", afterMinutes: 45 }
+];
+
+// SOS_ESCALATION_RULES may replace the rules with a JSON array of the same
+// shape; anything malformed falls back to the defaults.
+export function escalationSettings() {
+  let rules = DEFAULT_ESCALATION_RULES;
+  try {
+    const custom = JSON.parse(process.env.SOS_ESCALATION_RULES || "null");
+    if (Array.isArray(custom) && custom.every((r) => SOS_SEVERITIES.includes(r?.severity) && Number(r?.afterMinutes) > 0)) {
+      rules = custom.map((r) => ({ category: String(r.category || "*"), severity: r.severity, afterMinutes: Number(r.afterMinutes) }));
+    }
+  } catch {
+    // keep the defaults
+  }
+  const maxSteps = Number(process.env.SOS_ESCALATION_MAX_STEPS);
+  const radiusM = Number(process.env.SOS_ESCALATION_RADIUS_M);
+  return {
+    rules,
+    maxSteps: maxSteps > 0 ? maxSteps : 4,
+    radiusM: radiusM > 0 ? radiusM : 3000
+  };
+}
+
+export function normalizeResponderRoles(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return Array.from(new Set(list.map((r) => String(r).trim().toLowerCase()).filter((r) => r in RESPONDER_ROLES)));
+}
+
+export function rolesForCategory(category) {
+  return Object.keys(RESPONDER_ROLES).filter((role) => category === "general" || RESPONDER_ROLES[role].includes(category));
+}
+
+function ruleFor(alert, rules) {
+  return rules.find((r) => (r.category === "*" || r.category === alert.category) && r.severity === alert.severity) || null;
+}
+
+// The rule that fires for `alert` now, or null. The clock restarts at each
+// escalation step; any ack, taker, dispatch or resolution stops it.
+export function dueEscalation(alert, { rules, maxSteps }, now = new Date()) {
+  if (alert.status !== "open" || alert.resolvedAt) return null;
+  if (alert.acknowledgements?.length || alert.responders?.length || alert.dispatch) return null;
+  const steps = alert.escalations || [];
+  if (steps.length >= maxSteps) return null;
+  const rule = ruleFor(alert, rules);
+  if (!rule) return null;
+  const since = Date.parse(steps.length ? steps[steps.length - 1].at : alert.createdAt);
+  return now.getTime() - since >= rule.afterMinutes * 60_000 ? rule : null;
+}
+
+// Bumps severity one step (critical stays critical) and records the step.
+export function applyEscalation(alert, rule, { notified = [] } = {}, now = new Date()) {
+  const steps = alert.escalations || [];
+  const idx = SOS_SEVERITIES.indexOf(alert.severity);
+  const toSeverity = SOS_SEVERITIES[Math.min(SOS_SEVERITIES.length - 1, idx + 1)];
+  const step = {
+    step: steps.length + 1,
+    at: now.toISOString(),
+    fromSeverity: alert.severity,
+    toSeverity,
+    reason: `No acknowledgement after ${rule.afterMinutes} min (${rule.category === "*" ? "any" : rule.category} ${rule.severity})`,
+    notified
+  };
+  return { ...alert, severity: toSeverity, escalated: true, escalations: [...steps, step] };
+}
@@ -0,0 +1,253 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import { upsertById } from "./state.js";
+import { reviveDate } from "./time.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_EVENT_LOG_FILE = path.resolve(__dirname, "data", "events.ndjson");
+
+// Every mutation the network accepts, named after the socket event that
+// triggers it. `data` always carries the record as it looked *after* the
+// change, so replay never has to re-run toggles or clocks.
+export const EVENT_TYPES = [
+  "chat_message",
+  "pin_message",
+  "unpin_message",
+  "react_message",
+  "message_edit",
+  "message_delete",
+  "sos_alert",
+  "sos_ack",
+  "sos_take",
+  "sos_resolve",
+  "sos_escalate",
+  "sos_dispatch",
+  "sos_incident",
+  "sos_incident_remove",
+  "sos_timeline",
+  "sos_message",
+  "threat_report",
+  "zone_marker_add",
+  "checkin",
+  "zone_create",
+  "zone_update",
+  "zone_retire",
+  "channel_save",
+  "dm_message",
+  "dm_read",
+  "zone_read",
+  "camp_create",
+  "camp_update",
+  "camp_retire",
+  "camp_ledger",
+  "camp_stay",
+  "supply_request",
+  "supply_offer",
+  "supply_transfer"
+];
+
+// Yields events from an NDJSON log in sequence order, skipping torn or
+// malformed lines (e.g. a partial write before a crash).
+export async function* readEvents(file, { after = 0, limit = Infinity } = {}) {
+  let stream;
+  try {
+    await fs.promises.access(file);
+    stream = fs.createReadStream(file, { encoding: "utf8" });
+  } catch {
+    return;
+  }
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let count = 0;
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!Number.isFinite(event?.seq) || event.seq <= after) continue;
+      yield event;
+      count += 1;
+      if (count >= limit) break;
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+export async function createEventLog(options = {}) {
+  const file = path.resolve(options.file || process.env.EVENT_LOG_FILE || DEFAULT_EVENT_LOG_FILE);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  let seq = 0;
+  for await (const event of readEvents(file)) seq = Math.max(seq, event.seq);
+
+  let queue = Promise.resolve();
+
+  return {
+    file,
+
+    get lastSeq() {
+      return seq;
+    },
+
+    append(type, data) {
+      seq += 1;
+      const event = { seq, type, at: new Date().toISOString(), data };
+      const line = `${JSON.stringify(event)}\n`;
+      queue = queue
+        .then(() => fs.promises.appendFile(file, line))
+        .catch((e) => {
+          // eslint-disable-next-line no-console
+          console.error(`Failed to append event ${event.seq} to ${file}:`, e?.message || e);
+        });
+      return event;
+    },
+
+    async *read({ after = 0, limit = Infinity } = {}) {
+      // Let pending appends land so readers never miss a sequence number.
+      await queue;
+      yield* readEvents(file, { after, limit });
+    }
+  };
+}
+
+// Applies one logged event to a state from createInitialState().
+export function applyEvent(state, event) {
+  const data = event?.data || {};
+  switch (event?.type) {
+    case "chat_message": {
+      const msg = data.message;
+      if (!msg?.zoneId) return;
+      if (!state.zoneMessages.has(msg.zoneId)) state.zoneMessages.set(msg.zoneId, []);
+      upsertById(state.zoneMessages.get(msg.zoneId), msg);
+      return;
+    }
+    case "message_edit":
+    case "message_delete": {
+      const msg = data.message;
+      const list = msg?.zoneId ? state.zoneMessages.get(msg.zoneId) : null;
+      if (list) upsertById(list, msg);
+      return;
+    }
+    case "pin_message":
+    case "unpin_message": {
+      if (!data.zoneId) return;
+      if (data.pinned) state.zonePinned.set(data.zoneId, data.pinned);
+      else state.zonePinned.delete(data.zoneId);
+      return;
+    }
+    case "react_message": {
+      const { zoneId, messageId, userId, my } = data;
+      if (!zoneId || !messageId || !userId) return;
+      if (!state.zoneReactions.has(zoneId)) state.zoneReactions.set(zoneId, new Map());
+      const zoneMap = state.zoneReactions.get(zoneId);
+      if (!zoneMap.has(messageId)) zoneMap.set(messageId, { confirm: new Set(), dispute: new Set() });
+      const entry = zoneMap.get(messageId);
+      for (const r of ["confirm", "dispute"]) {
+        if (my?.[r]) entry[r].add(userId);
+        else entry[r].delete(userId);
+      }
+      return;
+    }
+    case "sos_alert":
+    case "sos_ack":
+    case "sos_take":
+    case "sos_resolve":
+    case "sos_escalate":
+    case "sos_dispatch":
+      if (data.sos?.id) upsertById(state.sosAlerts, data.sos);
+      return;
+    case "sos_incident":
+      if (data.incident?.id) upsertById(state.sosIncidents, data.incident);
+      return;
+    case "sos_timeline":
+      if (data.entry?.id) upsertById(state.sosTimeline, data.entry);
+      return;
+    case "sos_message":
+      if (data.message?.id) upsertById(state.sosMessages, data.message);
+      return;
+    case "sos_incident_remove": {
+      const idx = state.sosIncidents.findIndex((i) => i.id === data.incidentId);
+      if (idx !== -1) state.sosIncidents.splice(idx, 1);
+      return;
+    }
+    case "threat_report":
+      if (data.threat?.id) upsertById(state.threats, data.threat);
+      return;
+    case "zone_marker_add":
+      if (data.zoneMarker?.id) upsertById(state.zoneMarkers, data.zoneMarker);
+      return;
+    case "zone_create":
+    case "zone_update":
+    case "zone_retire":
+      if (data.zone?.id) upsertById(state.zones, data.zone);
+      return;
+    case "dm_message":
+      if (data.message?.id) upsertById(state.directMessages, data.message);
+      return;
+    case "dm_read":
+      for (const m of state.directMessages) {
+        if (m.conversationId !== data.conversationId || m.toUserId !== data.userId) continue;
+        if (!m.readAt && m.createdAt <= data.at) m.readAt = data.at;
+      }
+      return;
+    case "zone_read":
+      if (data.read?.id) upsertById(state.zoneReads, data.read);
+      return;
+    case "channel_save":
+      if (data.channel?.id) upsertById(state.privateChannels, data.channel);
+      return;
+    case "camp_create":
+    case "camp_update":
+    case "camp_retire":
+      if (data.camp?.id) upsertById(state.camps, data.camp);
+      return;
+    case "camp_ledger":
+      if (data.entry?.id) upsertById(state.campLedger, data.entry);
+      if (data.camp?.id) upsertById(state.camps, data.camp);
+      return;
+    case "camp_stay":
+      if (data.stay?.id) upsertById(state.campStays, data.stay);
+      return;
+    case "supply_request":
+      if (data.request?.id) upsertById(state.supplyRequests, data.request);
+      return;
+    case "supply_offer":
+      if (data.offer?.id) upsertById(state.supplyOffers, data.offer);
+      return;
+    case "supply_transfer":
+      if (data.transfer?.id) upsertById(state.supplyTransfers, data.transfer);
+      return;
+    case "checkin": {
+      const user = data.user;
+      if (!user?.id) return;
+      state.users.set(user.id, {
+        ...user,
+        lastCheckInAt: reviveDate(user.lastCheckInAt),
+        missingSince: reviveDate(user.missingSince)
+      });
+      return;
+    }
+  }
+}
+
+// Rebuilds `state` by replaying a log from the beginning.
+export async function replayEvents(state, file) {
+  let count = 0;
+  let lastSeq = 0;
+  for await (const event of readEvents(file)) {
+    applyEvent(state, event);
+    count += 1;
+    lastSeq = event.seq;
+  }
+  return { count, lastSeq };
+}
@@ -0,0 +1,102 @@
+// A { lat, lng } pair of finite numbers, or null.
+export function normalizeLocation(location) {
+  if (!location) return null;
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { lat, lng };
+}
+
+// Great-circle distance between two { lat, lng } points, or null if either
+// is missing.
+export function distanceKm(a, b) {
+  if (!a || !b) return null;
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function polygonContains(rings, lng, lat) {
+  if (!ringContains(rings[0], lng, lat)) return false;
+  // remaining rings are holes
+  return !rings.slice(1).some((hole) => ringContains(hole, lng, lat));
+}
+
+// Whether a { lat, lng } point falls inside a GeoJSON Polygon or
+// MultiPolygon geometry.
+export function geometryContains(geometry, point) {
+  if (!geometry || !point) return false;
+  const { lat, lng } = point;
+  if (geometry.type === "Polygon") return polygonContains(geometry.coordinates, lng, lat);
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.some((p) => polygonContains(p, lng, lat));
+  return false;
+}
+
+// Rough size in square degrees, good enough to prefer the innermost of
+// nested shapes.
+export function geometryBboxArea(geometry) {
+  const polygons = geometry?.type === "MultiPolygon" ? geometry.coordinates : [geometry?.coordinates || []];
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const rings of polygons) {
+    for (const [x, y] of rings[0] || []) {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+  return maxX >= minX ? (maxX - minX) * (maxY - minY) : Infinity;
+}
+
+function normalizeRing(ring) {
+  if (!Array.isArray(ring)) throw new Error("Polygon rings must be arrays of [lng, lat] positions");
+  const out = ring.map((pos) => {
+    const lng = Number(pos?.[0]);
+    const lat = Number(pos?.[1]);
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error("Invalid [lng, lat] position in boundary");
+    }
+    return [lng, lat];
+  });
+  const [first] = out;
+  const last = out[out.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) out.push([...first]);
+  if (out.length < 4) throw new Error("Polygon rings need at least three distinct positions");
+  return out;
+}
+
+// Accepts a GeoJSON Polygon/MultiPolygon geometry or a Feature wrapping one;
+// returns a clean geometry with closed rings.
+export function normalizeBoundary(input) {
+  const geometry = input?.type === "Feature" ? input.geometry : input;
+  if (geometry?.type === "Polygon") {
+    if (!Array.isArray(geometry.coordinates) || !geometry.coordinates.length) throw new Error("Polygon has no rings");
+    return { type: "Polygon", coordinates: geometry.coordinates.map(normalizeRing) };
+  }
+  if (geometry?.type === "MultiPolygon") {
+    if (!Array.isArray(geometry.coordinates) || !geometry.coordinates.length) throw new Error("MultiPolygon is empty");
+    return {
+      type: "MultiPolygon",
+      coordinates: geometry.coordinates.map((rings) => {
+        if (!Array.isArray(rings) || !rings.length) throw new Error("Polygon has no rings");
+        return rings.map(normalizeRing);
+      })
+    };
+  }
+  throw new Error("boundary must be a GeoJSON Polygon or MultiPolygon");
+}
@@ -0,0 +1,25 @@
+import crypto from "crypto";
+
+// User ids are public (chat, presence, SOS alerts), so they can't prove who
+// is on a socket. The first socket to identify as an id is handed a token;
+// later sockets must present it before they get that user's room, DMs and
+// read markers. Only a hash of the token is stored.
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+export function issueUserToken(userId) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return {
+    token,
+    record: { id: userId, userId, tokenHash: sha256(token), createdAt: new Date().toISOString() }
+  };
+}
+
+export function verifyUserToken(record, token) {
+  if (!record || typeof token !== "string" || !token) return false;
+  const a = Buffer.from(sha256(token), "hex");
+  const b = Buffer.from(record.tokenHash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
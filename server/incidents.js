@@ -0,0 +1,94 @@
+import { actorOf } from "./actors.js";
+import { SOS_SEVERITIES } from "./constants.js";
+import { distanceKm } from "./geo.js";
+
+// SOS_INCIDENT_RADIUS_M / SOS_INCIDENT_WINDOW_MIN tune what counts as the
+// same emergency.
+export function incidentSettings() {
+  const radiusM = Number(process.env.SOS_INCIDENT_RADIUS_M);
+  const windowMinutes = Number(process.env.SOS_INCIDENT_WINDOW_MIN);
+  return {
+    radiusM: radiusM > 0 ? radiusM : 250,
+    windowMinutes: windowMinutes > 0 ? windowMinutes : 15
+  };
+}
+
+function isOpen(alert) {
+  return alert.status === "open" && !alert.resolvedAt;
+}
+
+// Two alerts report the same emergency when both are open, share a
+// category, and were sent within the radius and time window of each other.
+// Alerts without a location only group through a manual merge.
+export function isDuplicateSos(a, b, { radiusM, windowMinutes }) {
+  if (a.id === b.id || !isOpen(a) || !isOpen(b) || a.category !== b.category) return false;
+  if (!a.location || !b.location) return false;
+  if (Math.abs(Date.parse(a.createdAt) - Date.parse(b.createdAt)) > windowMinutes * 60_000) return false;
+  return distanceKm(a.location, b.location) * 1000 <= radiusM;
+}
+
+export function createIncident(id, sosIds, by = null, now = new Date()) {
+  return {
+    id,
+    type: "incident",
+    sosIds: Array.from(new Set(sosIds)),
+    auto: !by,
+    createdBy: by ? actorOf(by) : null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+// Where a new alert belongs: next to its closest duplicate, either in that
+// alert's incident or (for a lone alert) in a new incident with it. Null
+// when it has no duplicate.
+export function clusterFor(alert, alerts, incidents, settings = incidentSettings()) {
+  let best = null;
+  for (const other of alerts) {
+    if (!isDuplicateSos(alert, other, settings)) continue;
+    const distanceM = distanceKm(alert.location, other.location) * 1000;
+    if (best && best.distanceM <= distanceM) continue;
+    best = { distanceM, sosId: other.id, incident: incidents.find((i) => i.sosIds.includes(other.id)) || null };
+  }
+  return best && { sosId: best.sosId, incident: best.incident };
+}
+
+function mergeActors(lists) {
+  const byUser = new Map();
+  for (const actor of lists.flat()) {
+    const key = actor?.userId || actor?.name;
+    if (key && !byUser.has(key)) byUser.set(key, actor);
+  }
+  return Array.from(byUser.values());
+}
+
+// The incident as clients see it: its member alerts plus what they add up
+// to. The lead alert is the most severe, then the oldest.
+export function summarizeIncident(incident, alertsById) {
+  const members = incident.sosIds.map((id) => alertsById.get(id)).filter(Boolean);
+  const rank = (a) => SOS_SEVERITIES.indexOf(a.severity);
+  const lead = [...members].sort((a, b) => rank(b) - rank(a) || Date.parse(a.createdAt) - Date.parse(b.createdAt))[0] || null;
+  const located = members.filter((m) => m.location);
+  const times = members.map((m) => m.createdAt).sort();
+  return {
+    ...incident,
+    status: members.some(isOpen) ? "open" : "resolved",
+    leadSosId: lead?.id ?? null,
+    category: lead?.category ?? null,
+    severity: lead?.severity ?? null,
+    reports: members.length,
+    peopleCount: members.reduce((sum, m) => sum + (m.peopleCount || 1), 0),
+    location: located.length
+      ? {
+          lat: located.reduce((sum, m) => sum + m.location.lat, 0) / located.length,
+          lng: located.reduce((sum, m) => sum + m.location.lng, 0) / located.length
+        }
+      : null,
+    acknowledgements: mergeActors(members.map((m) => m.acknowledgements || [])),
+    responders: mergeActors(members.map((m) => m.responders || [])),
+    dispatches: members.filter((m) => m.dispatch).map((m) => ({ sosId: m.id, ...m.dispatch })),
+    firstAt: times[0] ?? null,
+    lastAt: times[times.length - 1] ?? null,
+    sos: members
+  };
+}
@@ -5,24 +5,79 @@ import { Server as SocketIOServer } from "socket.io";
 
 import "./config.js";
 
-import {
-  supabaseEnabled,
-  dbPing,
-  dbGetUserWithHistory,
-  dbCheckIn,
-  dbListDangerZones,
-  dbInsertSos,
-  dbInsertThreat,
-  dbInsertZoneMarker,
-  dbListSos,
-  dbListThreats,
-  dbListZoneMarkers,
-  dbToggleSosActor,
-  dbToggleSosResolved
-} from "./db.js";
+import { supabaseEnabled } from "./db.js";
+import { createStorage } from "./storage/index.js";
 
 import { createInitialState } from "./state.js";
-import { checkIn, dangerZones, getOrCreateUser, sweepForBrokenStreaks } from "./logic.js";
+import { startSnapshots } from "./snapshot.js";
+import { createEventLog } from "./events.js";
+import {
+  applyCampPatch,
+  applyLedgerEntry,
+  campForecastSettings,
+  campOccupancy,
+  createCamp,
+  createLedgerEntry,
+  createStay,
+  endStay,
+  forecastDepletion,
+  ledgerTrend,
+  openingLedgerEntries,
+  recommendCamp,
+  retireCamp
+} from "./camps.js";
+import { applyZonePatch, createZone, resolveZoneAt, retireZone } from "./zones.js";
+import { normalizeLocation } from "./geo.js";
+import { createDirectMessage, conversationId } from "./dms.js";
+import { advanceReadMarker, createReadMarker } from "./reads.js";
+import { issueUserToken, verifyUserToken } from "./identity.js";
+import { MAX_ATTACHMENTS, URL_PREFIX, attachmentRef, createAttachmentStore } from "./attachments.js";
+import { SOS_CATEGORIES, SOS_SEVERITIES, ZONE_MARKER_KINDS } from "./constants.js";
+import { literalChatText, parseChatCommand } from "./commands.js";
+import {
+  applyEscalation,
+  dueEscalation,
+  escalationSettings,
+  normalizeResponderRoles
+} from "./escalation.js";
+import { createDispatch, normalizeEtaMinutes, rankResponders } from "./dispatch.js";
+import { collectHazards, normalizePeopleCount, triageQueue } from "./triage.js";
+import { clusterFor, createIncident, summarizeIncident } from "./incidents.js";
+import { createSosMessage, createTimelineEntry, withCreatedEntry } from "./sosTimeline.js";
+import {
+  MESSAGE_KINDS,
+  applyMessageEdit,
+  canModifyMessage,
+  decodeCursor,
+  encodeCursor,
+  extractCoordinates,
+  isModerator,
+  normalizeMessageSearch,
+  retractMessage
+} from "./messages.js";
+import {
+  PRIVATE_CHANNEL_PREFIX,
+  createInvite,
+  createPrivateChannel,
+  inviteChannelId,
+  isPrivateChannelId,
+  isSealed,
+  openText,
+  publicChannel,
+  redeemInvite,
+  sealText,
+  verifyPassphrase
+} from "./channels.js";
+import {
+  advanceTransfer,
+  cancelPosting,
+  checkTransferCamps,
+  claimPosting,
+  createSupplyOffer,
+  createSupplyRequest,
+  createTransfer,
+  proposeMatches
+} from "./supply.js";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 
 const PORT = Number(process.env.PORT || 61234);
@@ -37,11 +92,13 @@ if (GEMINI_API_KEY) {
 }
 
 const state = createInitialState();
+const storage = await createStorage(state);
 
-function isLikelySchemaMissingError(err) {
-  const msg = String(err?.message || "");
-  return msg.includes("Could not find the table") || msg.includes("schema cache") || msg.includes("does not exist");
-}
+// Without a database, periodic snapshots keep the in-memory state across restarts.
+if (storage.kind === "memory") await startSnapshots(state);
+
+const events = await createEventLog();
+const attachments = await createAttachmentStore({ makeId: state.makeId });
 
 const app = express();
 app.use(express.json({ limit: "256kb" }));
@@ -52,117 +109,197 @@ app.use(
   })
 );
 
+// Uploaded files are immutable; PDFs always download rather than render.
+app.use(
+  URL_PREFIX,
+  express.static(attachments.filesDir, {
+    index: false,
+    immutable: true,
+    maxAge: "7d",
+    setHeaders: (res, file) => {
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      if (file.endsWith(".pdf")) res.setHeader("Content-Disposition", "attachment");
+    }
+  })
+);
+
 app.get("/api/health", (req, res) => {
   res.json({
     ok: true,
     name: "Upside-Down Survivor Network",
     time: new Date().toISOString(),
-    supabase: { enabled: supabaseEnabled() }
+    supabase: { enabled: supabaseEnabled() },
+    storage: { backend: storage.kind }
   });
 });
 
 app.get("/api/db-health", (req, res) => {
   (async () => {
     try {
-      const info = await dbPing();
-      res.json({ ok: true, ...info });
+      const info = await storage.ping();
+      res.json({ ok: true, backend: storage.kind, ...info });
     } catch (e) {
       res.status(500).json({ ok: false, error: e?.message || "DB Error" });
     }
   })();
 });
 
-app.get("/api/zones", (req, res) => {
-  res.json({ zones: state.zones });
+// Private channel records, direct messages and anything said in a private
+// channel stay out of the public event stream.
+const PRIVATE_EVENT_TYPES = new Set(["channel_save", "dm_message", "dm_read"]);
+
+function isPublicEvent(event) {
+  if (PRIVATE_EVENT_TYPES.has(event?.type)) return false;
+  const data = event?.data || {};
+  return !isPrivateChannelId(data.zoneId ?? data.message?.zoneId ?? data.pinned?.zoneId);
+}
+
+// Streams logged events with seq > `after` as NDJSON, oldest first.
+app.get("/api/events", (req, res) => {
+  (async () => {
+    const after = Math.max(0, Number(req.query.after) || 0);
+    const limit = Math.max(1, Math.min(5000, Number(req.query.limit) || 1000));
+    res.setHeader("Content-Type", "application/x-ndjson");
+    res.setHeader("X-Last-Seq", String(events.lastSeq));
+    try {
+      for await (const event of events.read({ after, limit })) {
+        if (res.destroyed) break;
+        if (!isPublicEvent(event)) continue;
+        if (!res.write(`${JSON.stringify(event)}\n`)) {
+          await new Promise((resolve) => {
+            res.once("drain", resolve);
+            res.once("close", resolve);
+          });
+        }
+      }
+    } catch {
+      // Stream what we have; the client resumes from the last seq it saw.
+    }
+    res.end();
+  })();
 });
 
-app.get("/api/camps", (req, res) => {
-  res.json({ camps: state.camps });
+app.get("/api/zones", (req, res) => {
+  (async () => {
+    try {
+      const includeRetired = req.query.includeRetired === "1";
+      res.json({ zones: await storage.listZones({ includeRetired }) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
 });
 
-app.get("/api/sos", (req, res) => {
+// Public zones only; private frequencies use the thread_view socket event.
+app.get("/api/zones/:zoneId/threads/:messageId", (req, res) => {
   (async () => {
     try {
-      if (supabaseEnabled()) {
-        try {
-          const sos = await dbListSos(200);
-          res.json({ sos });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      const zoneId = normalizeZoneId(req.params.zoneId);
+      const thread = isPrivateChannelId(zoneId) ? null : await loadThread(zoneId, req.params.messageId);
+      if (!thread) {
+        res.status(404).json({ error: "Message not found" });
+        return;
       }
-      res.json({ sos: state.sosAlerts.slice(-200).reverse() });
+      res.json(thread);
     } catch (e) {
       res.status(500).json({ error: e.message || "Server Error" });
     }
   })();
 });
 
-app.get("/api/threats", (req, res) => {
+// Chronological pages of a zone's history. No cursor gives the latest page;
+// pass `before` to scroll back and `after` to catch up.
+app.get("/api/zones/:zoneId/messages", (req, res) => {
   (async () => {
+    let before;
+    let after;
     try {
-      if (supabaseEnabled()) {
-        try {
-          const threats = await dbListThreats(200);
-          res.json({ threats });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      before = decodeCursor(req.query.before);
+      after = decodeCursor(req.query.after);
+      if (before && after) throw new Error("Use either before or after, not both");
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+      return;
+    }
+    try {
+      const zoneId = normalizeZoneId(req.params.zoneId);
+      if (isPrivateChannelId(zoneId)) {
+        res.status(404).json({ error: "Zone not found" });
+        return;
       }
-      res.json({ threats: state.threats.slice(-200).reverse() });
+      const limit = Math.max(1, Math.min(200, Number(req.query.limit) || 50));
+      const { messages, hasMore } = await storage.listZoneMessagesPage(zoneId, { before, after, limit });
+      const ids = messages.map((m) => m.id);
+      const [reactions, replyCounts] = await Promise.all([
+        storage.listZoneReactions(zoneId, ids),
+        storage.countZoneReplies(zoneId, ids)
+      ]);
+      res.json({
+        zoneId,
+        messages,
+        reactions,
+        replyCounts,
+        hasMore,
+        // Feed back as ?before= for older messages or ?after= for newer ones.
+        before: encodeCursor(messages[0]) || (after ? req.query.after : null),
+        after: encodeCursor(messages[messages.length - 1]) || (before ? req.query.before : null)
+      });
     } catch (e) {
       res.status(500).json({ error: e.message || "Server Error" });
     }
   })();
 });
 
-app.get("/api/danger-zones", (req, res) => {
+// Newest first across public zones (or one `zoneId`). Filters: kind (comma
+// list), userId, author, from/to (ISO), q (free text). Each hit carries the
+// GPS coordinates found in its text.
+app.get("/api/messages/search", (req, res) => {
   (async () => {
+    let search;
     try {
-      if (supabaseEnabled()) {
-        try {
-          const dz = await dbListDangerZones(200);
-          res.json({ dangerZones: dz });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      search = normalizeMessageSearch(req.query);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+      return;
+    }
+    try {
+      const zoneId = req.query.zoneId ? normalizeZoneId(req.query.zoneId) : null;
+      if (zoneId && isPrivateChannelId(zoneId)) {
+        res.status(404).json({ error: "Zone not found" });
+        return;
       }
-      res.json({ dangerZones: dangerZones(state) });
+      const { messages, hasMore } = await storage.searchZoneMessages(zoneId, search);
+      res.json({
+        messages: messages.map((m) => ({ ...m, coordinates: extractCoordinates(m.text) })),
+        hasMore,
+        before: hasMore ? encodeCursor(messages[messages.length - 1]) : null
+      });
     } catch (e) {
       res.status(500).json({ error: e.message || "Server Error" });
     }
   })();
 });
 
-app.get("/api/map", (req, res) => {
+// Who has read how far, newest first; `seenPinned` lists those who opened the
+// zone after its current pinned broadcast went up.
+app.get("/api/zones/:zoneId/reads", (req, res) => {
   (async () => {
     try {
-      if (supabaseEnabled()) {
-        try {
-          const [threats, zoneMarkers, dz] = await Promise.all([
-            dbListThreats(200),
-            dbListZoneMarkers(200),
-            dbListDangerZones(200)
-          ]);
-          res.json({
-            camps: state.camps,
-            dangerZones: dz,
-            threats,
-            zoneMarkers
-          });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      const zoneId = normalizeZoneId(req.params.zoneId);
+      if (isPrivateChannelId(zoneId)) {
+        res.status(404).json({ error: "Zone not found" });
+        return;
       }
+      const [reads, pinned] = await Promise.all([storage.listZoneReads({ zoneId }), storage.getZonePinned(zoneId)]);
+      reads.sort((a, b) => (a.readAt < b.readAt ? 1 : -1));
+      const seenPinned = pinned
+        ? reads.filter((r) => r.readAt >= pinned.pinnedAt).map(({ userId, name, readAt }) => ({ userId, name, readAt }))
+        : [];
       res.json({
-        camps: state.camps,
-        dangerZones: dangerZones(state),
-        threats: state.threats.slice(-200).reverse(),
-        zoneMarkers: state.zoneMarkers.slice(-200).reverse()
+        zoneId,
+        reads,
+        pinned: pinned ? { id: pinned.id, messageId: pinned.messageId, pinnedAt: pinned.pinnedAt } : null,
+        seenPinned
       });
     } catch (e) {
       res.status(500).json({ error: e.message || "Server Error" });
@@ -170,467 +307,2050 @@ app.get("/api/map", (req, res) => {
   })();
 });
 
-app.get("/api/zone-markers", (req, res) => {
+app.get("/api/zones/resolve", (req, res) => {
   (async () => {
     try {
-      if (supabaseEnabled()) {
-        try {
-          const zoneMarkers = await dbListZoneMarkers(200);
-          res.json({ zoneMarkers });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      const location = normalizeLocation({ lat: req.query.lat, lng: req.query.lng });
+      if (!location) {
+        res.status(400).json({ error: "lat and lng are required" });
+        return;
       }
-      res.json({ zoneMarkers: state.zoneMarkers.slice(-200).reverse() });
+      res.json({ zone: resolveZoneAt(await storage.listZones(), location) });
     } catch (e) {
       res.status(500).json({ error: e.message || "Server Error" });
     }
   })();
 });
 
-app.post("/api/zone-markers", (req, res) => {
+app.post("/api/zones", (req, res) => {
   (async () => {
     try {
-      const marker = createZoneMarker(req.body);
-      state.zoneMarkers.push(marker);
-      if (supabaseEnabled()) {
-        try {
-          await dbInsertZoneMarker(marker);
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      res.json({ zone: await addZone(req.body) });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+app.patch("/api/zones/:zoneId", (req, res) => {
+  (async () => {
+    try {
+      const zone = await updateZone(req.params.zoneId, req.body);
+      if (!zone) {
+        res.status(404).json({ error: "Zone not found" });
+        return;
       }
-      io.emit("zone_marker_add", marker);
-      res.json({ zoneMarker: marker });
+      res.json({ zone });
     } catch (e) {
       res.status(400).json({ error: e.message || "Bad Request" });
     }
   })();
 });
 
-function normalizeZoneMarkerKind(value) {
-  const v = String(value || "").toLowerCase();
-  if (["safe", "danger", "resource", "rally", "blocked"].includes(v)) return v;
-  return "rally";
-}
+app.delete("/api/zones/:zoneId", (req, res) => {
+  (async () => {
+    try {
+      const zone = await updateZone(req.params.zoneId, null, { retire: true });
+      if (!zone) {
+        res.status(404).json({ error: "Zone not found" });
+        return;
+      }
+      res.json({ zone });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
 
-function normalizeRadiusM(value) {
-  const n = Number(value);
-  if (!Number.isFinite(n)) return 250;
-  return Math.max(30, Math.min(2000, Math.round(n)));
+async function addZone(payload) {
+  const zone = createZone(payload, state.makeId);
+  if (isPrivateChannelId(zone.id)) throw new Error(`Zone ids may not start with "${PRIVATE_CHANNEL_PREFIX}"`);
+  if (await storage.getZone(zone.id)) throw new Error(`Zone id "${zone.id}" is already taken`);
+  await storage.saveZone(zone);
+  events.append("zone_create", { zone });
+  io.emit("zone_update", { zone });
+  return zone;
 }
 
-function normalizeLocation(location) {
-  if (!location) return null;
-  const lat = Number(location.lat);
-  const lng = Number(location.lng);
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-  return { lat, lng };
+async function updateZone(zoneId, patch, { retire = false } = {}) {
+  const zone = await storage.getZone(normalizeZoneId(zoneId));
+  if (!zone) return null;
+  const next = retire ? retireZone(zone) : applyZonePatch(zone, patch);
+  await storage.saveZone(next);
+  events.append(retire ? "zone_retire" : "zone_update", { zone: next });
+  // Clients drop zones whose retiredAt is set.
+  io.emit("zone_update", { zone: next });
+  return next;
 }
 
-function createZoneMarker(payload) {
-  const { userId, name, label, kind, radiusM, location } = payload || {};
-  const loc = normalizeLocation(location);
-  if (!loc) throw new Error("Missing location");
-  const safeLabel = String(label || "").trim().slice(0, 80);
-  const marker = {
-    id: state.makeId(),
-    type: "zoneMarker",
-    kind: normalizeZoneMarkerKind(kind),
-    label: safeLabel || "Marked Zone",
-    radiusM: normalizeRadiusM(radiusM),
-    userId: String(userId || "").trim() || null,
-    name: String(name || "Unknown Survivor").slice(0, 60),
-    location: loc,
-    createdAt: new Date().toISOString()
-  };
-  return marker;
-}
+app.get("/api/camps", (req, res) => {
+  (async () => {
+    try {
+      const includeRetired = req.query.includeRetired === "1";
+      const camps = await decorateCamps(await storage.listCamps({ includeRetired }));
+      const location = normalizeLocation({ lat: req.query.lat, lng: req.query.lng });
+      res.json({ camps, ...(location ? { recommended: recommendCamp(camps, location) } : {}) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
 
-app.get("/api/users/:userId", (req, res) => {
+app.post("/api/camps", (req, res) => {
   (async () => {
     try {
-      if (supabaseEnabled()) {
-        try {
-          const user = await dbGetUserWithHistory(req.params.userId);
-          res.json({ user });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      res.json({ camp: await addCamp(req.body) });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+app.patch("/api/camps/:campId", (req, res) => {
+  (async () => {
+    try {
+      const camp = await updateCamp(req.params.campId, req.body);
+      if (!camp) {
+        res.status(404).json({ error: "Camp not found" });
+        return;
       }
-      const user = getOrCreateUser(state, { userId: req.params.userId, name: null });
-      res.json({ user });
+      res.json({ camp });
     } catch (e) {
       res.status(400).json({ error: e.message || "Bad Request" });
     }
   })();
 });
 
-app.post("/api/checkin", (req, res) => {
+app.delete("/api/camps/:campId", (req, res) => {
   (async () => {
     try {
-      if (supabaseEnabled()) {
-        try {
-          const user = await dbCheckIn(req.body);
-          io.emit("checkin_update", { user });
-          try {
-            io.emit("danger_zones_update", { dangerZones: await dbListDangerZones(200) });
-          } catch (e) {
-            if (!isLikelySchemaMissingError(e)) throw e;
-            io.emit("danger_zones_update", { dangerZones: dangerZones(state) });
-          }
-          res.json({ user });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
-        }
+      const camp = await updateCamp(req.params.campId, null, { retire: true });
+      if (!camp) {
+        res.status(404).json({ error: "Camp not found" });
+        return;
+      }
+      res.json({ camp });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+// For reunification: where is this survivor now, or where were they last?
+app.get("/api/camps/locate", (req, res) => {
+  (async () => {
+    try {
+      const userId = String(req.query.userId || "").trim();
+      const name = String(req.query.name || "").trim();
+      if (!userId && !name) {
+        res.status(400).json({ error: "userId or name is required" });
+        return;
       }
+      const stays = await storage.listCampStays({ userId, name, activeOnly: false, limit: 50 });
+      const camps = new Map((await storage.listCamps({ includeRetired: true })).map((c) => [c.id, c]));
+      res.json({ stays: stays.map((st) => ({ ...st, campName: camps.get(st.campId)?.name || null })) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
 
-      const user = checkIn(state, req.body);
-      io.emit("checkin_update", { user });
-      io.emit("danger_zones_update", { dangerZones: dangerZones(state) });
-      res.json({ user });
+app.post("/api/camps/:campId/arrivals", (req, res) => {
+  (async () => {
+    try {
+      const result = await registerArrival(req.params.campId, req.body);
+      if (!result) {
+        res.status(404).json({ error: "Camp not found" });
+        return;
+      }
+      res.json(result);
     } catch (e) {
       res.status(400).json({ error: e.message || "Bad Request" });
     }
   })();
 });
 
-app.post("/api/sos", (req, res) => {
-  const { userId, name, message, location, severity, category, zoneId } = req.body || {};
-  const alert = {
-    id: state.makeId(),
-    type: "sos",
-    userId: String(userId || "").trim() || null,
-    name: String(name || "Unknown Survivor").slice(0, 60),
-    message: String(message || "").slice(0, 400),
-    severity: normalizeSosSeverity(severity),
-    category: normalizeSosCategory(category),
-    zoneId: String(zoneId || "").trim() || null,
-    status: "open",
-    acknowledgements: [],
-    responders: [],
-    resolvedAt: null,
-    resolvedBy: null,
-    location: location && Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lng))
-      ? { lat: Number(location.lat), lng: Number(location.lng) }
-      : null,
-    createdAt: new Date().toISOString()
-  };
+app.post("/api/camps/:campId/departures", (req, res) => {
+  (async () => {
+    try {
+      const result = await registerDeparture(req.params.campId, req.body);
+      if (!result) {
+        res.status(404).json({ error: "No active stay at this camp" });
+        return;
+      }
+      res.json(result);
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
 
-  state.sosAlerts.push(alert);
+app.get("/api/camps/:campId/ledger", (req, res) => {
   (async () => {
     try {
-      if (supabaseEnabled()) await dbInsertSos(alert);
-    } catch {
-      // Non-fatal for demo; keeps in-memory behavior even if DB fails.
+      const camp = await storage.getCamp(req.params.campId);
+      if (!camp) {
+        res.status(404).json({ error: "Camp not found" });
+        return;
+      }
+      const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+      const entries = await storage.listCampLedger({ campIds: [camp.id], limit });
+      const resource = String(req.query.resource || "");
+      res.json({ entries: resource ? entries.filter((e) => e.resource === resource) : entries });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
     }
   })();
-  io.emit("sos_alert", alert);
-  res.json({ sos: alert });
 });
 
-function normalizeSosSeverity(value) {
-  const v = String(value || "").toLowerCase();
-  if (["low", "medium", "high", "critical"].includes(v)) return v;
-  return "high";
+app.post("/api/camps/:campId/ledger", (req, res) => {
+  (async () => {
+    try {
+      const result = await addLedgerEntry(req.params.campId, req.body);
+      if (!result) {
+        res.status(404).json({ error: "Camp not found" });
+        return;
+      }
+      res.json(result);
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+// Popups show the last few ledger lines and the net change per resource
+// over this window.
+const LEDGER_TREND_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+async function decorateCamps(camps) {
+  if (!camps.length) return camps;
+  const now = new Date();
+  const { windowHours } = campForecastSettings();
+  const windowMs = Math.max(LEDGER_TREND_WINDOW_MS, windowHours * 3600_000);
+  const since = new Date(now.getTime() - windowMs).toISOString();
+  const trendSince = new Date(now.getTime() - LEDGER_TREND_WINDOW_MS).toISOString();
+  const campIds = camps.map((c) => c.id);
+  let entries = [];
+  let stays = [];
+  try {
+    [entries, stays] = await Promise.all([
+      storage.listCampLedger({ campIds, since, limit: 2000 }),
+      storage.listCampStays({ campIds, limit: 100000 })
+    ]);
+  } catch {
+    // camps still render without history or occupancy
+  }
+  return camps.map((camp) => {
+    const own = entries.filter((e) => e.campId === camp.id);
+    const occupants = stays.filter((st) => st.campId === camp.id);
+    return {
+      ...camp,
+      ...campOccupancy(camp, occupants),
+      occupants: occupants.map(({ userId, name, arrivedAt }) => ({ userId, name, arrivedAt })),
+      recentLedger: own.slice(0, 5),
+      trend: ledgerTrend(own, trendSince),
+      forecast: forecastDepletion(camp, own, { now })
+    };
+  });
 }
 
-function normalizeSosCategory(value) {
-  const v = String(value || "").toLowerCase();
-  if (["medical", "evac", "supplies", "threat", "lost", "general"].includes(v)) return v;
-  return "general";
+// campId -> resources already announced as running out, so each crossing
+// into the horizon alerts once.
+const forecastAlerted = new Map();
+
+function checkCampForecast(camp) {
+  if (!camp?.forecast || camp.retiredAt) {
+    forecastAlerted.delete(camp?.id);
+    return;
+  }
+  const atRisk = Object.entries(camp.forecast).filter(([, f]) => f.atRisk);
+  const before = forecastAlerted.get(camp.id) || new Set();
+  const fresh = atRisk.filter(([r]) => !before.has(r));
+  forecastAlerted.set(camp.id, new Set(atRisk.map(([r]) => r)));
+  if (!fresh.length) return;
+
+  io.emit("camp_forecast_alert", {
+    campId: camp.id,
+    name: camp.name,
+    horizonHours: campForecastSettings().horizonHours,
+    resources: fresh.map(([resource, f]) => ({
+      resource,
+      level: camp.resources?.[resource] ?? 0,
+      hoursToEmpty: f.hoursToEmpty,
+      emptyAt: f.emptyAt
+    })),
+    at: new Date().toISOString()
+  });
+}
+
+async function emitCampUpdate(camp) {
+  const [decorated] = await decorateCamps([camp]);
+  // Clients drop camps whose retiredAt is set.
+  io.emit("camp_update", { camp: decorated });
+  checkCampForecast(decorated);
+  return decorated;
 }
 
-function findSosAlert(sosId) {
-  const id = String(sosId || "").trim();
-  if (!id) return null;
-  const list = state.sosAlerts;
-  for (let i = list.length - 1; i >= 0; i -= 1) {
-    if (list[i]?.id === id) return list[i];
+async function addCamp(payload) {
+  const camp = await storage.insertCamp(createCamp(payload, state.makeId));
+  events.append("camp_create", { camp });
+  for (const entry of openingLedgerEntries(camp, { userId: payload?.userId }, state.makeId)) {
+    await storage.insertCampLedgerEntry(entry);
+    events.append("camp_ledger", { entry });
   }
-  return null;
+  return emitCampUpdate(camp);
 }
 
-function toggleActor(list, { userId, name }) {
+// Arriving closes any open stay elsewhere, so a survivor is only ever
+// counted at one camp.
+async function registerArrival(campId, { userId, name } = {}) {
+  const camp = await storage.getCamp(String(campId || "").trim());
+  if (!camp || camp.retiredAt) return null;
+  if (camp.status === "closed") throw new Error("Camp is closed");
+
   const uid = String(userId || "").trim();
-  if (!uid) return { next: list, on: false };
-  const next = Array.isArray(list) ? [...list] : [];
-  const idx = next.findIndex((x) => x?.userId === uid);
-  if (idx >= 0) {
-    next.splice(idx, 1);
-    return { next, on: false };
+  const [current] = uid ? await storage.listCampStays({ userId: uid, limit: 1 }) : [];
+  if (current?.campId === camp.id) return { stay: current, camp: (await decorateCamps([camp]))[0] };
+
+  const [decorated] = await decorateCamps([camp]);
+  if (decorated.full) {
+    const others = await decorateCamps((await storage.listCamps()).filter((c) => c.id !== camp.id));
+    const alt = recommendCamp(others, camp.location);
+    throw new Error(alt ? `Camp is full; nearest with space: ${alt.name} (${alt.distanceKm} km)` : "Camp is full");
   }
-  next.unshift({
-    userId: uid,
-    name: String(name || "Unknown Survivor").slice(0, 60),
-    at: new Date().toISOString()
-  });
-  if (next.length > 12) next.splice(12);
-  return { next, on: true };
+
+  const stay = createStay(camp, { userId, name }, state.makeId);
+  if (current) {
+    const left = await storage.saveCampStay(endStay(current));
+    events.append("camp_stay", { stay: left });
+    const previous = await storage.getCamp(current.campId);
+    if (previous) await emitCampUpdate(previous);
+  }
+  await storage.saveCampStay(stay);
+  events.append("camp_stay", { stay });
+  return { stay, camp: await emitCampUpdate(camp) };
 }
 
-app.post("/api/threats", (req, res) => {
-  const { userId, name, label, severity, location, confidence, source, amplitude, baseline } = req.body || {};
-  const threat = {
-    id: state.makeId(),
-    type: "threat",
-    userId: String(userId || "").trim() || null,
-    name: String(name || "Unknown Survivor").slice(0, 60),
-    label: String(label || "Threat").slice(0, 120),
-    severity: ["low", "medium", "high"].includes(severity) ? severity : "medium",
-    confidence: Number.isFinite(Number(confidence)) ? Number(confidence) : undefined,
-    source: source ? String(source).slice(0, 40) : undefined,
-    amplitude: Number.isFinite(Number(amplitude)) ? Number(amplitude) : undefined,
-    baseline: Number.isFinite(Number(baseline)) ? Number(baseline) : undefined,
-    location: location && Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lng))
-      ? { lat: Number(location.lat), lng: Number(location.lng) }
-      : null,
-    createdAt: new Date().toISOString()
-  };
+async function registerDeparture(campId, { userId } = {}) {
+  const uid = String(userId || "").trim();
+  if (!uid) throw new Error("userId is required");
+  const [current] = await storage.listCampStays({ userId: uid, limit: 1 });
+  if (!current || current.campId !== String(campId || "").trim()) return null;
+
+  const stay = await storage.saveCampStay(endStay(current));
+  events.append("camp_stay", { stay });
+  const camp = await storage.getCamp(stay.campId);
+  return { stay, camp: camp ? await emitCampUpdate(camp) : null };
+}
+
+async function addLedgerEntry(campId, payload) {
+  const camp = await storage.getCamp(String(campId || "").trim());
+  if (!camp) return null;
+  if (camp.retiredAt) throw new Error("Camp is retired");
+  const entry = await storage.insertCampLedgerEntry(createLedgerEntry(camp, payload, state.makeId));
+  const next = await storage.saveCamp(applyLedgerEntry(camp, entry));
+  events.append("camp_ledger", { entry, camp: next });
+  io.emit("camp_ledger_entry", { entry });
+  return { entry, camp: await emitCampUpdate(next) };
+}
+
+async function updateCamp(campId, patch, { retire = false } = {}) {
+  const camp = await storage.getCamp(String(campId || "").trim());
+  if (!camp) return null;
+  const next = retire ? retireCamp(camp) : applyCampPatch(camp, patch);
+  await storage.saveCamp(next);
+  events.append(retire ? "camp_retire" : "camp_update", { camp: next });
+  return emitCampUpdate(next);
+}
 
-  state.threats.push(threat);
+app.get("/api/supply", (req, res) => {
   (async () => {
     try {
-      if (supabaseEnabled()) await dbInsertThreat(threat);
-    } catch {
-      // Non-fatal for demo; keeps in-memory behavior even if DB fails.
+      res.json(await supplyBoard({ includeClosed: req.query.includeClosed === "1" }));
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
     }
   })();
-  io.emit("threat_report", threat);
-  res.json({ threat });
 });
 
-const server = http.createServer(app);
-const io = new SocketIOServer(server, {
-  cors: {
-    origin: [CLIENT_ORIGIN],
-    methods: ["GET", "POST"]
-  }
+app.post("/api/supply/requests", (req, res) => {
+  (async () => {
+    try {
+      res.json({ request: await postSupply("request", req.body) });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
 });
 
-function addChatMessage(zoneId, msg) {
-  const z = String(zoneId || "").trim();
-  if (!z) return null;
-  if (!state.zoneMessages.has(z)) state.zoneMessages.set(z, []);
-  const list = state.zoneMessages.get(z);
-  list.push(msg);
-  if (list.length > 300) list.splice(0, list.length - 300);
-  return msg;
-}
+app.post("/api/supply/offers", (req, res) => {
+  (async () => {
+    try {
+      res.json({ offer: await postSupply("offer", req.body) });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
 
-function findMessage(zoneId, messageId) {
-  const z = normalizeZoneId(zoneId);
-  const id = String(messageId || "").trim();
-  if (!z || !id) return null;
-  const list = state.zoneMessages.get(z) || [];
-  // scan from the end (recent messages more likely)
-  for (let i = list.length - 1; i >= 0; i -= 1) {
-    if (list[i]?.id === id) return list[i];
-  }
-  return null;
+for (const kind of ["request", "offer"]) {
+  app.delete(`/api/supply/${kind}s/:id`, (req, res) => {
+    (async () => {
+      try {
+        const posting = await cancelSupply(kind, req.params.id);
+        if (!posting) {
+          res.status(404).json({ error: `Supply ${kind} not found` });
+          return;
+        }
+        res.json({ [kind]: posting });
+      } catch (e) {
+        res.status(400).json({ error: e.message || "Bad Request" });
+      }
+    })();
+  });
 }
 
-function getZoneReactionEntry(zoneId, messageId) {
-  const z = normalizeZoneId(zoneId);
-  const id = String(messageId || "").trim();
-  if (!z || !id) return null;
-  if (!state.zoneReactions.has(z)) state.zoneReactions.set(z, new Map());
-  const zoneMap = state.zoneReactions.get(z);
-  if (!zoneMap.has(id)) {
-    zoneMap.set(id, { confirm: new Set(), dispute: new Set() });
-  }
-  return zoneMap.get(id);
-}
+app.post("/api/supply/transfers", (req, res) => {
+  (async () => {
+    try {
+      const transfer = await acceptSupplyMatch(req.body);
+      if (!transfer) {
+        res.status(404).json({ error: "Request or offer not found" });
+        return;
+      }
+      res.json({ transfer });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
 
-function reactionSnapshot(zoneId, messageId) {
-  const z = normalizeZoneId(zoneId);
-  const id = String(messageId || "").trim();
-  const zoneMap = state.zoneReactions.get(z);
-  const entry = zoneMap?.get(id);
+app.post("/api/supply/transfers/:transferId/:action", (req, res) => {
+  (async () => {
+    try {
+      const transfer = await updateTransfer(req.params.transferId, req.params.action, req.body);
+      if (!transfer) {
+        res.status(404).json({ error: "Transfer not found" });
+        return;
+      }
+      res.json({ transfer });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+const supplyStore = {
+  request: { get: (id) => storage.getSupplyRequest(id), save: (r) => storage.saveSupplyRequest(r) },
+  offer: { get: (id) => storage.getSupplyOffer(id), save: (o) => storage.saveSupplyOffer(o) }
+};
+
+// Open requests come with their best few proposed matches.
+async function supplyBoard({ includeClosed = false } = {}) {
+  const [requests, offers, transfers, camps] = await Promise.all([
+    storage.listSupplyRequests({ includeClosed }),
+    storage.listSupplyOffers({ includeClosed }),
+    storage.listSupplyTransfers({ includeClosed }),
+    storage.listCamps()
+  ]);
+  const campsById = new Map(camps.map((c) => [c.id, c]));
   return {
-    zoneId: z,
-    messageId: id,
-    confirmCount: entry ? entry.confirm.size : 0,
-    disputeCount: entry ? entry.dispute.size : 0
+    requests: requests.map((r) => ({ ...r, matches: proposeMatches(r, offers, campsById).slice(0, 3) })),
+    offers,
+    transfers
   };
 }
 
-function normalizeZoneId(zoneId) {
-  return String(zoneId || "").trim();
+// The board is small; every change re-sends it whole.
+async function emitSupplyBoard() {
+  const board = await supplyBoard();
+  io.emit("supply_board", board);
+  return board;
 }
 
-function upsertPresence(zoneId, socket, { userId, name }) {
-  const z = normalizeZoneId(zoneId);
-  if (!z) return;
-  if (!state.zonePresence.has(z)) state.zonePresence.set(z, new Map());
-  const zoneMap = state.zonePresence.get(z);
-  zoneMap.set(socket.id, {
-    socketId: socket.id,
-    userId: String(userId || "").trim() || null,
-    name: String(name || "Unknown Survivor").slice(0, 60),
-    joinedAt: new Date().toISOString()
-  });
+async function postSupply(kind, payload) {
+  const posting = kind === "request" ? createSupplyRequest(payload, state.makeId) : createSupplyOffer(payload, state.makeId);
+  const camp = await storage.getCamp(posting.campId);
+  if (!camp || camp.retiredAt) throw new Error("Camp not found");
+  await supplyStore[kind].save(posting);
+  events.append(`supply_${kind}`, { [kind]: posting });
+  const board = await emitSupplyBoard();
+  return board.requests.find((r) => r.id === posting.id) || posting;
 }
 
-function removePresence(zoneId, socket) {
-  const z = normalizeZoneId(zoneId);
-  if (!z) return;
-  const zoneMap = state.zonePresence.get(z);
-  if (!zoneMap) return;
-  zoneMap.delete(socket.id);
-  if (zoneMap.size === 0) state.zonePresence.delete(z);
+async function cancelSupply(kind, id) {
+  const posting = await supplyStore[kind].get(String(id || "").trim());
+  if (!posting) return null;
+  const next = await supplyStore[kind].save(cancelPosting(posting));
+  events.append(`supply_${kind}`, { [kind]: next });
+  await emitSupplyBoard();
+  return next;
 }
 
-function presenceSnapshot(zoneId) {
-  const z = normalizeZoneId(zoneId);
-  const zoneMap = state.zonePresence.get(z);
-  const users = zoneMap ? Array.from(zoneMap.values()) : [];
-  // keep deterministic order for UI
-  users.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
-  return { zoneId: z, users, count: users.length };
+async function acceptSupplyMatch({ requestId, offerId, quantity, userId, name } = {}) {
+  const [request, offer] = await Promise.all([
+    storage.getSupplyRequest(String(requestId || "").trim()),
+    storage.getSupplyOffer(String(offerId || "").trim())
+  ]);
+  if (!request || !offer) return null;
+  if (request.status !== "open" || offer.status !== "open") throw new Error("Request and offer must both be open");
+  if (request.resource !== offer.resource) throw new Error("Request and offer are for different resources");
+  if (request.campId === offer.campId) throw new Error("A camp cannot supply itself");
+
+  const transfer = createTransfer(request, offer, quantity, { userId, name }, state.makeId);
+  const [from, to] = await Promise.all([storage.getCamp(transfer.fromCampId), storage.getCamp(transfer.toCampId)]);
+  checkTransferCamps(transfer, from, to);
+  const nextRequest = await storage.saveSupplyRequest(claimPosting(request, transfer.quantity));
+  const nextOffer = await storage.saveSupplyOffer(claimPosting(offer, transfer.quantity));
+  await storage.saveSupplyTransfer(transfer);
+  events.append("supply_request", { request: nextRequest });
+  events.append("supply_offer", { offer: nextOffer });
+  events.append("supply_transfer", { transfer });
+  await emitSupplyBoard();
+  return transfer;
 }
 
-io.on("connection", (socket) => {
-  socket.data.joinedZones = new Set();
+// A fully claimed posting is fulfilled once none of its transfers are still
+// moving.
+async function settlePosting(kind, id) {
+  const posting = await supplyStore[kind].get(id);
+  if (!posting || posting.status !== "matched") return;
+  const active = await storage.listSupplyTransfers({ [`${kind}Id`]: id });
+  if (active.length) return;
+  const next = await supplyStore[kind].save({ ...posting, status: "fulfilled", updatedAt: new Date().toISOString() });
+  events.append(`supply_${kind}`, { [kind]: next });
+}
 
-  socket.emit("hello", {
-    name: "Upside-Down Survivor Network",
-    zones: state.zones,
-    camps: state.camps
-  });
+// Transfers whose delivery is being booked, so a double submit can't move
+// the stock twice.
+const deliveringTransfers = new Set();
 
-  socket.on("join_zone", ({ zoneId, userId, name }) => {
-    const z = normalizeZoneId(zoneId);
-    if (!z) return;
-    socket.join(`zone:${z}`);
-    socket.data.joinedZones.add(z);
+async function updateTransfer(transferId, action, actor = {}) {
+  const transfer = await storage.getSupplyTransfer(String(transferId || "").trim());
+  if (!transfer) return null;
+  const next = advanceTransfer(transfer, action, actor);
 
-    upsertPresence(z, socket, { userId, name });
-    io.to(`zone:${z}`).emit("zone_presence", presenceSnapshot(z));
+  if (next.status === "delivered") {
+    if (deliveringTransfers.has(next.id)) throw new Error("This transfer is already being delivered");
+    deliveringTransfers.add(next.id);
+    try {
+      // Everything that could stop the booking is checked before either camp
+      // changes; the transfer only reads "delivered" once both entries exist.
+      const [from, to] = await Promise.all([storage.getCamp(next.fromCampId), storage.getCamp(next.toCampId)]);
+      checkTransferCamps(next, from, to);
+      const entry = { resource: next.resource, amount: next.quantity, userId: actor.userId, name: actor.name };
+      await addLedgerEntry(from.id, { ...entry, kind: "consumption", note: `Transfer to ${to.name}` });
+      await addLedgerEntry(to.id, { ...entry, kind: "delivery", note: `Transfer from ${from.name}` });
+      await storage.saveSupplyTransfer(next);
+    } finally {
+      deliveringTransfers.delete(next.id);
+    }
+  } else {
+    await storage.saveSupplyTransfer(next);
+  }
+  events.append("supply_transfer", { transfer: next });
+
+  if (next.status === "cancelled") {
+    // Hand the quantity back so the request can be matched again.
+    for (const [kind, id] of [["request", next.requestId], ["offer", next.offerId]]) {
+      const posting = await supplyStore[kind].get(id);
+      if (!posting) continue;
+      const restored = await supplyStore[kind].save(claimPosting(posting, -next.quantity));
+      events.append(`supply_${kind}`, { [kind]: restored });
+    }
+  } else if (next.status === "delivered") {
+    await settlePosting("request", next.requestId);
+    await settlePosting("offer", next.offerId);
+  }
+
+  await emitSupplyBoard();
+  return next;
+}
+
+app.get("/api/sos", (req, res) => {
+  (async () => {
+    try {
+      res.json({ sos: await storage.listSos(200) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+// Incidents with their member alerts and totals, newest activity first.
+// `?status=open` leaves out incidents whose alerts are all resolved.
+app.get("/api/sos/incidents", (req, res) => {
+  (async () => {
+    try {
+      const { incidents, byId } = await incidentContext();
+      const list = incidents.map((i) => summarizeIncident(i, byId));
+      res.json({ incidents: req.query.status === "open" ? list.filter((i) => i.status === "open") : list });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+// Open alerts in triage order, each with `triage` { score, factors,
+// waitingMinutes, peopleCount, nearestHazard }.
+app.get("/api/sos/queue", (req, res) => {
+  (async () => {
+    try {
+      const category = String(req.query.category || "").toLowerCase();
+      if (category && !SOS_CATEGORIES.includes(category)) {
+        res.status(400).json({ error: "Unknown category" });
+        return;
+      }
+      const limit = Math.min(200, Math.max(1, Number.parseInt(req.query.limit, 10) || 50));
+      const [alerts, threats, zoneMarkers, dangerZones] = await Promise.all([
+        storage.listSos(200),
+        storage.listThreats(200),
+        storage.listZoneMarkers(200),
+        storage.listDangerZones(200)
+      ]);
+      const hazards = collectHazards({ threats, zoneMarkers, dangerZones });
+      const queue = triageQueue(category ? alerts.filter((a) => a.category === category) : alerts, hazards);
+      res.json({ queue: queue.slice(0, limit), total: queue.length, generatedAt: new Date().toISOString() });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+app.get("/api/sos/:sosId", (req, res) => {
+  (async () => {
+    try {
+      const detail = await sosDetail(req.params.sosId);
+      if (!detail) {
+        res.status(404).json({ error: "SOS not found" });
+        return;
+      }
+      res.json(detail);
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+// On-duty responders ranked for this alert, with distance and ETA.
+app.get("/api/sos/:sosId/responders", (req, res) => {
+  (async () => {
+    try {
+      const alert = await storage.getSos(req.params.sosId);
+      if (!alert) {
+        res.status(404).json({ error: "SOS not found" });
+        return;
+      }
+      res.json({ sosId: alert.id, responders: await respondersFor(alert) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+app.get("/api/threats", (req, res) => {
+  (async () => {
+    try {
+      res.json({ threats: await storage.listThreats(200) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+app.get("/api/danger-zones", (req, res) => {
+  (async () => {
+    try {
+      res.json({ dangerZones: await storage.listDangerZones(200) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+app.get("/api/map", (req, res) => {
+  (async () => {
+    try {
+      const [camps, threats, zoneMarkers, dz, { incidents, byId }] = await Promise.all([
+        storage.listCamps(),
+        storage.listThreats(200),
+        storage.listZoneMarkers(200),
+        storage.listDangerZones(200),
+        incidentContext()
+      ]);
+      res.json({
+        camps: await decorateCamps(camps),
+        dangerZones: dz,
+        threats,
+        zoneMarkers,
+        incidents: incidents.map((i) => summarizeIncident(i, byId)).filter((i) => i.status === "open")
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+app.get("/api/zone-markers", (req, res) => {
+  (async () => {
+    try {
+      res.json({ zoneMarkers: await storage.listZoneMarkers(200) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+app.post("/api/zone-markers", (req, res) => {
+  (async () => {
+    try {
+      const marker = await publishZoneMarker(req.body);
+      res.json({ zoneMarker: marker });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+function normalizeZoneMarkerKind(value) {
+  const v = String(value || "").toLowerCase();
+  if (ZONE_MARKER_KINDS.includes(v)) return v;
+  return "rally";
+}
+
+function normalizeRadiusM(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 250;
+  return Math.max(30, Math.min(2000, Math.round(n)));
+}
+
+function createZoneMarker(payload) {
+  const { userId, name, label, kind, radiusM, location } = payload || {};
+  const loc = normalizeLocation(location);
+  if (!loc) throw new Error("Missing location");
+  const safeLabel = String(label || "").trim().slice(0, 80);
+  const marker = {
+    id: state.makeId(),
+    type: "zoneMarker",
+    kind: normalizeZoneMarkerKind(kind),
+    label: safeLabel || "Marked Zone",
+    radiusM: normalizeRadiusM(radiusM),
+    userId: String(userId || "").trim() || null,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    location: loc,
+    createdAt: new Date().toISOString()
+  };
+  return marker;
+}
+
+async function publishZoneMarker(payload) {
+  const marker = await storage.insertZoneMarker(createZoneMarker(payload));
+  events.append("zone_marker_add", { zoneMarker: marker });
+  io.emit("zone_marker_add", marker);
+  return marker;
+}
+
+app.get("/api/users/:userId", (req, res) => {
+  (async () => {
+    try {
+      const [user, [stay = null]] = await Promise.all([
+        storage.getUser(req.params.userId),
+        storage.listCampStays({ userId: req.params.userId, limit: 1 })
+      ]);
+      res.json({ user, stay });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+// Public zones only; private frequency counts go to the user's own socket.
+app.get("/api/users/:userId/unread", (req, res) => {
+  (async () => {
+    try {
+      res.json({ counts: await unreadCountsFor(String(req.params.userId), { includePrivate: false }) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
 
-    const history = (state.zoneMessages.get(z) || []).slice(-80);
-    socket.emit("zone_history", { zoneId: z, messages: history });
+app.post("/api/checkin", (req, res) => {
+  (async () => {
+    try {
+      const user = await recordCheckIn(req.body);
+      res.json({ user });
+    } catch (e) {
+      res.status(400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+// The body is the raw file (any Content-Type; the real type is sniffed from
+// the bytes). `?name=` keeps the original file name.
+app.post("/api/attachments", express.raw({ type: () => true, limit: attachments.maxBytes }), (req, res) => {
+  (async () => {
+    try {
+      const attachment = await attachments.save(Buffer.isBuffer(req.body) ? req.body : null, {
+        name: req.query.name,
+        userId: req.query.userId
+      });
+      res.json({ attachment: attachmentRef(attachment) });
+    } catch (e) {
+      res.status(e.message === "Unsupported file type" ? 415 : 400).json({ error: e.message || "Bad Request" });
+    }
+  })();
+});
+
+// Oversized JSON or upload bodies get a JSON error instead of Express's HTML page.
+app.use((err, req, res, next) => {
+  if (err?.type !== "entity.too.large") {
+    next(err);
+    return;
+  }
+  res.status(413).json({ error: "File is too large" });
+});
+
+// Attachment ids from a client, as the references to store. Strict mode
+// rejects unknown ids; SOS alerts drop them instead of failing.
+async function resolveAttachments(ids, { strict = true } = {}) {
+  const list = Array.isArray(ids) ? ids.map((id) => String(id || "").trim()).filter(Boolean) : [];
+  if (list.length > MAX_ATTACHMENTS) throw new Error(`At most ${MAX_ATTACHMENTS} attachments`);
+  const out = [];
+  for (const id of new Set(list)) {
+    const attachment = await attachments.get(id);
+    if (attachment) out.push(attachmentRef(attachment));
+    else if (strict) throw new Error("Attachment not found");
+  }
+  return out;
+}
+
+app.post("/api/sos", (req, res) => {
+  (async () => {
+    try {
+      const alert = await publishSos(req.body);
+      res.json({ sos: alert });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+function createSosAlert(payload, attachmentRefs = []) {
+  const { userId, name, message, location, severity, category, zoneId, peopleCount } = payload || {};
+  return {
+    id: state.makeId(),
+    type: "sos",
+    userId: String(userId || "").trim() || null,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    message: String(message || "").slice(0, 400),
+    severity: normalizeSosSeverity(severity),
+    category: normalizeSosCategory(category),
+    peopleCount: normalizePeopleCount(peopleCount),
+    zoneId: String(zoneId || "").trim() || null,
+    status: "open",
+    acknowledgements: [],
+    responders: [],
+    resolvedAt: null,
+    resolvedBy: null,
+    location: normalizeLocation(location),
+    attachments: attachmentRefs,
+    escalated: false,
+    escalations: [],
+    dispatch: null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+async function publishSos(payload) {
+  let refs = [];
+  try {
+    refs = await resolveAttachments(payload?.attachments, { strict: false });
+  } catch {
+    // too many attachments never holds back an SOS
+  }
+  const alert = createSosAlert(payload, refs);
+  try {
+    await storage.insertSos(alert);
+  } catch {
+    // Non-fatal for demo; the alert still goes out live even if persistence fails.
+  }
+  events.append("sos_alert", { sos: alert });
+  io.emit("sos_alert", alert);
+  await recordSosTimeline(alert.id, "created", alert, {
+    severity: alert.severity,
+    category: alert.category,
+    peopleCount: alert.peopleCount
+  });
+  clusterSos(alert).catch(() => {
+    // the alert stands alone until someone merges it
+  });
+  return alert;
+}
+
+// Appends to the alert's timeline and streams the entry. A failure here
+// never undoes the change it records.
+async function recordSosTimeline(sosId, kind, actor, details = null) {
+  try {
+    const entry = await storage.insertSosTimeline(createTimelineEntry(sosId, kind, actor, details, state.makeId));
+    events.append("sos_timeline", { entry });
+    io.emit("sos_timeline", { entry });
+  } catch {
+    // the alert itself is already updated
+  }
+}
+
+// An alert with its timeline (oldest first), follow-up thread and
+// incident, or null.
+async function sosDetail(sosId) {
+  const sos = await storage.getSos(sosId);
+  if (!sos) return null;
+  const [timeline, messages, { incidents, byId }] = await Promise.all([
+    storage.listSosTimeline(sos.id),
+    storage.listSosMessages(sos.id),
+    incidentContext()
+  ]);
+  const incident = incidents.find((i) => i.sosIds.includes(sos.id));
+  return {
+    sos,
+    timeline: withCreatedEntry(sos, timeline),
+    messages,
+    incident: incident ? summarizeIncident(incident, byId) : null
+  };
+}
+
+// Incident changes run one at a time, so two duplicates arriving together
+// can't each start their own incident.
+let incidentWork = Promise.resolve();
+function withIncidents(fn) {
+  const run = incidentWork.then(fn);
+  incidentWork = run.catch(() => {});
+  return run;
+}
+
+async function incidentContext() {
+  const [alerts, incidents] = await Promise.all([storage.listSos(200), storage.listSosIncidents(200)]);
+  return { alerts, incidents, byId: new Map(alerts.map((a) => [a.id, a])) };
+}
+
+async function saveIncident(incident, byId) {
+  await storage.saveSosIncident(incident);
+  events.append("sos_incident", { incident });
+  io.emit("sos_incident_update", { incident: summarizeIncident(incident, byId) });
+}
+
+async function removeIncident(incidentId) {
+  await storage.deleteSosIncident(incidentId);
+  events.append("sos_incident_remove", { incidentId });
+  io.emit("sos_incident_remove", { incidentId });
+}
+
+// Files a new alert with its closest duplicate, if it has one.
+function clusterSos(alert) {
+  return withIncidents(async () => {
+    const { alerts, incidents, byId } = await incidentContext();
+    const match = clusterFor(alert, alerts, incidents);
+    if (!match) return null;
+    const incident = match.incident
+      ? { ...match.incident, sosIds: [...match.incident.sosIds, alert.id], updatedAt: new Date().toISOString() }
+      : createIncident(state.makeId(), [match.sosId, alert.id]);
+    byId.set(alert.id, alert);
+    await saveIncident(incident, byId);
+    return incident;
+  });
+}
+
+// `ids` mixes alert and incident ids. An incident brings all of its alerts;
+// the first incident named absorbs the rest, otherwise a new one is made.
+// Alerts taken from other incidents leave them, and an incident left with
+// fewer than two alerts dissolves.
+function mergeSos(ids, by) {
+  return withIncidents(async () => {
+    const { incidents, byId } = await incidentContext();
+    const wanted = Array.from(new Set((Array.isArray(ids) ? ids : []).map((id) => String(id || "").trim()).filter(Boolean)));
+    const sosIds = [];
+    let target = null;
+    for (const id of wanted) {
+      const incident = incidents.find((i) => i.id === id);
+      if (incident) {
+        target ??= incident;
+        sosIds.push(...incident.sosIds);
+        continue;
+      }
+      if (!byId.has(id)) {
+        const alert = await storage.getSos(id);
+        if (!alert) throw new Error("SOS not found");
+        byId.set(id, alert);
+      }
+      sosIds.push(id);
+    }
+    const members = Array.from(new Set(sosIds));
+    if (members.length < 2) throw new Error("Merge needs at least two alerts");
+
+    const now = new Date();
+    const merged = target
+      ? { ...target, sosIds: members, updatedAt: now.toISOString() }
+      : createIncident(state.makeId(), members, by, now);
+    for (const other of incidents) {
+      if (other.id === merged.id) continue;
+      const rest = other.sosIds.filter((id) => !members.includes(id));
+      if (rest.length === other.sosIds.length) continue;
+      if (rest.length < 2) await removeIncident(other.id);
+      else await saveIncident({ ...other, sosIds: rest, updatedAt: now.toISOString() }, byId);
+    }
+    await saveIncident(merged, byId);
+    return summarizeIncident(merged, byId);
+  });
+}
+
+// Takes alerts out of an incident. Two or more split off together form an
+// incident of their own; an incident left with fewer than two dissolves.
+function splitSosIncident(incidentId, sosIds, by) {
+  return withIncidents(async () => {
+    const { incidents, byId } = await incidentContext();
+    const incident = incidents.find((i) => i.id === String(incidentId || "").trim());
+    if (!incident) throw new Error("Incident not found");
+    const out = new Set((Array.isArray(sosIds) ? sosIds : [sosIds]).map((id) => String(id || "").trim()));
+    const leaving = incident.sosIds.filter((id) => out.has(id));
+    if (!leaving.length) throw new Error("Those alerts are not in this incident");
+
+    const now = new Date();
+    const rest = incident.sosIds.filter((id) => !out.has(id));
+    let remaining = null;
+    if (rest.length < 2) {
+      await removeIncident(incident.id);
+    } else {
+      remaining = { ...incident, sosIds: rest, updatedAt: now.toISOString() };
+      await saveIncident(remaining, byId);
+    }
+    let split = null;
+    if (leaving.length >= 2) {
+      split = createIncident(state.makeId(), leaving, by, now);
+      await saveIncident(split, byId);
+    }
+    return {
+      incident: remaining && summarizeIncident(remaining, byId),
+      split: split && summarizeIncident(split, byId)
+    };
+  });
+}
+
+function normalizeSosSeverity(value) {
+  const v = String(value || "").toLowerCase();
+  if (SOS_SEVERITIES.includes(v)) return v;
+  return "high";
+}
+
+function normalizeSosCategory(value) {
+  const v = String(value || "").toLowerCase();
+  if (SOS_CATEGORIES.includes(v)) return v;
+  return "general";
+}
+
+app.post("/api/threats", (req, res) => {
+  (async () => {
+    try {
+      const threat = await publishThreat(req.body);
+      res.json({ threat });
+    } catch (e) {
+      res.status(500).json({ error: e.message || "Server Error" });
+    }
+  })();
+});
+
+function createThreat(payload) {
+  const { userId, name, label, severity, location, confidence, source, amplitude, baseline } = payload || {};
+  return {
+    id: state.makeId(),
+    type: "threat",
+    userId: String(userId || "").trim() || null,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    label: String(label || "Threat").slice(0, 120),
+    severity: ["low", "medium", "high"].includes(severity) ? severity : "medium",
+    confidence: Number.isFinite(Number(confidence)) ? Number(confidence) : undefined,
+    source: source ? String(source).slice(0, 40) : undefined,
+    amplitude: Number.isFinite(Number(amplitude)) ? Number(amplitude) : undefined,
+    baseline: Number.isFinite(Number(baseline)) ? Number(baseline) : undefined,
+    location: normalizeLocation(location),
+    createdAt: new Date().toISOString()
+  };
+}
+
+async function publishThreat(payload) {
+  const threat = createThreat(payload);
+  try {
+    await storage.insertThreat(threat);
+  } catch {
+    // Non-fatal for demo; the marker still goes out live even if persistence fails.
+  }
+  events.append("threat_report", { threat });
+  io.emit("threat_report", threat);
+  return threat;
+}
+
+async function recordCheckIn(payload) {
+  const user = await storage.checkIn(payload);
+  events.append("checkin", { user });
+  io.emit("checkin_update", { user });
+  io.emit("danger_zones_update", { dangerZones: await storage.listDangerZones(200) });
+  return user;
+}
+
+function toggleSosActorFor(sosId, role, actor, ack) {
+  (async () => {
+    try {
+      if (!String(actor?.userId || "").trim()) throw new Error("userId is required");
+      const result = await storage.toggleSosActor(sosId, role, actor);
+      if (!result) {
+        if (typeof ack === "function") ack({ ok: false, error: "SOS not found" });
+        return;
+      }
+      events.append(role === "ack" ? "sos_ack" : "sos_take", {
+        sosId: result.sos.id,
+        userId: String(actor?.userId || "").trim() || null,
+        name: String(actor?.name || "Unknown Survivor").slice(0, 60),
+        on: result.on,
+        sos: result.sos
+      });
+      io.emit("sos_update", { sos: result.sos });
+      const kinds = role === "ack" ? ["acked", "unacked"] : ["taken", "untaken"];
+      await recordSosTimeline(result.sos.id, result.on ? kinds[0] : kinds[1], actor);
+      if (typeof ack === "function") ack({ ok: true, on: result.on, sos: result.sos });
+    } catch (e) {
+      if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+    }
+  })();
+}
+
+const server = http.createServer(app);
+const io = new SocketIOServer(server, {
+  cors: {
+    origin: [CLIENT_ORIGIN],
+    methods: ["GET", "POST"]
+  }
+});
+
+function normalizeZoneId(zoneId) {
+  return String(zoneId || "").trim();
+}
+
+// Decrypts a stored message (and its revisions) or pin for a socket holding
+// the channel key.
+function revealFor(key, record) {
+  if (!record) return record;
+  const open = (text) => (isSealed(text) ? openText(key, text) ?? "[encrypted]" : text);
+  const out = isSealed(record.text) ? { ...record, text: open(record.text) } : record;
+  if (!record.revisions?.some((r) => isSealed(r.text))) return out;
+  return { ...out, revisions: record.revisions.map((r) => ({ ...r, text: open(r.text) })) };
+}
+
+// Unread messages per zone for one user: every active zone, plus any zone
+// (private frequencies included) they have a read marker in. Zones never
+// opened count everything in them.
+async function unreadCountsFor(userId, { includePrivate = true } = {}) {
+  const [zones, reads] = await Promise.all([storage.listZones(), storage.listZoneReads({ userId })]);
+  const markers = new Map(reads.map((r) => [r.zoneId, r]));
+  const zoneIds = new Set([...zones.map((z) => z.id), ...markers.keys()]);
+  const counts = {};
+  for (const zoneId of zoneIds) {
+    if (!includePrivate && isPrivateChannelId(zoneId)) continue;
+    counts[zoneId] = await storage.countZoneUnread(zoneId, userId, markers.get(zoneId) || null);
+  }
+  return counts;
+}
+
+// A top-level message with all of its replies (oldest first) and their
+// reactions. Any message id in the thread resolves to the whole thread.
+async function loadThread(zoneId, messageId, key) {
+  let parent = messageId ? await storage.getZoneMessage(zoneId, messageId) : null;
+  if (parent?.threadId) parent = await storage.getZoneMessage(zoneId, parent.threadId);
+  if (!parent) return null;
+  const replies = await storage.listZoneThread(zoneId, parent.id);
+  const reactions = await storage.listZoneReactions(zoneId, [parent.id, ...replies.map((m) => m.id)]);
+  return {
+    zoneId,
+    parent: revealFor(key, parent),
+    replies: replies.map((m) => revealFor(key, m)),
+    replyCount: replies.length,
+    reactions
+  };
+}
+
+function upsertPresence(zoneId, socket, { userId, name }) {
+  const z = normalizeZoneId(zoneId);
+  if (!z) return;
+  if (!state.zonePresence.has(z)) state.zonePresence.set(z, new Map());
+  const zoneMap = state.zonePresence.get(z);
+  zoneMap.set(socket.id, {
+    socketId: socket.id,
+    userId: String(userId || "").trim() || null,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    joinedAt: new Date().toISOString()
+  });
+}
+
+function removePresence(zoneId, socket) {
+  const z = normalizeZoneId(zoneId);
+  if (!z) return;
+  const zoneMap = state.zonePresence.get(z);
+  if (!zoneMap) return;
+  zoneMap.delete(socket.id);
+  if (zoneMap.size === 0) state.zonePresence.delete(z);
+}
+
+function presenceSnapshot(zoneId) {
+  const z = normalizeZoneId(zoneId);
+  const zoneMap = state.zonePresence.get(z);
+  const users = zoneMap ? Array.from(zoneMap.values()) : [];
+  // keep deterministic order for UI
+  users.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  return { zoneId: z, users, count: users.length };
+}
+
+io.on("connection", (socket) => {
+  socket.data.joinedZones = new Set();
+  // channelId -> message key (null for unencrypted channels), granted by
+  // channel_create / channel_join for this connection only.
+  socket.data.channelKeys = new Map();
+
+  (async () => {
+    let zones = [];
+    let camps = [];
+    try {
+      [zones, camps] = await Promise.all([storage.listZones(), decorateCamps(await storage.listCamps())]);
+    } catch {
+      // hello still goes out; the client also loads /api/zones and /api/camps
+    }
+    socket.emit("hello", {
+      name: "Upside-Down Survivor Network",
+      zones,
+      camps
+    });
+  })();
+
+  function hasAccess(z) {
+    return !isPrivateChannelId(z) || socket.data.channelKeys.has(z);
+  }
+
+  function joinZoneRoom(z, { userId, name }) {
+    socket.join(`zone:${z}`);
+    socket.data.joinedZones.add(z);
+
+    upsertPresence(z, socket, { userId, name });
+    io.to(`zone:${z}`).emit("zone_presence", presenceSnapshot(z));
+
+    (async () => {
+      try {
+        const key = socket.data.channelKeys.get(z);
+        const history = await storage.listZoneMessages(z, 80);
+        const ids = history.map((m) => m.id);
+        const [reactions, replyCounts, reads] = await Promise.all([
+          storage.listZoneReactions(z, ids),
+          storage.countZoneReplies(z, ids),
+          storage.listZoneReads({ zoneId: z })
+        ]);
+        socket.emit("zone_history", {
+          zoneId: z,
+          messages: history.map((m) => revealFor(key, m)),
+          reactions,
+          replyCounts,
+          reads,
+          // Cursor for GET /api/zones/:zoneId/messages?before=; null when
+          // this is the whole history.
+          before: history.length === 80 ? encodeCursor(history[0]) : null
+        });
+
+        // Send current pinned commander broadcast (if any)
+        socket.emit("zone_pinned_update", { zoneId: z, pinned: revealFor(key, await storage.getZonePinned(z)) });
+      } catch {
+        socket.emit("zone_history", { zoneId: z, messages: [], reactions: {}, replyCounts: {} });
+      }
+    })();
+  }
+
+  // Remembers which zone the socket's GPS position is in and, unless told
+  // otherwise, tells the client when a position crosses into a different one.
+  async function trackGeoZone(location, { announce = true } = {}) {
+    const zone = resolveZoneAt(await storage.listZones(), location);
+    const fromZoneId = socket.data.geoZoneId ?? null;
+    const zoneId = zone?.id ?? null;
+    socket.data.geoZoneId = zoneId;
+    socket.data.location = location;
+    socket.data.locatedAt = new Date().toISOString();
+    if (announce && zoneId !== fromZoneId) socket.emit("zone_changed", { fromZoneId, zoneId, zone });
+    return zone;
+  }
+
+  // With a location, an empty zoneId auto-joins the zone the caller is
+  // standing in, and an explicit zoneId elsewhere gets a zone_suggestion.
+  socket.on("join_zone", ({ zoneId, userId, name, location } = {}, ack) => {
+    const z = normalizeZoneId(zoneId);
+    if (z && !hasAccess(z)) {
+      if (typeof ack === "function") ack({ ok: false, error: "This frequency needs a passphrase or invite" });
+      return;
+    }
+    const loc = normalizeLocation(location);
+    if (!loc) {
+      if (z) joinZoneRoom(z, { userId, name });
+      if (typeof ack === "function") {
+        ack(z ? { ok: true, zoneId: z, moderator: isModerator(userId) } : { ok: false, error: "Missing zoneId" });
+      }
+      return;
+    }
+
+    (async () => {
+      let here = null;
+      try {
+        // join_zone answers with a suggestion instead of zone_changed
+        here = await trackGeoZone(loc, { announce: false });
+      } catch {
+        // fall back to the requested zone
+      }
+      const target = z || here?.id;
+      if (!target) {
+        if (typeof ack === "function") ack({ ok: false, error: "No zone covers this location" });
+        return;
+      }
+      joinZoneRoom(target, { userId, name });
+      if (here && here.id !== target) {
+        socket.emit("zone_suggestion", { zoneId: here.id, zone: here, currentZoneId: target });
+      }
+      if (typeof ack === "function") {
+        ack({ ok: true, zoneId: target, suggestedZoneId: here?.id ?? null, moderator: isModerator(userId) });
+      }
+    })();
+  });
+
+  socket.on("location_update", ({ location } = {}, ack) => {
+    const loc = normalizeLocation(location);
+    if (!loc) {
+      if (typeof ack === "function") ack({ ok: false, error: "Missing location" });
+      return;
+    }
+    (async () => {
+      try {
+        const zone = await trackGeoZone(loc);
+        if (typeof ack === "function") ack({ ok: true, zoneId: zone?.id ?? null });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
+
+  socket.on("leave_zone", ({ zoneId }) => {
+    const z = normalizeZoneId(zoneId);
+    if (!z) return;
+    socket.leave(`zone:${z}`);
+    socket.data.joinedZones.delete(z);
+    removePresence(z, socket);
+    io.to(`zone:${z}`).emit("zone_presence", presenceSnapshot(z));
+  });
+
+  socket.on("typing", ({ zoneId, userId, name, isTyping }) => {
+    const z = normalizeZoneId(zoneId);
+    if (!z || !hasAccess(z)) return;
+    io.to(`zone:${z}`).emit("typing", {
+      zoneId: z,
+      userId: String(userId || "").trim() || null,
+      name: String(name || "Unknown Survivor").slice(0, 60),
+      isTyping: Boolean(isTyping),
+      at: new Date().toISOString()
+    });
+  });
+
+  // `replyTo` answers an earlier message in the same zone. Threads are one
+  // level deep: a reply to a reply joins the top-level message's thread.
+  socket.on("chat_message", (payload = {}, ack) => {
+    const { zoneId, userId, name, text, kind, replyTo, attachments: attachmentIds } = payload;
+    const z = normalizeZoneId(zoneId);
+    if (!z || !hasAccess(z)) return;
+
+    let command = null;
+    try {
+      command = parseChatCommand(text);
+    } catch (e) {
+      if (typeof ack === "function") ack({ ok: false, error: e.message });
+      return;
+    }
+    if (command) {
+      (async () => {
+        try {
+          const result = await runChatCommand(command, z, payload);
+          if (typeof ack === "function") ack({ ok: true, command: command.name, ...result });
+        } catch (e) {
+          if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+        }
+      })();
+      return;
+    }
+
+    const k = MESSAGE_KINDS.includes(kind) ? kind : "info";
+    const msg = {
+      id: state.makeId(),
+      type: "chat",
+      zoneId: z,
+      userId: String(userId || "").trim() || null,
+      name: String(name || "Unknown Survivor").slice(0, 60),
+      kind: k,
+      text: literalChatText(text).slice(0, 600),
+      replyTo: null,
+      threadId: null,
+      attachments: [],
+      createdAt: new Date().toISOString()
+    };
+
+    // Encrypted channels keep only ciphertext at rest (storage, event log,
+    // snapshots); members in the room get the plaintext live.
+    const key = socket.data.channelKeys.get(z);
+    const parentId = String(replyTo || "").trim();
+
+    (async () => {
+      if (attachmentIds?.length) {
+        try {
+          // Files on disk are not encrypted, so sealed channels take text only.
+          if (key) throw new Error("Attachments are not available on encrypted frequencies");
+          msg.attachments = await resolveAttachments(attachmentIds);
+        } catch (e) {
+          if (typeof ack === "function") ack({ ok: false, error: e.message });
+          return;
+        }
+      }
+
+      if (parentId) {
+        let parent = null;
+        try {
+          parent = await storage.getZoneMessage(z, parentId);
+        } catch {
+          // treated as missing
+        }
+        if (!parent) {
+          if (typeof ack === "function") ack({ ok: false, error: "Reply target not found in this zone" });
+          return;
+        }
+        msg.replyTo = parent.id;
+        msg.threadId = parent.threadId || parent.id;
+      }
+
+      const stored = key ? { ...msg, text: sealText(key, msg.text) } : msg;
+      try {
+        await storage.insertZoneMessage(stored);
+      } catch {
+        // Non-fatal for demo; the message still goes out live even if persistence fails.
+      }
+      events.append("chat_message", { message: stored });
+      io.to(`zone:${z}`).emit("chat_message", msg);
+      // Lets clients outside the room keep their unread counters current.
+      if (!isPrivateChannelId(z)) {
+        io.emit("zone_activity", { zoneId: z, messageId: msg.id, userId: msg.userId, createdAt: msg.createdAt });
+      }
+      if (typeof ack === "function") ack({ ok: true, message: msg });
+
+      if (msg.threadId) {
+        try {
+          const counts = await storage.countZoneReplies(z, [msg.threadId]);
+          io.to(`zone:${z}`).emit("thread_update", {
+            zoneId: z,
+            messageId: msg.threadId,
+            replyCount: counts[msg.threadId] || 0,
+            lastReply: msg
+          });
+        } catch {
+          // counts catch up with the next history load
+        }
+      }
+    })();
+  });
+
+  // Shared by edit_message and delete_message: author or moderator only,
+  // judged by the identified user rather than anything in the payload.
+  // Broadcasts message_update and keeps a pin on the message in step.
+  async function modifyMessage({ zoneId, messageId }, change, eventType) {
+    const actor = { userId: identifiedUser(), name: socket.data.name };
+    const z = normalizeZoneId(zoneId);
+    if (!z || !hasAccess(z)) throw new Error("This frequency needs a passphrase or invite");
+    const msg = await storage.getZoneMessage(z, String(messageId || "").trim());
+    if (!msg) throw new Error("Message not found");
+    if (!canModifyMessage(msg, actor.userId)) throw new Error("Only the author or a moderator can change this message");
+
+    const key = socket.data.channelKeys.get(z);
+    const next = change(msg, key, actor);
+    if (next === msg) return revealFor(key, msg);
+    await storage.updateZoneMessage(next);
+    events.append(eventType, { message: next });
+    const shown = revealFor(key, next);
+    io.to(`zone:${z}`).emit("message_update", { zoneId: z, message: shown });
+
+    // A retracted broadcast comes down; an edited one shows the new text.
+    const pinned = await storage.getZonePinned(z);
+    if (pinned?.messageId === next.id) {
+      const nextPin = next.deletedAt ? null : { ...pinned, kind: next.kind, text: next.text };
+      await storage.setZonePinned(z, nextPin);
+      events.append(nextPin ? "pin_message" : "unpin_message", { zoneId: z, pinned: nextPin });
+      io.to(`zone:${z}`).emit("zone_pinned_update", { zoneId: z, pinned: revealFor(key, nextPin) });
+    }
+    return shown;
+  }
+
+  socket.on("edit_message", ({ text, kind, ...target } = {}, ack) => {
+    (async () => {
+      try {
+        const message = await modifyMessage(
+          target,
+          (msg, key, actor) =>
+            key
+              ? applyMessageEdit(msg, { text, kind }, actor, (t) => sealText(key, t), (t) => openText(key, t))
+              : applyMessageEdit(msg, { text, kind }, actor),
+          "message_edit"
+        );
+        if (typeof ack === "function") ack({ ok: true, message });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  socket.on("delete_message", (target = {}, ack) => {
+    (async () => {
+      try {
+        const message = await modifyMessage(target, (msg, _key, actor) => retractMessage(msg, actor), "message_delete");
+        if (typeof ack === "function") ack({ ok: true, message });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  socket.on("thread_view", ({ zoneId, messageId } = {}, ack) => {
+    const z = normalizeZoneId(zoneId);
+    if (typeof ack !== "function") return;
+    if (!z || !hasAccess(z)) {
+      ack({ ok: false, error: "This frequency needs a passphrase or invite" });
+      return;
+    }
+    (async () => {
+      try {
+        const thread = await loadThread(z, String(messageId || "").trim(), socket.data.channelKeys.get(z));
+        ack(thread ? { ok: true, ...thread } : { ok: false, error: "Message not found" });
+      } catch (e) {
+        ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
+
+  socket.on("pin_message", ({ zoneId, messageId, userId, name } = {}, ack) => {
+    const z = normalizeZoneId(zoneId);
+    if (!z) return;
+    if (!hasAccess(z)) {
+      if (typeof ack === "function") ack({ ok: false, error: "This frequency needs a passphrase or invite" });
+      return;
+    }
+    (async () => {
+      try {
+        const msg = await storage.getZoneMessage(z, String(messageId || "").trim());
+        if (!msg || msg.deletedAt) {
+          if (typeof ack === "function") ack({ ok: false, error: msg ? "Message was retracted" : "Message not found" });
+          return;
+        }
+        const pinned = await pinZoneMessage(z, msg, { userId, name });
+        if (typeof ack === "function") ack({ ok: true, pinned });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
+
+  // Resolves to the pin as this socket sees it (decrypted).
+  async function pinZoneMessage(z, msg, { userId, name }) {
+    const pinned = {
+      id: state.makeId(),
+      zoneId: z,
+      messageId: msg.id,
+      kind: msg.kind,
+      text: msg.text,
+      from: { userId: msg.userId || null, name: msg.name },
+      pinnedBy: { userId: String(userId || "").trim() || null, name: String(name || "Unknown Survivor").slice(0, 60) },
+      createdAt: msg.createdAt,
+      pinnedAt: new Date().toISOString()
+    };
+
+    await storage.setZonePinned(z, pinned);
+    events.append("pin_message", { zoneId: z, pinned });
+    const shown = revealFor(socket.data.channelKeys.get(z), pinned);
+    io.to(`zone:${z}`).emit("zone_pinned_update", { zoneId: z, pinned: shown });
+    return shown;
+  }
+
+  // Slash commands from the zone composer create the same records as the
+  // SOS, map and check-in tabs; nothing is posted to the chat.
+  async function runChatCommand(command, z, { userId, name, location, replyTo }) {
+    const actor = { userId, name };
+    const here = command.location || normalizeLocation(location);
+    switch (command.name) {
+      case "sos": {
+        const sos = await publishSos({
+          ...actor,
+          message: command.message,
+          category: command.category,
+          severity: command.severity,
+          location: here,
+          // private frequencies are never named in public alerts
+          zoneId: isPrivateChannelId(z) ? null : z
+        });
+        return { sos };
+      }
+      case "mark": {
+        if (!here) throw new Error("/mark needs a location: share GPS or add GPS: lat, lng");
+        const zoneMarker = await publishZoneMarker({
+          ...actor,
+          kind: command.kind,
+          radiusM: command.radiusM,
+          label: command.label,
+          location: here
+        });
+        return { zoneMarker };
+      }
+      case "checkin":
+        return { user: await recordCheckIn({ ...actor, note: command.note, location: normalizeLocation(location) }) };
+      case "pin": {
+        const targetId = String(replyTo || "").trim();
+        const target = targetId
+          ? await storage.getZoneMessage(z, targetId)
+          : (await storage.listZoneMessages(z, 50)).filter((m) => !m.deletedAt).pop();
+        if (!target || target.deletedAt) throw new Error("Nothing to pin");
+        return { pinned: await pinZoneMessage(z, target, actor) };
+      }
+      default:
+        return { usage: command.usage };
+    }
+  }
+
+  socket.on("unpin_message", ({ zoneId } = {}, ack) => {
+    const z = normalizeZoneId(zoneId);
+    if (!z) return;
+    if (!hasAccess(z)) {
+      if (typeof ack === "function") ack({ ok: false, error: "This frequency needs a passphrase or invite" });
+      return;
+    }
+    (async () => {
+      try {
+        await storage.setZonePinned(z, null);
+        events.append("unpin_message", { zoneId: z, pinned: null });
+        io.to(`zone:${z}`).emit("zone_pinned_update", { zoneId: z, pinned: null });
+        if (typeof ack === "function") ack({ ok: true });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
+
+  socket.on("react_message", ({ zoneId, messageId, userId, reaction } = {}, ack) => {
+    const z = normalizeZoneId(zoneId);
+    const id = String(messageId || "").trim();
+    const uid = String(userId || "").trim();
+    if (!z || !id || !uid) {
+      if (typeof ack === "function") ack({ ok: false, error: "Bad Request" });
+      return;
+    }
+    if (!hasAccess(z)) {
+      if (typeof ack === "function") ack({ ok: false, error: "This frequency needs a passphrase or invite" });
+      return;
+    }
+
+    (async () => {
+      try {
+        // Ensure the message exists in this zone
+        const target = await storage.getZoneMessage(z, id);
+        if (!target || target.deletedAt) {
+          if (typeof ack === "function") ack({ ok: false, error: target ? "Message was retracted" : "Message not found" });
+          return;
+        }
+
+        const r = reaction === "dispute" ? "dispute" : "confirm";
+        const { confirmCount, disputeCount, my } = await storage.toggleZoneReaction(z, id, uid, r);
+        events.append("react_message", { zoneId: z, messageId: id, userId: uid, reaction: r, my });
+
+        const snap = { zoneId: z, messageId: id, confirmCount, disputeCount };
+        io.to(`zone:${z}`).emit("message_reaction_update", snap);
+        if (typeof ack === "function") ack({ ok: true, my, ...snap });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
+
+  // Direct messages go to per-user rooms (`user:<userId>`), joined once the
+  // client identifies. The sender is always the identified user. A new id
+  // is claimed with a token returned in the ack; every later identify as
+  // that id must send it back. Tokens stay out of the event log.
+  socket.on("identify", ({ userId, name, token } = {}, ack) => {
+    (async () => {
+      try {
+        const uid = String(userId || "").trim();
+        if (!uid) throw new Error("userId is required");
+        const existing = await storage.getUserToken(uid);
+        let issued = null;
+        if (existing) {
+          if (!verifyUserToken(existing, token)) throw new Error("This user id is claimed; identify with its token");
+        } else {
+          issued = issueUserToken(uid);
+          await storage.insertUserToken(issued.record);
+        }
+
+        if (socket.data.userId && socket.data.userId !== uid) socket.leave(`user:${socket.data.userId}`);
+        socket.data.userId = uid;
+        socket.data.name = String(name || "Unknown Survivor").slice(0, 60);
+        socket.join(`user:${uid}`);
+        const [conversations, unreadCounts] = await Promise.all([
+          storage.listDmConversations(uid),
+          unreadCountsFor(uid)
+        ]);
+        if (typeof ack === "function") ack({ ok: true, token: issued?.token, conversations, unreadCounts });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  function identifiedUser() {
+    if (!socket.data.userId) throw new Error("Identify first");
+    return socket.data.userId;
+  }
+
+  // Read markers: the identified user has seen `messageId` (and everything
+  // before it) in the zone. The marker is broadcast to the room so a
+  // commander can see who has read a pinned broadcast.
+  socket.on("zone_read", ({ zoneId, messageId } = {}, ack) => {
+    (async () => {
+      try {
+        const uid = identifiedUser();
+        const z = normalizeZoneId(zoneId);
+        if (!z) throw new Error("zoneId is required");
+        if (!hasAccess(z)) throw new Error("This frequency needs a passphrase or invite");
+        const message = await storage.getZoneMessage(z, String(messageId || ""));
+        if (!message) throw new Error("Message not found");
+
+        const [current] = await storage.listZoneReads({ zoneId: z, userId: uid });
+        const read = advanceReadMarker(current, createReadMarker({ zoneId: z, userId: uid, name: socket.data.name }, message));
+        await storage.saveZoneRead(read);
+        events.append("zone_read", { zoneId: z, read });
+        io.to(`zone:${z}`).emit("zone_read", read);
+
+        const unread = await storage.countZoneUnread(z, uid, read);
+        io.to(`user:${uid}`).emit("unread_counts", { counts: { [z]: unread } });
+        if (typeof ack === "function") ack({ ok: true, read, unread });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  // Going on duty with one or more responder roles (medic, rescue, supply,
+  // security) puts this survivor on the list for escalated SOS alerts
+  // nearby. Empty roles go off duty. Lasts as long as the connection.
+  socket.on("responder_duty", ({ roles, location } = {}, ack) => {
+    try {
+      identifiedUser();
+      const list = normalizeResponderRoles(roles);
+      const loc = normalizeLocation(location);
+      if (loc) {
+        socket.data.location = loc;
+        socket.data.locatedAt = new Date().toISOString();
+      }
+      socket.data.duty = list.length ? { roles: list, since: new Date().toISOString() } : null;
+      if (typeof ack === "function") ack({ ok: true, roles: list });
+    } catch (e) {
+      if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+    }
+  });
+
+  socket.on("unread_counts", (_payload, ack) => {
+    (async () => {
+      try {
+        const counts = await unreadCountsFor(identifiedUser());
+        if (typeof ack === "function") ack({ ok: true, counts });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  socket.on("dm_send", ({ toUserId, toName, text } = {}, ack) => {
+    (async () => {
+      try {
+        const dm = createDirectMessage(
+          { fromUserId: identifiedUser(), fromName: socket.data.name, toUserId, toName, text },
+          state.makeId
+        );
+        await storage.insertDirectMessage(dm);
+        events.append("dm_message", { message: dm });
+        io.to(`user:${dm.fromUserId}`).to(`user:${dm.toUserId}`).emit("dm_message", dm);
+        if (typeof ack === "function") ack({ ok: true, message: dm });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  socket.on("dm_history", ({ withUserId, limit } = {}, ack) => {
+    if (typeof ack !== "function") return;
+    (async () => {
+      try {
+        const peer = String(withUserId || "").trim();
+        if (!peer) throw new Error("withUserId is required");
+        const n = Math.max(1, Math.min(200, Number(limit) || 100));
+        ack({ ok: true, withUserId: peer, messages: await storage.listDirectMessages(identifiedUser(), peer, n) });
+      } catch (e) {
+        ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  socket.on("dm_conversations", (_payload, ack) => {
+    if (typeof ack !== "function") return;
+    (async () => {
+      try {
+        ack({ ok: true, conversations: await storage.listDmConversations(identifiedUser()) });
+      } catch (e) {
+        ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  // Marks the conversation read up to now; both sides hear about it (the
+  // reader's other tabs clear their badge, the sender sees it was read).
+  socket.on("dm_read", ({ withUserId } = {}, ack) => {
+    (async () => {
+      try {
+        const uid = identifiedUser();
+        const peer = String(withUserId || "").trim();
+        if (!peer) throw new Error("withUserId is required");
+        const at = new Date().toISOString();
+        const count = await storage.markDirectMessagesRead(uid, peer, at);
+        if (count) {
+          const id = conversationId(uid, peer);
+          events.append("dm_read", { conversationId: id, userId: uid, at });
+          io.to(`user:${uid}`).to(`user:${peer}`).emit("dm_read", { conversationId: id, readerId: uid, at });
+        }
+        if (typeof ack === "function") ack({ ok: true, count });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  // Private frequencies: never listed anywhere; the id is shared out of band
+  // along with the passphrase, or folded into an invite token.
+  socket.on("channel_create", (payload, ack) => {
+    (async () => {
+      try {
+        const { channel, key } = await createPrivateChannel(payload, state.makeId);
+        await storage.savePrivateChannel(channel);
+        events.append("channel_save", { channel });
+        socket.data.channelKeys.set(channel.id, key);
+        if (typeof ack === "function") ack({ ok: true, channel: publicChannel(channel) });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
+
+  socket.on("channel_join", ({ channelId, passphrase, inviteToken } = {}, ack) => {
+    (async () => {
+      try {
+        const id = inviteToken ? inviteChannelId(inviteToken) : normalizeZoneId(channelId);
+        const channel = isPrivateChannelId(id) ? await storage.getPrivateChannel(id) : null;
+        let granted = null;
+        if (channel && inviteToken) {
+          granted = await redeemInvite(channel, inviteToken);
+          if (granted) {
+            await storage.savePrivateChannel(granted.channel);
+            events.append("channel_save", { channel: granted.channel });
+          }
+        } else if (channel) {
+          const verified = await verifyPassphrase(channel, passphrase);
+          if (verified) granted = { channel, key: verified.key };
+        }
+        // Same answer for unknown ids and wrong secrets.
+        if (!granted) {
+          if (typeof ack === "function") ack({ ok: false, error: "Unknown frequency or wrong passphrase/invite" });
+          return;
+        }
+        socket.data.channelKeys.set(granted.channel.id, granted.key);
+        if (typeof ack === "function") ack({ ok: true, channel: publicChannel(granted.channel) });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
+
+  socket.on("channel_invite", ({ channelId } = {}, ack) => {
+    const id = normalizeZoneId(channelId);
+    if (!isPrivateChannelId(id) || !hasAccess(id)) {
+      if (typeof ack === "function") ack({ ok: false, error: "Join the frequency before inviting others" });
+      return;
+    }
+    (async () => {
+      try {
+        const channel = await storage.getPrivateChannel(id);
+        if (!channel) {
+          if (typeof ack === "function") ack({ ok: false, error: "Unknown frequency" });
+          return;
+        }
+        const invite = await createInvite(channel, socket.data.channelKeys.get(id));
+        await storage.savePrivateChannel(invite.channel);
+        events.append("channel_save", { channel: invite.channel });
+        if (typeof ack === "function") ack({ ok: true, token: invite.token, expiresAt: invite.expiresAt });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
 
-    // Send current pinned commander broadcast (if any)
-    socket.emit("zone_pinned_update", { zoneId: z, pinned: state.zonePinned.get(z) || null });
+  socket.on("zone_create", (payload, ack) => {
+    (async () => {
+      try {
+        const zone = await addZone(payload);
+        if (typeof ack === "function") ack({ ok: true, zone });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
-  socket.on("leave_zone", ({ zoneId }) => {
-    const z = normalizeZoneId(zoneId);
-    if (!z) return;
-    socket.leave(`zone:${z}`);
-    socket.data.joinedZones.delete(z);
-    removePresence(z, socket);
-    io.to(`zone:${z}`).emit("zone_presence", presenceSnapshot(z));
+  socket.on("zone_update", ({ zoneId, ...patch } = {}, ack) => {
+    (async () => {
+      try {
+        const zone = await updateZone(zoneId, patch);
+        if (typeof ack === "function") ack(zone ? { ok: true, zone } : { ok: false, error: "Zone not found" });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
-  socket.on("typing", ({ zoneId, userId, name, isTyping }) => {
-    const z = normalizeZoneId(zoneId);
-    if (!z) return;
-    io.to(`zone:${z}`).emit("typing", {
-      zoneId: z,
-      userId: String(userId || "").trim() || null,
-      name: String(name || "Unknown Survivor").slice(0, 60),
-      isTyping: Boolean(isTyping),
-      at: new Date().toISOString()
-    });
+  socket.on("zone_retire", ({ zoneId } = {}, ack) => {
+    (async () => {
+      try {
+        const zone = await updateZone(zoneId, null, { retire: true });
+        if (typeof ack === "function") ack(zone ? { ok: true, zone } : { ok: false, error: "Zone not found" });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
-  socket.on("chat_message", ({ zoneId, userId, name, text, kind }) => {
-    const z = normalizeZoneId(zoneId);
-    if (!z) return;
-    const allowedKinds = new Set(["info", "threat", "resource", "route"]);
-    const k = allowedKinds.has(kind) ? kind : "info";
-    const msg = {
-      id: state.makeId(),
-      type: "chat",
-      zoneId: z,
-      userId: String(userId || "").trim() || null,
-      name: String(name || "Unknown Survivor").slice(0, 60),
-      kind: k,
-      text: String(text || "").slice(0, 600),
-      createdAt: new Date().toISOString()
-    };
+  socket.on("camp_create", (payload, ack) => {
+    (async () => {
+      try {
+        const camp = await addCamp(payload);
+        if (typeof ack === "function") ack({ ok: true, camp });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
-    addChatMessage(z, msg);
-    io.to(`zone:${z}`).emit("chat_message", msg);
+  socket.on("camp_update", ({ campId, ...patch } = {}, ack) => {
+    (async () => {
+      try {
+        const camp = await updateCamp(campId, patch);
+        if (typeof ack === "function") ack(camp ? { ok: true, camp } : { ok: false, error: "Camp not found" });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
-  socket.on("pin_message", ({ zoneId, messageId, userId, name }, ack) => {
-    const z = normalizeZoneId(zoneId);
-    if (!z) return;
-    const msg = findMessage(z, messageId);
-    if (!msg) {
-      if (typeof ack === "function") ack({ ok: false, error: "Message not found" });
-      return;
-    }
+  socket.on("camp_retire", ({ campId } = {}, ack) => {
+    (async () => {
+      try {
+        const camp = await updateCamp(campId, null, { retire: true });
+        if (typeof ack === "function") ack(camp ? { ok: true, camp } : { ok: false, error: "Camp not found" });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
-    const pinned = {
-      id: state.makeId(),
-      zoneId: z,
-      messageId: msg.id,
-      kind: msg.kind,
-      text: msg.text,
-      from: { userId: msg.userId || null, name: msg.name },
-      pinnedBy: { userId: String(userId || "").trim() || null, name: String(name || "Unknown Survivor").slice(0, 60) },
-      createdAt: msg.createdAt,
-      pinnedAt: new Date().toISOString()
-    };
+  socket.on("camp_ledger_add", ({ campId, ...payload } = {}, ack) => {
+    (async () => {
+      try {
+        const result = await addLedgerEntry(campId, payload);
+        if (typeof ack === "function") ack(result ? { ok: true, ...result } : { ok: false, error: "Camp not found" });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
-    state.zonePinned.set(z, pinned);
-    io.to(`zone:${z}`).emit("zone_pinned_update", { zoneId: z, pinned });
-    if (typeof ack === "function") ack({ ok: true, pinned });
+  socket.on("camp_arrive", ({ campId, ...payload } = {}, ack) => {
+    (async () => {
+      try {
+        const result = await registerArrival(campId, payload);
+        if (typeof ack === "function") ack(result ? { ok: true, ...result } : { ok: false, error: "Camp not found" });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
-  socket.on("unpin_message", ({ zoneId }, ack) => {
-    const z = normalizeZoneId(zoneId);
-    if (!z) return;
-    state.zonePinned.delete(z);
-    io.to(`zone:${z}`).emit("zone_pinned_update", { zoneId: z, pinned: null });
-    if (typeof ack === "function") ack({ ok: true });
+  socket.on("camp_depart", ({ campId, ...payload } = {}, ack) => {
+    (async () => {
+      try {
+        const result = await registerDeparture(campId, payload);
+        if (typeof ack === "function") {
+          ack(result ? { ok: true, ...result } : { ok: false, error: "No active stay at this camp" });
+        }
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
-  socket.on("react_message", ({ zoneId, messageId, userId, reaction }, ack) => {
-    const z = normalizeZoneId(zoneId);
-    const id = String(messageId || "").trim();
-    const uid = String(userId || "").trim();
-    if (!z || !id || !uid) {
-      if (typeof ack === "function") ack({ ok: false, error: "Bad Request" });
-      return;
-    }
+  socket.on("supply_request_add", (payload, ack) => {
+    (async () => {
+      try {
+        const request = await postSupply("request", payload);
+        if (typeof ack === "function") ack({ ok: true, request });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
-    // Ensure the message exists in this zone
-    if (!findMessage(z, id)) {
-      if (typeof ack === "function") ack({ ok: false, error: "Message not found" });
-      return;
-    }
+  socket.on("supply_offer_add", (payload, ack) => {
+    (async () => {
+      try {
+        const offer = await postSupply("offer", payload);
+        if (typeof ack === "function") ack({ ok: true, offer });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
-    const r = reaction === "dispute" ? "dispute" : "confirm";
-    const entry = getZoneReactionEntry(z, id);
+  socket.on("supply_transfer_accept", (payload, ack) => {
+    (async () => {
+      try {
+        const transfer = await acceptSupplyMatch(payload);
+        if (typeof ack === "function") {
+          ack(transfer ? { ok: true, transfer } : { ok: false, error: "Request or offer not found" });
+        }
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
-    // Toggle + enforce mutual exclusivity
-    if (r === "confirm") {
-      if (entry.confirm.has(uid)) entry.confirm.delete(uid);
-      else entry.confirm.add(uid);
-      entry.dispute.delete(uid);
-    } else {
-      if (entry.dispute.has(uid)) entry.dispute.delete(uid);
-      else entry.dispute.add(uid);
-      entry.confirm.delete(uid);
-    }
-
-    const snap = reactionSnapshot(z, id);
-    io.to(`zone:${z}`).emit("message_reaction_update", snap);
-    if (typeof ack === "function") {
-      ack({
-        ok: true,
-        my: { confirm: entry.confirm.has(uid), dispute: entry.dispute.has(uid) },
-        ...snap
-      });
-    }
+  socket.on("supply_transfer_update", ({ transferId, action, ...actor } = {}, ack) => {
+    (async () => {
+      try {
+        const transfer = await updateTransfer(transferId, action, actor);
+        if (typeof ack === "function") ack(transfer ? { ok: true, transfer } : { ok: false, error: "Transfer not found" });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
   socket.on("disconnect", () => {
@@ -640,182 +2360,172 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("sos_alert", (payload) => {
-    const { userId, name, message, location, severity, category, zoneId } = payload || {};
-    const alert = {
-      id: state.makeId(),
-      type: "sos",
-      userId: String(userId || "").trim() || null,
-      name: String(name || "Unknown Survivor").slice(0, 60),
-      message: String(message || "").slice(0, 400),
-      severity: normalizeSosSeverity(severity),
-      category: normalizeSosCategory(category),
-      zoneId: String(zoneId || "").trim() || null,
-      status: "open",
-      acknowledgements: [],
-      responders: [],
-      resolvedAt: null,
-      resolvedBy: null,
-      location: location && Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lng))
-        ? { lat: Number(location.lat), lng: Number(location.lng) }
-        : null,
-      createdAt: new Date().toISOString()
-    };
-
-    state.sosAlerts.push(alert);
+  socket.on("sos_alert", (payload, ack) => {
     (async () => {
       try {
-        if (supabaseEnabled()) await dbInsertSos(alert);
-      } catch {
-        // Non-fatal for demo
+        const sos = await publishSos(payload);
+        if (typeof ack === "function") ack({ ok: true, sos });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
       }
     })();
-    io.emit("sos_alert", alert);
   });
 
-  socket.on("sos_ack", ({ sosId, userId, name }, ack) => {
-    const alert = findSosAlert(sosId);
-    if (!alert) {
-      if (typeof ack === "function") ack({ ok: false, error: "SOS not found" });
-      return;
-    }
+  socket.on("sos_ack", ({ sosId, userId, name } = {}, ack) => {
+    toggleSosActorFor(sosId, "ack", { userId, name }, ack);
+  });
+
+  socket.on("sos_take", ({ sosId, userId, name } = {}, ack) => {
+    toggleSosActorFor(sosId, "responder", { userId, name }, ack);
+  });
 
-    const { next, on } = toggleActor(alert.acknowledgements, { userId, name });
-    alert.acknowledgements = next;
+  socket.on("sos_responders", ({ sosId } = {}, ack) => {
     (async () => {
       try {
-        if (supabaseEnabled()) await dbToggleSosActor(alert.id, "ack", { userId, name });
-      } catch {
-        // Non-fatal for demo
+        const alert = await storage.getSos(sosId);
+        if (!alert) throw new Error("SOS not found");
+        if (typeof ack === "function") ack({ ok: true, sosId: alert.id, responders: await respondersFor(alert) });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
       }
     })();
-    io.emit("sos_update", { sos: alert });
-    if (typeof ack === "function") ack({ ok: true, on, sos: alert });
   });
 
-  socket.on("sos_take", ({ sosId, userId, name }, ack) => {
-    const alert = findSosAlert(sosId);
-    if (!alert) {
-      if (typeof ack === "function") ack({ ok: false, error: "SOS not found" });
-      return;
-    }
-
-    const { next, on } = toggleActor(alert.responders, { userId, name });
-    alert.responders = next;
+  // Assigns an on-duty responder to an open alert (replacing any earlier
+  // assignment) and tells them directly. Without etaMinutes the ETA is
+  // estimated from the distance.
+  socket.on("sos_dispatch", ({ sosId, responderId, etaMinutes } = {}, ack) => {
     (async () => {
       try {
-        if (supabaseEnabled()) await dbToggleSosActor(alert.id, "responder", { userId, name });
-      } catch {
-        // Non-fatal for demo
+        const by = { userId: identifiedUser(), name: socket.data.name };
+        const eta = normalizeEtaMinutes(etaMinutes);
+        const alert = await storage.getSos(sosId);
+        if (!alert) throw new Error("SOS not found");
+        if (alert.status !== "open") throw new Error("SOS is resolved");
+        const responder = (await respondersFor(alert)).find((r) => r.userId === String(responderId || "").trim());
+        if (!responder) throw new Error("Responder is not on duty");
+
+        const sos = await storage.saveSosDispatch(alert.id, createDispatch({ responder, by, etaMinutes: eta }));
+        if (!sos) throw new Error("SOS not found");
+        events.append("sos_dispatch", { sosId: sos.id, dispatch: sos.dispatch, sos });
+        io.emit("sos_update", { sos });
+        io.to(`user:${responder.userId}`).emit("sos_dispatch_notice", { sos, dispatch: sos.dispatch });
+        await recordSosTimeline(sos.id, "dispatched", by, {
+          responderId: sos.dispatch.userId,
+          responderName: sos.dispatch.name,
+          etaMinutes: sos.dispatch.etaMinutes,
+          eta: sos.dispatch.eta
+        });
+        if (typeof ack === "function") ack({ ok: true, sos, dispatch: sos.dispatch });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
       }
     })();
-    io.emit("sos_update", { sos: alert });
-    if (typeof ack === "function") ack({ ok: true, on, sos: alert });
   });
 
-  socket.on("sos_resolve", ({ sosId, userId, name }, ack) => {
-    const alert = findSosAlert(sosId);
-    if (!alert) {
-      if (typeof ack === "function") ack({ ok: false, error: "SOS not found" });
-      return;
-    }
-
-    const uid = String(userId || "").trim() || null;
-    const nm = String(name || "Unknown Survivor").slice(0, 60);
+  socket.on("sos_detail", ({ sosId } = {}, ack) => {
+    (async () => {
+      try {
+        const detail = await sosDetail(sosId);
+        if (!detail) throw new Error("SOS not found");
+        if (typeof ack === "function") ack({ ok: true, ...detail });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
-    if (alert.resolvedAt) {
-      alert.status = "open";
-      alert.resolvedAt = null;
-      alert.resolvedBy = null;
-    } else {
-      alert.status = "resolved";
-      alert.resolvedAt = new Date().toISOString();
-      alert.resolvedBy = { userId: uid, name: nm };
-    }
+  // Follow-up thread on an alert; stays open after it is resolved.
+  socket.on("sos_message", ({ sosId, text } = {}, ack) => {
+    (async () => {
+      try {
+        const userId = identifiedUser();
+        const sos = await storage.getSos(sosId);
+        if (!sos) throw new Error("SOS not found");
+        const message = await storage.insertSosMessage(
+          createSosMessage({ sosId: sos.id, userId, name: socket.data.name, text }, state.makeId)
+        );
+        events.append("sos_message", { message });
+        io.emit("sos_message", { message });
+        if (typeof ack === "function") ack({ ok: true, message });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
+  });
 
+  socket.on("sos_incident_merge", ({ ids } = {}, ack) => {
     (async () => {
       try {
-        if (supabaseEnabled()) await dbToggleSosResolved(alert.id, { userId, name });
-      } catch {
-        // Non-fatal for demo
+        const incident = await mergeSos(ids, { userId: identifiedUser(), name: socket.data.name });
+        if (typeof ack === "function") ack({ ok: true, incident });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
       }
     })();
+  });
 
-    io.emit("sos_update", { sos: alert });
-    if (typeof ack === "function") ack({ ok: true, sos: alert });
+  socket.on("sos_incident_split", ({ incidentId, sosIds } = {}, ack) => {
+    (async () => {
+      try {
+        const result = await splitSosIncident(incidentId, sosIds, { userId: identifiedUser(), name: socket.data.name });
+        if (typeof ack === "function") ack({ ok: true, ...result });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
-  socket.on("threat_report", (payload) => {
-    const { userId, name, label, severity, location, confidence, source, amplitude, baseline } = payload || {};
-    const threat = {
-      id: state.makeId(),
-      type: "threat",
-      userId: String(userId || "").trim() || null,
-      name: String(name || "Unknown Survivor").slice(0, 60),
-      label: String(label || "Threat").slice(0, 120),
-      severity: ["low", "medium", "high"].includes(severity) ? severity : "medium",
-      confidence: Number.isFinite(Number(confidence)) ? Number(confidence) : undefined,
-      source: source ? String(source).slice(0, 40) : undefined,
-      amplitude: Number.isFinite(Number(amplitude)) ? Number(amplitude) : undefined,
-      baseline: Number.isFinite(Number(baseline)) ? Number(baseline) : undefined,
-      location: location && Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lng))
-        ? { lat: Number(location.lat), lng: Number(location.lng) }
-        : null,
-      createdAt: new Date().toISOString()
-    };
+  socket.on("sos_resolve", ({ sosId, userId, name } = {}, ack) => {
+    (async () => {
+      try {
+        const result = await storage.toggleSosResolved(sosId, { userId, name });
+        if (!result) {
+          if (typeof ack === "function") ack({ ok: false, error: "SOS not found" });
+          return;
+        }
+        events.append("sos_resolve", {
+          sosId: result.sos.id,
+          userId: String(userId || "").trim() || null,
+          name: String(name || "Unknown Survivor").slice(0, 60),
+          resolved: result.resolved,
+          sos: result.sos
+        });
+        io.emit("sos_update", { sos: result.sos });
+        await recordSosTimeline(result.sos.id, result.resolved ? "resolved" : "reopened", { userId, name });
+        if (typeof ack === "function") ack({ ok: true, sos: result.sos });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
+      }
+    })();
+  });
 
-    state.threats.push(threat);
+  socket.on("threat_report", (payload, ack) => {
     (async () => {
       try {
-        if (supabaseEnabled()) await dbInsertThreat(threat);
-      } catch {
-        // Non-fatal for demo
+        const threat = await publishThreat(payload);
+        if (typeof ack === "function") ack({ ok: true, threat });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Server Error" });
       }
     })();
-    io.emit("threat_report", threat);
   });
 
   socket.on("zone_marker_add", (payload, ack) => {
-    try {
-      const marker = createZoneMarker(payload);
-      state.zoneMarkers.push(marker);
-      (async () => {
-        try {
-          if (supabaseEnabled()) await dbInsertZoneMarker(marker);
-        } catch {
-          // Non-fatal for demo
-        }
-      })();
-      io.emit("zone_marker_add", marker);
-      if (typeof ack === "function") ack({ ok: true, zoneMarker: marker });
-    } catch (e) {
-      if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
-    }
+    (async () => {
+      try {
+        const marker = await publishZoneMarker(payload);
+        if (typeof ack === "function") ack({ ok: true, zoneMarker: marker });
+      } catch (e) {
+        if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
+      }
+    })();
   });
 
   socket.on("checkin", (payload, ack) => {
     (async () => {
       try {
-        if (supabaseEnabled()) {
-          try {
-            const user = await dbCheckIn(payload);
-            io.emit("checkin_update", { user });
-            try {
-              io.emit("danger_zones_update", { dangerZones: await dbListDangerZones(200) });
-            } catch (e) {
-              if (!isLikelySchemaMissingError(e)) throw e;
-              io.emit("danger_zones_update", { dangerZones: dangerZones(state) });
-            }
-            if (typeof ack === "function") ack({ ok: true, user });
-            return;
-          } catch (e) {
-            if (!isLikelySchemaMissingError(e)) throw e;
-          }
-        }
-
-        const user = checkIn(state, payload);
-        io.emit("checkin_update", { user });
-        io.emit("danger_zones_update", { dangerZones: dangerZones(state) });
+        const user = await recordCheckIn(payload);
         if (typeof ack === "function") ack({ ok: true, user });
       } catch (e) {
         if (typeof ack === "function") ack({ ok: false, error: e.message || "Bad Request" });
@@ -866,19 +2576,109 @@ app.post("/api/gemini/chat", (req, res) => {
   })();
 });
 
-setInterval(() => {
-  (async () => {
-    try {
-      if (supabaseEnabled()) {
+// On-duty responders, one entry per user (the connection that last
+// reported a position wins). Without a live position, the last check-in
+// location stands in.
+async function onDutyResponders() {
+  const byUser = new Map();
+  for (const s of io.sockets.sockets.values()) {
+    const { userId, name, duty, location, locatedAt } = s.data;
+    if (!userId || !duty) continue;
+    const prev = byUser.get(userId);
+    if (prev?.location && !location) continue;
+    byUser.set(userId, {
+      userId,
+      name,
+      roles: duty.roles,
+      onDutySince: duty.since,
+      location: location || null,
+      locationSource: location ? "live" : null,
+      locatedAt: location ? locatedAt || null : null
+    });
+  }
+  const responders = Array.from(byUser.values());
+  await Promise.all(
+    responders
+      .filter((r) => !r.location)
+      .map(async (r) => {
         try {
-          io.emit("danger_zones_update", { dangerZones: await dbListDangerZones(200) });
-          return;
-        } catch (e) {
-          if (!isLikelySchemaMissingError(e)) throw e;
+          const user = await storage.getUser(r.userId);
+          if (!user?.lastKnownLocation) return;
+          r.location = user.lastKnownLocation;
+          r.locationSource = "checkin";
+          r.locatedAt = user.lastCheckInAt ? new Date(user.lastCheckInAt).toISOString() : null;
+        } catch {
+          // stays without a location
         }
+      })
+  );
+  return responders;
+}
+
+// Ranked candidates for dispatch; responders already assigned to another
+// open alert are marked busy.
+async function respondersFor(alert) {
+  const [responders, open] = await Promise.all([onDutyResponders(), storage.listSos(200)]);
+  const busy = new Set(
+    open.filter((a) => a.id !== alert.id && a.status === "open" && a.dispatch?.userId).map((a) => a.dispatch.userId)
+  );
+  return rankResponders(alert, responders, { busy });
+}
+
+// Responders whose roles fit the alert, nearest first. Those within
+// `radiusM` if any are; otherwise every fitting responder, so an escalation
+// never goes unheard.
+async function escalationTargets(alert, radiusM) {
+  const fitting = rankResponders(alert, await onDutyResponders())
+    .filter((r) => r.fits)
+    .map(({ userId, name, distanceM }) => ({ userId, name, distanceM }))
+    .sort((a, b) => (a.distanceM ?? Infinity) - (b.distanceM ?? Infinity));
+  const nearby = fitting.filter((r) => r.distanceM !== null && r.distanceM <= radiusM);
+  return nearby.length ? nearby : fitting;
+}
+
+let escalationRunning = false;
+
+async function checkSosEscalations(now = new Date()) {
+  if (escalationRunning) return;
+  escalationRunning = true;
+  try {
+    const settings = escalationSettings();
+    for (const listed of await storage.listSos(200)) {
+      if (!dueEscalation(listed, settings, now)) continue;
+      // re-read so an ack that just landed wins
+      const alert = await storage.getSos(listed.id);
+      const rule = alert && dueEscalation(alert, settings, now);
+      if (!rule) continue;
+
+      const targets = await escalationTargets(alert, settings.radiusM);
+      const next = applyEscalation(alert, rule, { notified: targets.map((t) => t.userId) }, now);
+      const sos = await storage.saveSosEscalation(alert.id, next);
+      if (!sos) continue;
+      const step = next.escalations[next.escalations.length - 1];
+      events.append("sos_escalate", { sosId: sos.id, step, sos });
+      io.emit("sos_update", { sos });
+      io.emit("sos_escalated", { sos, step });
+      await recordSosTimeline(sos.id, "escalated", null, step);
+      for (const t of targets) {
+        io.to(`user:${t.userId}`).emit("sos_escalation_notice", { sos, step, distanceM: t.distanceM });
       }
-      sweepForBrokenStreaks(state);
-      io.emit("danger_zones_update", { dangerZones: dangerZones(state) });
+    }
+  } catch {
+    // retried on the next tick
+  } finally {
+    escalationRunning = false;
+  }
+}
+
+setInterval(checkSosEscalations, Number(process.env.SOS_ESCALATION_CHECK_MS) || 15_000);
+
+setInterval(() => {
+  (async () => {
+    try {
+      io.emit("danger_zones_update", { dangerZones: await storage.listDangerZones(200) });
+      // Burn rates drift as entries age out of the window.
+      for (const camp of await decorateCamps(await storage.listCamps())) checkCampForecast(camp);
     } catch {
       // ignore periodic failures
     }
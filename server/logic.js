@@ -1,13 +1,6 @@
+import { normalizeLocation } from "./geo.js";
 import { utcDayKey, utcYesterdayDayKey, isOlderThanYesterdayDayKey } from "./time.js";
 
-function asLocation(input) {
-  if (!input) return null;
-  const lat = Number(input.lat);
-  const lng = Number(input.lng);
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-  return { lat, lng };
-}
-
 function markMissing(state, user, now, reason) {
   if (user.status === "missing") return;
 
@@ -96,7 +89,7 @@ export function checkIn(state, { userId, name, location, note }, now = new Date(
   const todayKey = utcDayKey(now);
   const yesterdayKey = utcYesterdayDayKey(now);
 
-  const newLocation = asLocation(location);
+  const newLocation = normalizeLocation(location);
   if (newLocation) user.lastKnownLocation = newLocation;
 
   const cleanNote = normalizeCheckInNote(note);
@@ -0,0 +1,154 @@
+import { actorOf } from "./actors.js";
+
+export const MESSAGE_KINDS = ["info", "threat", "resource", "route"];
+const MAX_REVISIONS = 20;
+
+// Comma-separated user ids in MODERATOR_USER_IDS may edit or retract anyone's
+// messages; everyone else only their own.
+export function moderatorIds() {
+  return new Set(
+    String(process.env.MODERATOR_USER_IDS || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  );
+}
+
+export function isModerator(userId) {
+  const id = String(userId || "").trim();
+  return Boolean(id) && moderatorIds().has(id);
+}
+
+export function canModifyMessage(message, userId) {
+  const id = String(userId || "").trim();
+  if (!id) return false;
+  return message.userId === id || isModerator(id);
+}
+
+// The previous text and kind go onto `revisions` (oldest first). On
+// encrypted channels `seal` encrypts the new text and `open` decrypts the
+// stored one; sealing uses a fresh IV, so texts are compared in plaintext.
+export function applyMessageEdit(message, { text, kind }, actor, seal = (t) => t, open = (t) => t) {
+  if (message.deletedAt) throw new Error("Message was retracted");
+  const nextKind = kind === undefined ? message.kind : String(kind);
+  if (!MESSAGE_KINDS.includes(nextKind)) throw new Error(`kind must be one of: ${MESSAGE_KINDS.join(", ")}`);
+  let nextText = message.text;
+  if (text !== undefined) {
+    const plain = String(text).slice(0, 600);
+    if (!plain.trim()) throw new Error("Message text is required");
+    if (plain !== open(message.text)) nextText = seal(plain);
+  }
+  if (nextText === message.text && nextKind === message.kind) return message;
+
+  const now = new Date().toISOString();
+  // Each revision records who wrote that version and when.
+  const revision = {
+    text: message.text,
+    kind: message.kind,
+    at: message.editedAt || message.createdAt,
+    by: message.editedBy || { userId: message.userId, name: message.name }
+  };
+  return {
+    ...message,
+    text: nextText,
+    kind: nextKind,
+    editedAt: now,
+    editedBy: actorOf(actor),
+    revisions: [...(message.revisions || []), revision].slice(-MAX_REVISIONS)
+  };
+}
+
+// Tombstone: the record (and its place in threads) stays, the content and
+// its history go.
+export function retractMessage(message, actor) {
+  if (message.deletedAt) throw new Error("Message was already retracted");
+  return {
+    ...message,
+    text: "",
+    attachments: [],
+    revisions: [],
+    deletedAt: new Date().toISOString(),
+    deletedBy: actorOf(actor)
+  };
+}
+
+// Same "GPS: lat, lng" convention the chat client links to the map.
+const GPS_RE = /GPS:?\s*(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/gi;
+
+export function extractCoordinates(text) {
+  const out = [];
+  for (const match of String(text || "").matchAll(GPS_RE)) {
+    const lat = Number(match[1]);
+    const lng = Number(match[2]);
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) out.push({ lat, lng });
+  }
+  return out;
+}
+
+// Cursors point at one message by (createdAt, id), the order history is
+// kept in. Opaque to clients.
+export function encodeCursor(message) {
+  return message ? Buffer.from(`${message.createdAt}|${message.id}`).toString("base64url") : null;
+}
+
+export function decodeCursor(value) {
+  if (!value) return null;
+  const [createdAt, id] = Buffer.from(String(value), "base64url").toString("utf8").split("|");
+  if (!createdAt || !id || Number.isNaN(Date.parse(createdAt)) || !/^[\w-]+$/.test(id)) {
+    throw new Error("Invalid cursor");
+  }
+  return { createdAt, id };
+}
+
+// Ordering used by cursors: negative when `message` sorts before `cursor`.
+export function compareToCursor(message, cursor) {
+  if (message.createdAt !== cursor.createdAt) return message.createdAt < cursor.createdAt ? -1 : 1;
+  if (message.id === cursor.id) return 0;
+  return message.id < cursor.id ? -1 : 1;
+}
+
+function parseTime(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const t = Date.parse(String(value));
+  if (Number.isNaN(t)) throw new Error(`${field} must be an ISO date`);
+  return new Date(t).toISOString();
+}
+
+// Query-string filters for message search; throws on bad input so routes
+// can answer 400.
+export function normalizeMessageSearch(query = {}) {
+  const kinds = String(query.kind || "")
+    .split(",")
+    .map((k) => k.trim().toLowerCase())
+    .filter(Boolean);
+  for (const k of kinds) {
+    if (!MESSAGE_KINDS.includes(k)) throw new Error(`kind must be one of: ${MESSAGE_KINDS.join(", ")}`);
+  }
+  const from = parseTime(query.from, "from");
+  const to = parseTime(query.to, "to");
+  if (from && to && from > to) throw new Error("from must be before to");
+  return {
+    kinds,
+    userId: String(query.userId || "").trim() || null,
+    author: String(query.author || "").trim().toLowerCase() || null,
+    text: String(query.q || "").trim().slice(0, 100).toLowerCase() || null,
+    from,
+    to,
+    before: decodeCursor(query.before),
+    limit: Math.max(1, Math.min(200, Number(query.limit) || 50))
+  };
+}
+
+// In-memory form of the search filters (storage backends with a query
+// language translate them instead). Retracted messages never match.
+export function matchesMessageSearch(message, search) {
+  if (message.deletedAt) return false;
+  if (search.kinds.length && !search.kinds.includes(message.kind)) return false;
+  if (search.userId && message.userId !== search.userId) return false;
+  if (search.author && !String(message.name || "").toLowerCase().includes(search.author)) return false;
+  if (search.text && !String(message.text || "").toLowerCase().includes(search.text)) return false;
+  if (search.from && message.createdAt < search.from) return false;
+  if (search.to && message.createdAt > search.to) return false;
+  if (search.before && compareToCursor(message, search.before) >= 0) return false;
+  return true;
+}
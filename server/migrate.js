@@ -0,0 +1,84 @@
+// Applies pending SQL files from supabase/migrations in filename order and
+// records each one in public.schema_migrations.
+//
+// Needs a direct Postgres connection string (Supabase: Project Settings →
+// Database → Connection string) in SUPABASE_DB_URL or DATABASE_URL.
+//
+// Usage: npm --prefix server run migrate [-- --status]
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import pg from "pg";
+
+import "./config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.resolve(__dirname, "..", "supabase", "migrations");
+
+async function listMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter((f) => f.endsWith(".sql")).sort();
+  const out = [];
+  for (const name of files) {
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, name), "utf8");
+    out.push({ name, sql, checksum: crypto.createHash("sha256").update(sql).digest("hex") });
+  }
+  return out;
+}
+
+async function main() {
+  const connectionString = process.env.SUPABASE_DB_URL || process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error("Set SUPABASE_DB_URL (or DATABASE_URL) to the project's Postgres connection string");
+  }
+  const statusOnly = process.argv.includes("--status");
+
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+  try {
+    await client.query(`
+      create table if not exists public.schema_migrations (
+        name text primary key,
+        checksum text not null,
+        applied_at timestamptz not null default now()
+      )
+    `);
+
+    const { rows } = await client.query("select name, checksum from public.schema_migrations");
+    const applied = new Map(rows.map((r) => [r.name, r.checksum]));
+
+    for (const m of await listMigrations()) {
+      const prev = applied.get(m.name);
+      if (prev) {
+        const note = prev === m.checksum ? "" : "  (file changed since it was applied)";
+        // eslint-disable-next-line no-console
+        console.log(`applied  ${m.name}${note}`);
+        continue;
+      }
+      if (statusOnly) {
+        // eslint-disable-next-line no-console
+        console.log(`pending  ${m.name}`);
+        continue;
+      }
+
+      // Each file manages its own transaction (so it also runs as-is in the
+      // SQL editor); the bookkeeping row is written once it has committed.
+      // eslint-disable-next-line no-await-in-loop
+      await client.query(m.sql);
+      // eslint-disable-next-line no-await-in-loop
+      await client.query("insert into public.schema_migrations (name, checksum) values ($1, $2)", [m.name, m.checksum]);
+      // eslint-disable-next-line no-console
+      console.log(`ran      ${m.name}`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error(`Migration failed: ${e?.message || e}`);
+  process.exitCode = 1;
+});
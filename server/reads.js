@@ -0,0 +1,39 @@
+import { compareToCursor } from "./messages.js";
+
+// One marker per (zone, user): the newest message that user has seen there,
+// and when they last looked.
+export function readMarkerId(zoneId, userId) {
+  return `${zoneId}|${userId}`;
+}
+
+export function createReadMarker({ zoneId, userId, name }, message, at = new Date().toISOString()) {
+  return {
+    id: readMarkerId(zoneId, userId),
+    zoneId,
+    userId,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    messageId: message.id,
+    messageAt: message.createdAt,
+    readAt: at
+  };
+}
+
+// Markers never move back to an older message, but `readAt` always
+// refreshes: opening a zone counts as seeing its pinned broadcast.
+export function advanceReadMarker(current, next) {
+  if (!current) return next;
+  const ahead = compareToCursor({ createdAt: next.messageAt, id: next.messageId }, markerCursor(current)) > 0;
+  return ahead ? next : { ...current, name: next.name, readAt: next.readAt };
+}
+
+// Cursor form of a marker, for messages-after-marker queries.
+export function markerCursor(marker) {
+  return marker ? { createdAt: marker.messageAt, id: marker.messageId } : null;
+}
+
+// Unread for `userId`: other people's messages past the marker, retractions
+// excluded.
+export function isUnreadFor(message, userId, marker) {
+  if (message.deletedAt || message.userId === userId) return false;
+  return !marker || compareToCursor(message, markerCursor(marker)) > 0;
+}
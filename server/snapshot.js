@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SNAPSHOT_FILE = path.resolve(__dirname, "data", "snapshot.json");
+const SNAPSHOT_VERSION = 2;
+
+// Presence is tied to live socket ids, so it is written for inspection but
+// never restored.
+const SKIP_ON_RESTORE = new Set(["zonePresence"]);
+
+// JSON has no Map/Set/Date, so tag them on the way out and rebuild them on the
+// way in. Dates are caught before toJSON() runs by reading the raw holder value.
+function replacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) return { $date: raw.toISOString() };
+  if (value instanceof Map) return { $map: Array.from(value.entries()) };
+  if (value instanceof Set) return { $set: Array.from(value) };
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if ("$date" in value) return new Date(value.$date);
+    if ("$map" in value) return new Map(value.$map);
+    if ("$set" in value) return new Set(value.$set);
+  }
+  return value;
+}
+
+function encodeState(state) {
+  const data = {};
+  for (const [key, value] of Object.entries(state)) {
+    if (typeof value === "function") continue;
+    data[key] = value;
+  }
+  return JSON.stringify(data, replacer);
+}
+
+function wrapSnapshot(encoded) {
+  return `{"version":${SNAPSHOT_VERSION},"savedAt":${JSON.stringify(new Date().toISOString())},"state":${encoded}}`;
+}
+
+export function serializeState(state) {
+  return wrapSnapshot(encodeState(state));
+}
+
+export function restoreState(state, text) {
+  const parsed = JSON.parse(text, reviver);
+  if (parsed?.version !== SNAPSHOT_VERSION || !parsed.state) {
+    throw new Error(`Unsupported snapshot version ${parsed?.version}`);
+  }
+  for (const [key, value] of Object.entries(parsed.state)) {
+    if (!(key in state) || typeof state[key] === "function" || SKIP_ON_RESTORE.has(key)) continue;
+    state[key] = value;
+  }
+  return parsed.savedAt || null;
+}
+
+export async function readSnapshot(file) {
+  try {
+    return await fs.promises.readFile(file, "utf8");
+  } catch (e) {
+    if (e?.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// Write-then-rename so a crash mid-write never leaves a truncated snapshot.
+export async function writeSnapshot(file, text) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  const handle = await fs.promises.open(tmp, "w");
+  try {
+    await handle.writeFile(text);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmp, file);
+}
+
+export function writeSnapshotSync(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeFileSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// Restores `state` from the last snapshot, then keeps writing snapshots every
+// SNAPSHOT_INTERVAL_MS (default 15s, 0 disables) and once more on shutdown.
+export async function startSnapshots(state, options = {}) {
+  const file = path.resolve(options.file || process.env.SNAPSHOT_FILE || DEFAULT_SNAPSHOT_FILE);
+  const intervalMs = Number(options.intervalMs ?? process.env.SNAPSHOT_INTERVAL_MS ?? 15_000);
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) return null;
+
+  const existing = await readSnapshot(file);
+  if (existing) {
+    try {
+      const savedAt = restoreState(state, existing);
+      // eslint-disable-next-line no-console
+      console.log(`Restored state snapshot from ${file}${savedAt ? ` (saved ${savedAt})` : ""}`);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn(`Ignoring unreadable snapshot ${file}: ${e?.message || e}`);
+    }
+  }
+
+  let lastWritten = null;
+  let writing = false;
+
+  async function flush() {
+    if (writing) return;
+    const encoded = encodeState(state);
+    if (encoded === lastWritten) return;
+    writing = true;
+    try {
+      await writeSnapshot(file, wrapSnapshot(encoded));
+      lastWritten = encoded;
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to write snapshot ${file}:`, e?.message || e);
+    } finally {
+      writing = false;
+    }
+  }
+
+  const timer = setInterval(() => {
+    flush();
+  }, intervalMs);
+  timer.unref();
+
+  for (const signal of ["SIGINT", "SIGTERM", "SIGUSR2"]) {
+    process.once(signal, () => {
+      try {
+        writeSnapshotSync(file, serializeState(state));
+      } catch {
+        // best effort on the way out
+      }
+      // Re-raise so the default handler (or nodemon) sees the original signal.
+      process.kill(process.pid, signal);
+    });
+  }
+
+  return { file, flush };
+}
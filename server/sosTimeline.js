@@ -0,0 +1,62 @@
+import { actorOf } from "./actors.js";
+
+// Every state change on an alert, in order. Alerts only hold their current
+// state; the timeline keeps what toggles overwrite.
+export const SOS_TIMELINE_KINDS = [
+  "created",
+  "acked",
+  "unacked",
+  "taken",
+  "untaken",
+  "escalated",
+  "dispatched",
+  "resolved",
+  "reopened"
+];
+
+// Automatic steps (escalation) have no actor.
+function timelineActor(actor) {
+  if (!String(actor?.userId || "").trim() && !actor?.name) return null;
+  return actorOf(actor);
+}
+
+export function createTimelineEntry(sosId, kind, actor, details, makeId, at = new Date().toISOString()) {
+  if (!SOS_TIMELINE_KINDS.includes(kind)) throw new Error(`Unknown timeline kind ${kind}`);
+  return {
+    id: `sost-${makeId()}`,
+    sosId,
+    kind,
+    actor: timelineActor(actor),
+    details: details || null,
+    at
+  };
+}
+
+// Alerts sent before timelines existed still open with their creation.
+export function withCreatedEntry(alert, timeline) {
+  if (timeline.some((e) => e.kind === "created")) return timeline;
+  const created = {
+    id: `sost-${alert.id}-created`,
+    sosId: alert.id,
+    kind: "created",
+    actor: timelineActor(alert),
+    details: { severity: alert.severity, category: alert.category },
+    at: alert.createdAt
+  };
+  return [created, ...timeline];
+}
+
+export function createSosMessage({ sosId, userId, name, text }, makeId) {
+  const uid = String(userId || "").trim();
+  if (!uid) throw new Error("userId is required");
+  const body = String(text || "").slice(0, 500);
+  if (!body.trim()) throw new Error("Message text is required");
+  return {
+    id: `sosm-${makeId()}`,
+    sosId,
+    userId: uid,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    text: body,
+    createdAt: new Date().toISOString()
+  };
+}
@@ -1,12 +1,49 @@
 import { nanoid } from "nanoid";
 
+// GeoJSON rectangle; positions are [lng, lat].
+function box(south, west, north, east) {
+  return {
+    type: "Polygon",
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  };
+}
+
+// Replaces the record with the same id in a state list, or appends it.
+export function upsertById(list, record) {
+  const idx = list.findIndex((x) => x?.id === record.id);
+  if (idx >= 0) list[idx] = record;
+  else list.push(record);
+  return record;
+}
+
 export function createInitialState() {
   return {
+    // The four seed sectors tile the area around the relief camps.
     zones: [
-      { id: "castle-byers", name: "Castle Byers" },
-      { id: "starcourt-ruins", name: "Starcourt Ruins" },
-      { id: "pumpkin-fields", name: "Rotten Pumpkin Fields" },
-      { id: "creel-house", name: "Creel House Perimeter" }
+      {
+        id: "castle-byers",
+        name: "Castle Byers",
+        description: "North-west woods and the old quarry road",
+        boundary: box(40.135, -85.72, 40.17, -85.67)
+      },
+      {
+        id: "starcourt-ruins",
+        name: "Starcourt Ruins",
+        description: "North-east, around the collapsed mall",
+        boundary: box(40.135, -85.67, 40.17, -85.62)
+      },
+      {
+        id: "pumpkin-fields",
+        name: "Rotten Pumpkin Fields",
+        description: "South-west farmland",
+        boundary: box(40.1, -85.72, 40.135, -85.67)
+      },
+      {
+        id: "creel-house",
+        name: "Creel House Perimeter",
+        description: "South-east, from the high school to the forest line",
+        boundary: box(40.1, -85.67, 40.135, -85.62)
+      }
     ],
     camps: [
       {
@@ -14,21 +51,24 @@ export function createInitialState() {
         name: "Hawkins High Gym Relief Camp",
         status: "safe",
         location: { lat: 40.134, lng: -85.668 },
-        resources: { food: 72, water: 81, medical: 34, power: 62 }
+        resources: { food: 72, water: 81, medical: 34, power: 62 },
+        capacity: 120
       },
       {
         id: "camp-forest-line",
         name: "Forest Line Safe Camp",
-        status: "watch",
+        status: "critical",
         location: { lat: 40.12, lng: -85.64 },
-        resources: { food: 41, water: 57, medical: 18, power: 39 }
+        resources: { food: 41, water: 57, medical: 18, power: 39 },
+        capacity: 60
       },
       {
         id: "camp-quarry",
         name: "Old Quarry Outpost",
         status: "critical",
         location: { lat: 40.155, lng: -85.705 },
-        resources: { food: 19, water: 23, medical: 7, power: 21 }
+        resources: { food: 19, water: 23, medical: 7, power: 21 },
+        capacity: 25
       }
     ],
 
@@ -41,6 +81,18 @@ export function createInitialState() {
     sosAlerts: [],
     threats: [],
     zoneMarkers: [],
+    campLedger: [],
+    supplyRequests: [],
+    supplyOffers: [],
+    supplyTransfers: [],
+    campStays: [],
+    privateChannels: [],
+    directMessages: [],
+    zoneReads: [],
+    sosIncidents: [],
+    sosTimeline: [],
+    sosMessages: [],
+    userTokens: [],
 
     makeId: () => nanoid(10)
   };
@@ -0,0 +1,108 @@
+import fs from "fs";
+import { readSnapshot, restoreState, serializeState, writeSnapshot, writeSnapshotSync } from "../snapshot.js";
+import { createMemoryStorage } from "./memory.js";
+
+// In-memory storage that loads from and saves the whole state to a local JSON
+// file, for machines without Supabase. Writes are coalesced: a burst of
+// changes costs one rewrite, STORE_SAVE_DELAY_MS (default 1000) after the
+// first, plus a final one on shutdown.
+export async function createFileStorage(state, { file, saveDelayMs = process.env.STORE_SAVE_DELAY_MS }) {
+  const existing = await readSnapshot(file);
+  if (existing) {
+    try {
+      restoreState(state, existing);
+    } catch (e) {
+      // The first write would replace the unreadable file, so move it aside
+      // for recovery and boot empty.
+      const aside = `${file}.unreadable-${Date.now()}`;
+      await fs.promises.rename(file, aside);
+      // eslint-disable-next-line no-console
+      console.warn(`Ignoring unreadable store ${file} (${e?.message || e}); moved it to ${aside} and starting empty.`);
+    }
+  }
+  const memory = createMemoryStorage(state);
+
+  const delayMs = Number(saveDelayMs ?? 1000);
+  let queue = Promise.resolve();
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    queue = queue
+      .then(() => writeSnapshot(file, serializeState(state)))
+      .catch((e) => {
+        // eslint-disable-next-line no-console
+        console.error(`Failed to write ${file}:`, e?.message || e);
+      });
+    return queue;
+  }
+
+  function save() {
+    if (timer) return;
+    timer = setTimeout(flush, Number.isFinite(delayMs) && delayMs > 0 ? delayMs : 0);
+    timer.unref();
+  }
+
+  function saving(fn) {
+    return async (...args) => {
+      const result = await fn(...args);
+      save();
+      return result;
+    };
+  }
+
+  for (const signal of ["SIGINT", "SIGTERM", "SIGUSR2"]) {
+    process.once(signal, () => {
+      if (timer) {
+        try {
+          writeSnapshotSync(file, serializeState(state));
+        } catch {
+          // best effort on the way out
+        }
+      }
+      // Re-raise so the default handler (or nodemon) sees the original signal.
+      process.kill(process.pid, signal);
+    });
+  }
+
+  return {
+    ...memory,
+    kind: "file",
+
+    async ping() {
+      await flush();
+      return { enabled: true, file };
+    },
+
+    checkIn: saving(memory.checkIn),
+    insertSos: saving(memory.insertSos),
+    toggleSosActor: saving(memory.toggleSosActor),
+    toggleSosResolved: saving(memory.toggleSosResolved),
+    saveSosEscalation: saving(memory.saveSosEscalation),
+    saveSosDispatch: saving(memory.saveSosDispatch),
+    saveSosIncident: saving(memory.saveSosIncident),
+    insertSosTimeline: saving(memory.insertSosTimeline),
+    insertSosMessage: saving(memory.insertSosMessage),
+    deleteSosIncident: saving(memory.deleteSosIncident),
+    insertThreat: saving(memory.insertThreat),
+    insertZoneMarker: saving(memory.insertZoneMarker),
+    saveZone: saving(memory.saveZone),
+    savePrivateChannel: saving(memory.savePrivateChannel),
+    insertCamp: saving(memory.insertCamp),
+    saveCamp: saving(memory.saveCamp),
+    insertCampLedgerEntry: saving(memory.insertCampLedgerEntry),
+    saveCampStay: saving(memory.saveCampStay),
+    saveSupplyRequest: saving(memory.saveSupplyRequest),
+    saveSupplyOffer: saving(memory.saveSupplyOffer),
+    saveSupplyTransfer: saving(memory.saveSupplyTransfer),
+    insertZoneMessage: saving(memory.insertZoneMessage),
+    insertUserToken: saving(memory.insertUserToken),
+    insertDirectMessage: saving(memory.insertDirectMessage),
+    markDirectMessagesRead: saving(memory.markDirectMessagesRead),
+    saveZoneRead: saving(memory.saveZoneRead),
+    updateZoneMessage: saving(memory.updateZoneMessage),
+    setZonePinned: saving(memory.setZonePinned),
+    toggleZoneReaction: saving(memory.toggleZoneReaction)
+  };
+}
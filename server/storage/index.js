@@ -0,0 +1,50 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { supabaseEnabled } from "../db.js";
+import { createMemoryStorage } from "./memory.js";
+import { createFileStorage } from "./file.js";
+import { createSupabaseStorage } from "./supabase.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STORE_FILE = path.resolve(__dirname, "..", "data", "store.json");
+
+// Picks the storage backend once at startup.
+//
+// STORAGE_BACKEND may be "supabase", "file" or "memory". When unset, Supabase
+// is used if it is configured, otherwise in-memory state. A configured but
+// unreachable (or schema-less) Supabase project falls back to memory so the
+// server still boots offline.
+export async function createStorage(state, options = {}) {
+  const backend = String(options.backend ?? process.env.STORAGE_BACKEND ?? "").trim().toLowerCase()
+    || (supabaseEnabled() ? "supabase" : "memory");
+
+  if (backend === "file") {
+    const file = options.file || process.env.STORAGE_FILE || DEFAULT_STORE_FILE;
+    return createFileStorage(state, { file: path.resolve(file) });
+  }
+
+  if (backend === "supabase") {
+    if (!supabaseEnabled()) {
+      // eslint-disable-next-line no-console
+      console.warn("STORAGE_BACKEND=supabase but SUPABASE_URL/key are missing; using in-memory storage.");
+      return createMemoryStorage(state);
+    }
+    const storage = createSupabaseStorage();
+    try {
+      await storage.ping();
+      return storage;
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn(`Supabase unavailable (${e?.message || e}); using in-memory storage.`);
+      return createMemoryStorage(state);
+    }
+  }
+
+  if (backend !== "memory") {
+    // eslint-disable-next-line no-console
+    console.warn(`Unknown STORAGE_BACKEND "${backend}"; using in-memory storage.`);
+  }
+  return createMemoryStorage(state);
+}
@@ -0,0 +1,463 @@
+import { checkIn, dangerZones, getOrCreateUser } from "../logic.js";
+import { conversationId, summarizeConversations } from "../dms.js";
+import { compareToCursor, matchesMessageSearch } from "../messages.js";
+import { isPrivateChannelId } from "../channels.js";
+import { isUnreadFor } from "../reads.js";
+import { upsertById } from "../state.js";
+
+function toggleActor(list, { userId, name }) {
+  const uid = String(userId || "").trim();
+  // same as the Supabase adapter: an anonymous toggle is a caller bug
+  if (!uid) throw new Error("Bad Request");
+  const next = Array.isArray(list) ? [...list] : [];
+  const idx = next.findIndex((x) => x?.userId === uid);
+  if (idx >= 0) {
+    next.splice(idx, 1);
+    return { next, on: false };
+  }
+  next.unshift({
+    userId: uid,
+    name: String(name || "Unknown Survivor").slice(0, 60),
+    at: new Date().toISOString()
+  });
+  if (next.length > 12) next.splice(12);
+  return { next, on: true };
+}
+
+const CLOSED_SUPPLY_STATUSES = new Set(["fulfilled", "delivered", "cancelled"]);
+
+function listSupply(list, { includeClosed = false } = {}) {
+  const out = includeClosed ? list.slice() : list.filter((x) => !CLOSED_SUPPLY_STATUSES.has(x.status));
+  return out.reverse();
+}
+
+function reactionCounts(entry) {
+  return {
+    confirmCount: entry ? entry.confirm.size : 0,
+    disputeCount: entry ? entry.dispute.size : 0
+  };
+}
+
+// Storage backed by the process-local state from createInitialState().
+// Durability, if any, comes from snapshot.js.
+export function createMemoryStorage(state) {
+  function findSos(sosId) {
+    const id = String(sosId || "").trim();
+    if (!id) return null;
+    const list = state.sosAlerts;
+    for (let i = list.length - 1; i >= 0; i -= 1) {
+      if (list[i]?.id === id) return list[i];
+    }
+    return null;
+  }
+
+  // Messages kept per zone; older ones fall off.
+  const historyPerZone = Math.max(100, Number(process.env.CHAT_HISTORY_PER_ZONE) || 2000);
+
+  function findMessage(zoneId, messageId) {
+    const list = state.zoneMessages.get(zoneId) || [];
+    // scan from the end (recent messages more likely)
+    for (let i = list.length - 1; i >= 0; i -= 1) {
+      if (list[i]?.id === messageId) return list[i];
+    }
+    return null;
+  }
+
+  return {
+    kind: "memory",
+
+    async ping() {
+      return { enabled: true };
+    },
+
+    async getUser(userId) {
+      return getOrCreateUser(state, { userId, name: null });
+    },
+
+    async checkIn(payload) {
+      return checkIn(state, payload || {});
+    },
+
+    async listDangerZones(limit = 200) {
+      return dangerZones(state).slice(0, limit);
+    },
+
+    async listSos(limit = 200) {
+      return state.sosAlerts.slice(-limit).reverse();
+    },
+
+    async getSos(sosId) {
+      return findSos(sosId);
+    },
+
+    async insertSos(alert) {
+      state.sosAlerts.push(alert);
+      return alert;
+    },
+
+    async toggleSosActor(sosId, role, actor) {
+      const alert = findSos(sosId);
+      if (!alert) return null;
+      const key = role === "ack" ? "acknowledgements" : "responders";
+      const { next, on } = toggleActor(alert[key], actor || {});
+      alert[key] = next;
+      return { sos: alert, on };
+    },
+
+    // Only the escalation fields, so a concurrent ack is never overwritten.
+    async saveSosEscalation(sosId, { severity, escalated, escalations }) {
+      const alert = findSos(sosId);
+      if (!alert) return null;
+      Object.assign(alert, { severity, escalated, escalations });
+      return alert;
+    },
+
+    async saveSosDispatch(sosId, dispatch) {
+      const alert = findSos(sosId);
+      if (!alert) return null;
+      alert.dispatch = dispatch;
+      return alert;
+    },
+
+    async listSosTimeline(sosId) {
+      return state.sosTimeline.filter((e) => e.sosId === sosId);
+    },
+
+    async insertSosTimeline(entry) {
+      state.sosTimeline.push(entry);
+      if (state.sosTimeline.length > 5000) state.sosTimeline.splice(0, state.sosTimeline.length - 5000);
+      return entry;
+    },
+
+    async listSosMessages(sosId, limit = 200) {
+      return state.sosMessages.filter((m) => m.sosId === sosId).slice(-limit);
+    },
+
+    async insertSosMessage(message) {
+      state.sosMessages.push(message);
+      if (state.sosMessages.length > 5000) state.sosMessages.splice(0, state.sosMessages.length - 5000);
+      return message;
+    },
+
+    async listSosIncidents(limit = 200) {
+      return [...state.sosIncidents].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)).slice(0, limit);
+    },
+
+    async saveSosIncident(incident) {
+      return upsertById(state.sosIncidents, incident);
+    },
+
+    async deleteSosIncident(incidentId) {
+      const idx = state.sosIncidents.findIndex((i) => i.id === incidentId);
+      if (idx !== -1) state.sosIncidents.splice(idx, 1);
+    },
+
+    async toggleSosResolved(sosId, { userId, name } = {}) {
+      const alert = findSos(sosId);
+      if (!alert) return null;
+
+      if (alert.resolvedAt) {
+        alert.status = "open";
+        alert.resolvedAt = null;
+        alert.resolvedBy = null;
+      } else {
+        alert.status = "resolved";
+        alert.resolvedAt = new Date().toISOString();
+        alert.resolvedBy = {
+          userId: String(userId || "").trim() || null,
+          name: String(name || "Unknown Survivor").slice(0, 60)
+        };
+      }
+      return { sos: alert, resolved: Boolean(alert.resolvedAt) };
+    },
+
+    async listThreats(limit = 200) {
+      return state.threats.slice(-limit).reverse();
+    },
+
+    async insertThreat(threat) {
+      state.threats.push(threat);
+      return threat;
+    },
+
+    async listZoneMarkers(limit = 200) {
+      return state.zoneMarkers.slice(-limit).reverse();
+    },
+
+    async insertZoneMarker(marker) {
+      state.zoneMarkers.push(marker);
+      return marker;
+    },
+
+    async listZones({ includeRetired = false } = {}) {
+      return includeRetired ? state.zones.slice() : state.zones.filter((z) => !z.retiredAt);
+    },
+
+    async getZone(zoneId) {
+      return state.zones.find((z) => z.id === zoneId) || null;
+    },
+
+    async saveZone(zone) {
+      return upsertById(state.zones, zone);
+    },
+
+    async getPrivateChannel(channelId) {
+      return state.privateChannels.find((c) => c.id === channelId) || null;
+    },
+
+    async savePrivateChannel(channel) {
+      return upsertById(state.privateChannels, channel);
+    },
+
+    async listCamps({ includeRetired = false } = {}) {
+      return includeRetired ? state.camps.slice() : state.camps.filter((c) => !c.retiredAt);
+    },
+
+    async getCamp(campId) {
+      return state.camps.find((c) => c.id === campId) || null;
+    },
+
+    async insertCamp(camp) {
+      state.camps.push(camp);
+      return camp;
+    },
+
+    async saveCamp(camp) {
+      const idx = state.camps.findIndex((c) => c.id === camp.id);
+      if (idx < 0) return null;
+      state.camps[idx] = camp;
+      return camp;
+    },
+
+    // Newest first.
+    async listCampLedger({ campIds, since, limit = 200 } = {}) {
+      const ids = campIds ? new Set(campIds) : null;
+      const out = [];
+      for (let i = state.campLedger.length - 1; i >= 0 && out.length < limit; i -= 1) {
+        const e = state.campLedger[i];
+        if (since && e.at < since) break;
+        if (!ids || ids.has(e.campId)) out.push(e);
+      }
+      return out;
+    },
+
+    async insertCampLedgerEntry(entry) {
+      state.campLedger.push(entry);
+      if (state.campLedger.length > 5000) state.campLedger.splice(0, state.campLedger.length - 5000);
+      return entry;
+    },
+
+    // Newest first; `name` matches case-insensitively anywhere in the name.
+    async listCampStays({ campIds, userId, name, activeOnly = true, limit = 500 } = {}) {
+      const ids = campIds ? new Set(campIds) : null;
+      const needle = String(name || "").trim().toLowerCase();
+      const out = [];
+      for (let i = state.campStays.length - 1; i >= 0 && out.length < limit; i -= 1) {
+        const s = state.campStays[i];
+        if (activeOnly && s.departedAt) continue;
+        if (ids && !ids.has(s.campId)) continue;
+        if (userId && s.userId !== userId) continue;
+        if (needle && !s.name.toLowerCase().includes(needle)) continue;
+        out.push(s);
+      }
+      return out;
+    },
+
+    async saveCampStay(stay) {
+      return upsertById(state.campStays, stay);
+    },
+
+    async listSupplyRequests(options) {
+      return listSupply(state.supplyRequests, options);
+    },
+
+    async getSupplyRequest(id) {
+      return state.supplyRequests.find((x) => x.id === id) || null;
+    },
+
+    async saveSupplyRequest(request) {
+      return upsertById(state.supplyRequests, request);
+    },
+
+    async listSupplyOffers(options) {
+      return listSupply(state.supplyOffers, options);
+    },
+
+    async getSupplyOffer(id) {
+      return state.supplyOffers.find((x) => x.id === id) || null;
+    },
+
+    async saveSupplyOffer(offer) {
+      return upsertById(state.supplyOffers, offer);
+    },
+
+    async listSupplyTransfers({ requestId, offerId, ...options } = {}) {
+      return listSupply(state.supplyTransfers, options).filter(
+        (t) => (!requestId || t.requestId === requestId) && (!offerId || t.offerId === offerId)
+      );
+    },
+
+    async getSupplyTransfer(id) {
+      return state.supplyTransfers.find((x) => x.id === id) || null;
+    },
+
+    async saveSupplyTransfer(transfer) {
+      return upsertById(state.supplyTransfers, transfer);
+    },
+
+    async listDirectMessages(userId, withUserId, limit = 100) {
+      const id = conversationId(userId, withUserId);
+      return state.directMessages.filter((m) => m.conversationId === id).slice(-limit);
+    },
+
+    async listDmConversations(userId) {
+      return summarizeConversations(state.directMessages, userId);
+    },
+
+    async insertDirectMessage(dm) {
+      state.directMessages.push(dm);
+      if (state.directMessages.length > 5000) state.directMessages.splice(0, state.directMessages.length - 5000);
+      return dm;
+    },
+
+    // Marks what `withUserId` sent to `userId` up to `at` as read; returns
+    // how many changed.
+    async markDirectMessagesRead(userId, withUserId, at) {
+      const id = conversationId(userId, withUserId);
+      let count = 0;
+      for (const m of state.directMessages) {
+        if (m.conversationId !== id || m.toUserId !== userId || m.readAt || m.createdAt > at) continue;
+        m.readAt = at;
+        count += 1;
+      }
+      return count;
+    },
+
+    async getUserToken(userId) {
+      return state.userTokens.find((t) => t.userId === userId) || null;
+    },
+
+    async insertUserToken(record) {
+      if (state.userTokens.some((t) => t.userId === record.userId)) throw new Error("User id is already claimed");
+      state.userTokens.push(record);
+      return record;
+    },
+
+    async listZoneReads({ zoneId = null, userId = null } = {}) {
+      return state.zoneReads.filter((r) => (!zoneId || r.zoneId === zoneId) && (!userId || r.userId === userId));
+    },
+
+    async saveZoneRead(read) {
+      return upsertById(state.zoneReads, read);
+    },
+
+    async countZoneUnread(zoneId, userId, marker) {
+      return (state.zoneMessages.get(zoneId) || []).filter((m) => isUnreadFor(m, userId, marker)).length;
+    },
+
+    async listZoneMessages(zoneId, limit = 80) {
+      return (state.zoneMessages.get(zoneId) || []).slice(-limit);
+    },
+
+    async getZoneMessage(zoneId, messageId) {
+      return findMessage(zoneId, messageId);
+    },
+
+    // One chronological page: the latest messages, or those just before /
+    // after a cursor. `hasMore` says whether more lie in that direction.
+    async listZoneMessagesPage(zoneId, { before = null, after = null, limit = 50 } = {}) {
+      let list = state.zoneMessages.get(zoneId) || [];
+      if (before) list = list.filter((m) => compareToCursor(m, before) < 0);
+      if (after) list = list.filter((m) => compareToCursor(m, after) > 0);
+      const messages = after ? list.slice(0, limit) : list.slice(-limit);
+      return { messages, hasMore: list.length > messages.length };
+    },
+
+    // Newest first within one zone, or across every public zone when
+    // `zoneId` is null. Private frequencies are never searched.
+    async searchZoneMessages(zoneId, search) {
+      const zoneIds = zoneId ? [zoneId] : Array.from(state.zoneMessages.keys());
+      const out = [];
+      for (const z of zoneIds) {
+        if (isPrivateChannelId(z)) continue;
+        for (const m of state.zoneMessages.get(z) || []) {
+          if (matchesMessageSearch(m, search)) out.push(m);
+        }
+      }
+      out.sort((a, b) => compareToCursor(b, a));
+      return { messages: out.slice(0, search.limit), hasMore: out.length > search.limit };
+    },
+
+    async listZoneThread(zoneId, threadId, limit = 200) {
+      return (state.zoneMessages.get(zoneId) || []).filter((m) => m.threadId === threadId).slice(-limit);
+    },
+
+    async countZoneReplies(zoneId, messageIds) {
+      const wanted = new Set(messageIds || []);
+      const out = {};
+      for (const m of state.zoneMessages.get(zoneId) || []) {
+        if (m.threadId && wanted.has(m.threadId)) out[m.threadId] = (out[m.threadId] || 0) + 1;
+      }
+      return out;
+    },
+
+    async insertZoneMessage(msg) {
+      const z = msg.zoneId;
+      if (!state.zoneMessages.has(z)) state.zoneMessages.set(z, []);
+      const list = state.zoneMessages.get(z);
+      list.push(msg);
+      if (list.length > historyPerZone) list.splice(0, list.length - historyPerZone);
+      return msg;
+    },
+
+    async updateZoneMessage(msg) {
+      const list = state.zoneMessages.get(msg.zoneId) || [];
+      const idx = list.findIndex((m) => m?.id === msg.id);
+      if (idx === -1) throw new Error("Message not found");
+      list[idx] = msg;
+      return msg;
+    },
+
+    async getZonePinned(zoneId) {
+      return state.zonePinned.get(zoneId) || null;
+    },
+
+    async setZonePinned(zoneId, pinned) {
+      if (pinned) state.zonePinned.set(zoneId, pinned);
+      else state.zonePinned.delete(zoneId);
+      return pinned || null;
+    },
+
+    async listZoneReactions(zoneId, messageIds) {
+      const zoneMap = state.zoneReactions.get(zoneId);
+      const out = {};
+      for (const id of messageIds || []) {
+        const entry = zoneMap?.get(id);
+        if (!entry) continue;
+        const { confirmCount, disputeCount } = reactionCounts(entry);
+        if (confirmCount || disputeCount) out[id] = { confirm: confirmCount, dispute: disputeCount };
+      }
+      return out;
+    },
+
+    async toggleZoneReaction(zoneId, messageId, userId, reaction) {
+      if (!state.zoneReactions.has(zoneId)) state.zoneReactions.set(zoneId, new Map());
+      const zoneMap = state.zoneReactions.get(zoneId);
+      if (!zoneMap.has(messageId)) {
+        zoneMap.set(messageId, { confirm: new Set(), dispute: new Set() });
+      }
+      const entry = zoneMap.get(messageId);
+
+      // Toggle + enforce mutual exclusivity
+      const other = reaction === "confirm" ? "dispute" : "confirm";
+      if (entry[reaction].has(userId)) entry[reaction].delete(userId);
+      else entry[reaction].add(userId);
+      entry[other].delete(userId);
+
+      return {
+        ...reactionCounts(entry),
+        my: { confirm: entry.confirm.has(userId), dispute: entry.dispute.has(userId) }
+      };
+    }
+  };
+}
@@ -0,0 +1,169 @@
+import {
+  dbPing,
+  dbGetUserWithHistory,
+  dbCheckIn,
+  dbListDangerZones,
+  dbListSos,
+  dbGetSos,
+  dbInsertSos,
+  dbToggleSosActor,
+  dbToggleSosResolved,
+  dbSaveSosEscalation,
+  dbSaveSosDispatch,
+  dbListSosIncidents,
+  dbListSosTimeline,
+  dbInsertSosTimeline,
+  dbListSosMessages,
+  dbInsertSosMessage,
+  dbSaveSosIncident,
+  dbDeleteSosIncident,
+  dbListThreats,
+  dbInsertThreat,
+  dbListZoneMarkers,
+  dbInsertZoneMarker,
+  dbListZones,
+  dbGetZone,
+  dbSaveZone,
+  dbGetPrivateChannel,
+  dbSavePrivateChannel,
+  dbListCamps,
+  dbGetCamp,
+  dbUpsertCamp,
+  dbListCampLedger,
+  dbInsertCampLedgerEntry,
+  dbListCampStays,
+  dbSaveCampStay,
+  dbListSupplyRequests,
+  dbGetSupplyRequest,
+  dbSaveSupplyRequest,
+  dbListSupplyOffers,
+  dbGetSupplyOffer,
+  dbSaveSupplyOffer,
+  dbListSupplyTransfers,
+  dbGetSupplyTransfer,
+  dbSaveSupplyTransfer,
+  dbListZoneMessages,
+  dbGetZoneMessage,
+  dbListZoneThread,
+  dbListZoneMessagesPage,
+  dbGetUserToken,
+  dbInsertUserToken,
+  dbListZoneReads,
+  dbSaveZoneRead,
+  dbCountZoneUnread,
+  dbSearchZoneMessages,
+  dbCountZoneReplies,
+  dbInsertZoneMessage,
+  dbListDirectMessages,
+  dbListDmConversations,
+  dbInsertDirectMessage,
+  dbMarkDirectMessagesRead,
+  dbUpdateZoneMessage,
+  dbGetZonePinned,
+  dbSetZonePinned,
+  dbListZoneReactions,
+  dbToggleZoneReaction
+} from "../db.js";
+
+export function createSupabaseStorage() {
+  return {
+    kind: "supabase",
+
+    ping: () => dbPing(),
+    getUser: (userId) => dbGetUserWithHistory(userId),
+    checkIn: (payload) => dbCheckIn(payload),
+    listDangerZones: (limit = 200) => dbListDangerZones(limit),
+
+    listSos: (limit = 200) => dbListSos(limit),
+    getSos: (sosId) => dbGetSos(sosId),
+    insertSos: (alert) => dbInsertSos(alert),
+
+    async toggleSosActor(sosId, role, actor) {
+      if (!(await dbGetSos(sosId))) return null;
+      const { on } = await dbToggleSosActor(sosId, role, actor || {});
+      return { sos: await dbGetSos(sosId), on };
+    },
+
+    async saveSosEscalation(sosId, escalation) {
+      if (!(await dbGetSos(sosId))) return null;
+      await dbSaveSosEscalation(sosId, escalation);
+      return dbGetSos(sosId);
+    },
+
+    async saveSosDispatch(sosId, dispatch) {
+      if (!(await dbGetSos(sosId))) return null;
+      await dbSaveSosDispatch(sosId, dispatch);
+      return dbGetSos(sosId);
+    },
+
+    listSosTimeline: (sosId) => dbListSosTimeline(sosId),
+    insertSosTimeline: (entry) => dbInsertSosTimeline(entry),
+    listSosMessages: (sosId, limit = 200) => dbListSosMessages(sosId, limit),
+    insertSosMessage: (message) => dbInsertSosMessage(message),
+    listSosIncidents: (limit = 200) => dbListSosIncidents(limit),
+    saveSosIncident: (incident) => dbSaveSosIncident(incident),
+    deleteSosIncident: (incidentId) => dbDeleteSosIncident(incidentId),
+
+    async toggleSosResolved(sosId, actor) {
+      if (!(await dbGetSos(sosId))) return null;
+      const { resolved } = await dbToggleSosResolved(sosId, actor || {});
+      return { sos: await dbGetSos(sosId), resolved };
+    },
+
+    listThreats: (limit = 200) => dbListThreats(limit),
+    insertThreat: (threat) => dbInsertThreat(threat),
+
+    listZoneMarkers: (limit = 200) => dbListZoneMarkers(limit),
+    insertZoneMarker: (marker) => dbInsertZoneMarker(marker),
+
+    listZones: (options) => dbListZones(options),
+    getZone: (zoneId) => dbGetZone(zoneId),
+    saveZone: (zone) => dbSaveZone(zone),
+    getPrivateChannel: (channelId) => dbGetPrivateChannel(channelId),
+    savePrivateChannel: (channel) => dbSavePrivateChannel(channel),
+
+    listCamps: (options) => dbListCamps(options),
+    getCamp: (campId) => dbGetCamp(campId),
+    insertCamp: (camp) => dbUpsertCamp(camp),
+    saveCamp: (camp) => dbUpsertCamp(camp),
+    listCampLedger: (options) => dbListCampLedger(options),
+    insertCampLedgerEntry: (entry) => dbInsertCampLedgerEntry(entry),
+    listCampStays: (options) => dbListCampStays(options),
+    saveCampStay: (stay) => dbSaveCampStay(stay),
+
+    listSupplyRequests: (options) => dbListSupplyRequests(options),
+    getSupplyRequest: (id) => dbGetSupplyRequest(id),
+    saveSupplyRequest: (request) => dbSaveSupplyRequest(request),
+    listSupplyOffers: (options) => dbListSupplyOffers(options),
+    getSupplyOffer: (id) => dbGetSupplyOffer(id),
+    saveSupplyOffer: (offer) => dbSaveSupplyOffer(offer),
+    listSupplyTransfers: (options) => dbListSupplyTransfers(options),
+    getSupplyTransfer: (id) => dbGetSupplyTransfer(id),
+    saveSupplyTransfer: (transfer) => dbSaveSupplyTransfer(transfer),
+
+    listZoneMessages: (zoneId, limit = 80) => dbListZoneMessages(zoneId, limit),
+    getZoneMessage: (zoneId, messageId) => dbGetZoneMessage(zoneId, messageId),
+    listZoneMessagesPage: (zoneId, options) => dbListZoneMessagesPage(zoneId, options),
+    searchZoneMessages: (zoneId, search) => dbSearchZoneMessages(zoneId, search),
+    listZoneThread: (zoneId, threadId, limit = 200) => dbListZoneThread(zoneId, threadId, limit),
+    countZoneReplies: (zoneId, messageIds) => dbCountZoneReplies(zoneId, messageIds),
+    insertZoneMessage: (msg) => dbInsertZoneMessage(msg),
+
+    getUserToken: (userId) => dbGetUserToken(userId),
+    insertUserToken: (record) => dbInsertUserToken(record),
+
+    listDirectMessages: (userId, withUserId, limit = 100) => dbListDirectMessages(userId, withUserId, limit),
+    listDmConversations: (userId) => dbListDmConversations(userId),
+    insertDirectMessage: (dm) => dbInsertDirectMessage(dm),
+    markDirectMessagesRead: (userId, withUserId, at) => dbMarkDirectMessagesRead(userId, withUserId, at),
+    listZoneReads: (filter) => dbListZoneReads(filter),
+    saveZoneRead: (read) => dbSaveZoneRead(read),
+    countZoneUnread: (zoneId, userId, marker) => dbCountZoneUnread(zoneId, userId, marker),
+    updateZoneMessage: (msg) => dbUpdateZoneMessage(msg),
+    getZonePinned: (zoneId) => dbGetZonePinned(zoneId),
+    setZonePinned: (zoneId, pinned) => dbSetZonePinned(zoneId, pinned),
+    listZoneReactions: (zoneId, messageIds) => dbListZoneReactions(zoneId, messageIds),
+    toggleZoneReaction: (zoneId, messageId, userId, reaction) =>
+      dbToggleZoneReaction(zoneId, messageId, userId, reaction)
+  };
+}
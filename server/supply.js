@@ -0,0 +1,156 @@
+import { actorOf } from "./actors.js";
+import { CAMP_RESOURCES } from "./camps.js";
+import { distanceKm } from "./geo.js";
+
+export const SUPPLY_URGENCIES = ["low", "normal", "high", "critical"];
+export const TRANSFER_STATUSES = ["accepted", "in_transit", "delivered", "cancelled"];
+
+// Quantities are resource percentage points, the same unit as camp levels.
+function normalizeQuantity(value) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n) || n <= 0 || n > 100) throw new Error("quantity must be between 1 and 100");
+  return n;
+}
+
+function normalizeResource(value) {
+  const r = String(value || "").toLowerCase();
+  if (!CAMP_RESOURCES.includes(r)) throw new Error(`resource must be one of: ${CAMP_RESOURCES.join(", ")}`);
+  return r;
+}
+
+function normalizeCampId(value) {
+  const id = String(value || "").trim();
+  if (!id) throw new Error("campId is required");
+  return id;
+}
+
+function createPosting(kind, payload, makeId) {
+  const now = new Date().toISOString();
+  const quantity = normalizeQuantity(payload?.quantity);
+  return {
+    id: `${kind}-${makeId()}`,
+    campId: normalizeCampId(payload?.campId),
+    resource: normalizeResource(payload?.resource),
+    quantity,
+    // what is still unclaimed by accepted transfers
+    remaining: quantity,
+    note: String(payload?.note || "").trim().slice(0, 180) || null,
+    status: "open",
+    createdBy: actorOf(payload),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+export function createSupplyRequest(payload, makeId) {
+  const urgency = String(payload?.urgency || "normal").toLowerCase();
+  if (!SUPPLY_URGENCIES.includes(urgency)) {
+    throw new Error(`urgency must be one of: ${SUPPLY_URGENCIES.join(", ")}`);
+  }
+  return { ...createPosting("req", payload, makeId), urgency };
+}
+
+export function createSupplyOffer(payload, makeId) {
+  return createPosting("offer", payload, makeId);
+}
+
+export function cancelPosting(posting) {
+  return { ...posting, status: "cancelled", updatedAt: new Date().toISOString() };
+}
+
+// Moves `amount` between a posting's remaining quantity and its transfers;
+// negative amounts give quantity back (a cancelled transfer).
+export function claimPosting(posting, amount) {
+  const remaining = Math.max(0, Math.min(posting.quantity, posting.remaining - amount));
+  let status = posting.status;
+  if (status !== "cancelled") status = remaining > 0 ? "open" : "matched";
+  return { ...posting, remaining, status, updatedAt: new Date().toISOString() };
+}
+
+// One point of donor surplus is worth this many km of extra travel when
+// ranking matches.
+const KM_PER_SURPLUS_POINT = 0.1;
+
+// Open offers that could serve `request`, best first. Surplus is what the
+// donor camp would still hold after sending the proposed quantity.
+export function proposeMatches(request, offers, campsById) {
+  const to = campsById.get(request.campId);
+  if (!to || request.status !== "open" || request.remaining <= 0) return [];
+
+  const matches = [];
+  for (const offer of offers) {
+    if (offer.status !== "open" || offer.remaining <= 0) continue;
+    if (offer.resource !== request.resource || offer.campId === request.campId) continue;
+    const from = campsById.get(offer.campId);
+    if (!from || from.retiredAt) continue;
+
+    const quantity = Math.min(offer.remaining, request.remaining);
+    const surplus = Number(from.resources?.[offer.resource] ?? 0) - quantity;
+    if (surplus < 0) continue;
+    const km = distanceKm(from.location, to.location);
+    if (km === null) continue;
+    matches.push({
+      requestId: request.id,
+      offerId: offer.id,
+      fromCampId: from.id,
+      fromCampName: from.name,
+      toCampId: to.id,
+      resource: request.resource,
+      quantity,
+      distanceKm: Math.round(km * 10) / 10,
+      surplus,
+      score: Math.round((km - surplus * KM_PER_SURPLUS_POINT) * 100) / 100
+    });
+  }
+  return matches.sort((a, b) => a.score - b.score);
+}
+
+export function createTransfer(request, offer, quantity, actor, makeId) {
+  const max = Math.min(request.remaining, offer.remaining);
+  const q = quantity === undefined || quantity === null ? max : normalizeQuantity(quantity);
+  if (q > max) throw new Error(`quantity exceeds what is available (${max})`);
+  const now = new Date().toISOString();
+  return {
+    id: `xfer-${makeId()}`,
+    requestId: request.id,
+    offerId: offer.id,
+    fromCampId: offer.campId,
+    toCampId: request.campId,
+    resource: request.resource,
+    quantity: q,
+    status: "accepted",
+    history: [{ status: "accepted", ...actorOf(actor), at: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Both camps must still be active and the donor must hold the quantity,
+// both when the match is accepted and again when the stock moves.
+export function checkTransferCamps({ resource, quantity }, from, to) {
+  if (!from || from.retiredAt) throw new Error("Donor camp is not active");
+  if (!to || to.retiredAt) throw new Error("Receiving camp is not active");
+  const held = Number(from.resources?.[resource] ?? 0);
+  if (held < quantity) throw new Error(`${from.name} only holds ${held} ${resource}`);
+}
+
+const TRANSFER_NEXT = {
+  dispatch: { from: ["accepted"], to: "in_transit" },
+  deliver: { from: ["accepted", "in_transit"], to: "delivered" },
+  cancel: { from: ["accepted", "in_transit"], to: "cancelled" }
+};
+
+export function advanceTransfer(transfer, action, actor) {
+  const step = TRANSFER_NEXT[action];
+  if (!step) throw new Error(`action must be one of: ${Object.keys(TRANSFER_NEXT).join(", ")}`);
+  if (!step.from.includes(transfer.status)) {
+    throw new Error(`Cannot ${action} a transfer that is ${transfer.status}`);
+  }
+  const now = new Date().toISOString();
+  return {
+    ...transfer,
+    status: step.to,
+    history: [...(transfer.history || []), { status: step.to, ...actorOf(actor), at: now }],
+    updatedAt: now
+  };
+}
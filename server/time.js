@@ -23,3 +23,10 @@ export function isOlderThanYesterdayDayKey(lastDayKey, now) {
   // Any day key that is not today or yesterday counts as broken streak.
   return lastDayKey !== todayKey && lastDayKey !== yesterdayKey;
 }
+
+// A Date from a stored ISO string, or null when missing or unparseable.
+export function reviveDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
@@ -0,0 +1,73 @@
+import { distanceKm } from "./geo.js";
+
+// Points per factor. Severity dominates; a long wait or a crowd can lift a
+// medium alert above a fresh high one.
+export const SEVERITY_POINTS = { critical: 40, high: 28, medium: 16, low: 6 };
+export const CATEGORY_POINTS = { medical: 20, evac: 16, threat: 12, lost: 10, general: 6, supplies: 4 };
+const WAIT_POINTS_MAX = 20; // reached after an hour
+const PEOPLE_POINTS_EACH = 3;
+const PEOPLE_POINTS_MAX = 15;
+const HAZARD_POINTS_MAX = 15;
+const HAZARD_RANGE_M = 1000;
+const MAX_PEOPLE = 500;
+
+export function normalizePeopleCount(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(MAX_PEOPLE, n);
+}
+
+// Known hazards as points with a radius: threat reports, "danger" zone
+// markers and the last-seen spots of missing survivors.
+export function collectHazards({ threats = [], zoneMarkers = [], dangerZones = [] }) {
+  const hazards = [];
+  for (const t of threats) {
+    if (t.location) hazards.push({ kind: "threat", id: t.id, label: t.label, location: t.location, radiusM: 0 });
+  }
+  for (const m of zoneMarkers) {
+    if (m.kind === "danger" && m.location) {
+      hazards.push({ kind: "danger_marker", id: m.id, label: m.label, location: m.location, radiusM: m.radiusM || 0 });
+    }
+  }
+  for (const z of dangerZones) {
+    if (z.location) hazards.push({ kind: "missing", id: z.id, label: `Missing: ${z.name}`, location: z.location, radiusM: 0 });
+  }
+  return hazards;
+}
+
+// Distance to the edge of the closest hazard (0 inside one).
+function nearestHazard(location, hazards) {
+  if (!location) return null;
+  let best = null;
+  for (const h of hazards) {
+    const distanceM = Math.max(0, Math.round(distanceKm(location, h.location) * 1000) - h.radiusM);
+    if (!best || distanceM < best.distanceM) best = { kind: h.kind, id: h.id, label: h.label, distanceM };
+  }
+  return best;
+}
+
+export function triageScore(alert, hazards, now = new Date()) {
+  const waitingMinutes = Math.max(0, Math.floor((now.getTime() - Date.parse(alert.createdAt)) / 60_000));
+  const hazard = nearestHazard(alert.location, hazards);
+  const people = normalizePeopleCount(alert.peopleCount);
+  const factors = {
+    severity: SEVERITY_POINTS[alert.severity] ?? SEVERITY_POINTS.high,
+    category: CATEGORY_POINTS[alert.category] ?? CATEGORY_POINTS.general,
+    waiting: Math.round(Math.min(WAIT_POINTS_MAX, waitingMinutes / 3) * 10) / 10,
+    people: Math.min(PEOPLE_POINTS_MAX, (people - 1) * PEOPLE_POINTS_EACH),
+    hazard:
+      hazard && hazard.distanceM < HAZARD_RANGE_M
+        ? Math.round(HAZARD_POINTS_MAX * (1 - hazard.distanceM / HAZARD_RANGE_M) * 10) / 10
+        : 0
+  };
+  const score = Math.round(Object.values(factors).reduce((sum, n) => sum + n, 0) * 10) / 10;
+  return { score, factors, waitingMinutes, peopleCount: people, nearestHazard: hazard };
+}
+
+// Open alerts, highest score first; ties go to the longest wait.
+export function triageQueue(alerts, hazards, now = new Date()) {
+  return alerts
+    .filter((a) => a.status === "open" && !a.resolvedAt)
+    .map((a) => ({ ...a, triage: triageScore(a, hazards, now) }))
+    .sort((a, b) => b.triage.score - a.triage.score || Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
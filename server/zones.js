@@ -0,0 +1,65 @@
+import { geometryBboxArea, geometryContains, normalizeBoundary } from "./geo.js";
+
+function normalizeZoneName(value) {
+  const name = String(value || "").trim().slice(0, 80);
+  if (!name) throw new Error("Zone name is required");
+  return name;
+}
+
+function normalizeDescription(value) {
+  return String(value || "").trim().slice(0, 500) || null;
+}
+
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+// Zone ids double as chat room names, so they stay short readable slugs.
+export function createZone(payload, makeId) {
+  const { id, name, description, boundary } = payload || {};
+  const zoneName = normalizeZoneName(name);
+  const now = new Date().toISOString();
+  return {
+    id: slugify(id) || slugify(zoneName) || `zone-${makeId()}`,
+    name: zoneName,
+    description: normalizeDescription(description),
+    boundary: normalizeBoundary(boundary),
+    createdAt: now,
+    updatedAt: now,
+    retiredAt: null
+  };
+}
+
+export function applyZonePatch(zone, patch) {
+  const next = { ...zone };
+  if (patch?.name !== undefined) next.name = normalizeZoneName(patch.name);
+  if (patch?.description !== undefined) next.description = normalizeDescription(patch.description);
+  if (patch?.boundary !== undefined) next.boundary = normalizeBoundary(patch.boundary);
+  next.updatedAt = new Date().toISOString();
+  return next;
+}
+
+export function retireZone(zone) {
+  const now = new Date().toISOString();
+  return { ...zone, retiredAt: zone.retiredAt || now, updatedAt: now };
+}
+
+// The active zone whose boundary contains `location`; the smallest wins when
+// zones overlap, so a district inside a wider sector resolves to the district.
+export function resolveZoneAt(zones, location) {
+  let best = null;
+  let bestArea = Infinity;
+  for (const zone of zones) {
+    if (zone.retiredAt || !geometryContains(zone.boundary, location)) continue;
+    const area = geometryBboxArea(zone.boundary);
+    if (area < bestArea) {
+      best = zone;
+      bestArea = area;
+    }
+  }
+  return best;
+}
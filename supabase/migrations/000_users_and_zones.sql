@@ -0,0 +1,31 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: base users + zones tables (everything else builds on these)
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+create extension if not exists pgcrypto;
+
+-- Survivors (ids are generated client-side)
+create table if not exists public.users (
+  id text primary key,
+  name varchar(60) not null default 'Unknown Survivor',
+  status text not null default 'unknown',
+  created_at timestamptz not null default now()
+);
+
+-- Zone chat channels
+create table if not exists public.zones (
+  id text primary key,
+  name varchar(80) not null,
+  created_at timestamptz not null default now()
+);
+
+insert into public.zones (id, name) values
+  ('castle-byers', 'Castle Byers'),
+  ('starcourt-ruins', 'Starcourt Ruins'),
+  ('pumpkin-fields', 'Rotten Pumpkin Fields'),
+  ('creel-house', 'Creel House Perimeter')
+on conflict (id) do nothing;
+
+commit;
@@ -0,0 +1,50 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: persist zone chat, pinned commander broadcasts and reactions
+-- Run in Supabase SQL editor.
+
+begin;
+
+-- Zone chat messages (ids are generated by the server)
+create table if not exists public.zone_messages (
+  id text primary key,
+  zone_id text not null,
+  user_id text null,
+  name varchar(60) not null,
+  kind text not null default 'info',
+  text varchar(600) not null default '',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists zone_messages_zone_time_idx
+  on public.zone_messages(zone_id, created_at desc);
+
+-- Pinned commander broadcast (at most one per zone)
+create table if not exists public.zone_pins (
+  zone_id text primary key,
+  id text not null,
+  message_id text not null references public.zone_messages(id) on delete cascade,
+  kind text not null default 'info',
+  text varchar(600) not null default '',
+  from_user_id text null,
+  from_name varchar(60) null,
+  pinned_by_user_id text null,
+  pinned_by_name varchar(60) null,
+  created_at timestamptz not null,
+  pinned_at timestamptz not null default now()
+);
+
+-- Confirm/dispute reactions (one per user per message)
+create table if not exists public.zone_reactions (
+  id uuid primary key default gen_random_uuid(),
+  zone_id text not null,
+  message_id text not null references public.zone_messages(id) on delete cascade,
+  user_id text not null,
+  reaction text not null check (reaction in ('confirm', 'dispute')),
+  at timestamptz not null default now(),
+  unique (message_id, user_id)
+);
+
+create index if not exists zone_reactions_zone_message_idx
+  on public.zone_reactions(zone_id, message_id);
+
+commit;
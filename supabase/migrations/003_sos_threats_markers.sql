@@ -0,0 +1,83 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: SOS alerts + actors, threat markers, zone markers
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- Global SOS stream (ids are generated by the server)
+create table if not exists public.sos_alerts (
+  id text primary key,
+  user_id text null,
+  name varchar(60) not null,
+  message varchar(400) not null default '',
+  severity text not null default 'high'
+    check (severity in ('low', 'medium', 'high', 'critical')),
+  category text not null default 'general'
+    check (category in ('medical', 'evac', 'supplies', 'threat', 'lost', 'general')),
+  zone_id text null,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  lat double precision null,
+  lng double precision null,
+  resolved_at timestamptz null,
+  resolved_by_user_id text null,
+  resolved_by_name varchar(60) null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sos_alerts_time_idx
+  on public.sos_alerts(created_at desc);
+
+create index if not exists sos_alerts_open_idx
+  on public.sos_alerts(created_at desc) where status = 'open';
+
+-- Acknowledgements and responders (one row per user per role per alert)
+create table if not exists public.sos_actors (
+  id uuid primary key default gen_random_uuid(),
+  sos_id text not null references public.sos_alerts(id) on delete cascade,
+  role text not null check (role in ('ack', 'responder')),
+  user_id text not null,
+  name varchar(60) not null,
+  at timestamptz not null default now(),
+  unique (sos_id, role, user_id)
+);
+
+create index if not exists sos_actors_sos_idx
+  on public.sos_actors(sos_id, at desc);
+
+-- Threat markers (manual reports + stealth-radar detections)
+create table if not exists public.threats (
+  id text primary key,
+  user_id text null,
+  name varchar(60) not null,
+  label varchar(120) not null,
+  severity text not null default 'medium' check (severity in ('low', 'medium', 'high')),
+  confidence double precision null,
+  source varchar(40) null,
+  amplitude double precision null,
+  baseline double precision null,
+  lat double precision null,
+  lng double precision null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists threats_time_idx
+  on public.threats(created_at desc);
+
+-- Survivor-placed map markers
+create table if not exists public.zone_markers (
+  id text primary key,
+  kind text not null default 'rally'
+    check (kind in ('safe', 'danger', 'resource', 'rally', 'blocked')),
+  label varchar(80) not null,
+  radius_m integer not null default 250 check (radius_m between 30 and 2000),
+  user_id text null,
+  name varchar(60) not null,
+  lat double precision not null,
+  lng double precision not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists zone_markers_time_idx
+  on public.zone_markers(created_at desc);
+
+commit;
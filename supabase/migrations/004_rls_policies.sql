@@ -0,0 +1,58 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: row level security
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+--
+-- The server writes with the service role key, which bypasses RLS. Browsers
+-- holding the anon key may read the shared coordination feeds; survivor
+-- records (users, check-ins, danger zones) carry GPS history and stay
+-- server-only. A server running on the anon key is read-only once this is
+-- applied; set SUPABASE_SERVICE_ROLE_KEY.
+
+begin;
+
+alter table public.users enable row level security;
+alter table public.zones enable row level security;
+alter table public.checkins enable row level security;
+alter table public.danger_zones enable row level security;
+alter table public.zone_messages enable row level security;
+alter table public.zone_pins enable row level security;
+alter table public.zone_reactions enable row level security;
+alter table public.sos_alerts enable row level security;
+alter table public.sos_actors enable row level security;
+alter table public.threats enable row level security;
+alter table public.zone_markers enable row level security;
+
+-- Postgres has no `create policy if not exists`; drop first so reruns are safe.
+drop policy if exists zones_read on public.zones;
+create policy zones_read on public.zones
+  for select to anon, authenticated using (true);
+
+drop policy if exists zone_messages_read on public.zone_messages;
+create policy zone_messages_read on public.zone_messages
+  for select to anon, authenticated using (true);
+
+drop policy if exists zone_pins_read on public.zone_pins;
+create policy zone_pins_read on public.zone_pins
+  for select to anon, authenticated using (true);
+
+drop policy if exists zone_reactions_read on public.zone_reactions;
+create policy zone_reactions_read on public.zone_reactions
+  for select to anon, authenticated using (true);
+
+drop policy if exists sos_alerts_read on public.sos_alerts;
+create policy sos_alerts_read on public.sos_alerts
+  for select to anon, authenticated using (true);
+
+drop policy if exists sos_actors_read on public.sos_actors;
+create policy sos_actors_read on public.sos_actors
+  for select to anon, authenticated using (true);
+
+drop policy if exists threats_read on public.threats;
+create policy threats_read on public.threats
+  for select to anon, authenticated using (true);
+
+drop policy if exists zone_markers_read on public.zone_markers;
+create policy zone_markers_read on public.zone_markers
+  for select to anon, authenticated using (true);
+
+commit;
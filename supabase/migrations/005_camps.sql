@@ -0,0 +1,40 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: relief camps managed by coordinators
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+create table if not exists public.camps (
+  id text primary key,
+  name varchar(80) not null,
+  status text not null default 'safe'
+    check (status in ('safe', 'watch', 'critical', 'closed')),
+  lat double precision not null,
+  lng double precision not null,
+  -- percentage per resource: { food, water, medical, power }
+  resources jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- retired camps are kept for history but hidden from the map
+  retired_at timestamptz null
+);
+
+create index if not exists camps_active_idx
+  on public.camps(created_at) where retired_at is null;
+
+insert into public.camps (id, name, status, lat, lng, resources) values
+  ('camp-hawkins-high', 'Hawkins High Gym Relief Camp', 'safe', 40.134, -85.668,
+    '{"food": 72, "water": 81, "medical": 34, "power": 62}'),
+  ('camp-forest-line', 'Forest Line Safe Camp', 'watch', 40.12, -85.64,
+    '{"food": 41, "water": 57, "medical": 18, "power": 39}'),
+  ('camp-quarry', 'Old Quarry Outpost', 'critical', 40.155, -85.705,
+    '{"food": 19, "water": 23, "medical": 7, "power": 21}')
+on conflict (id) do nothing;
+
+alter table public.camps enable row level security;
+
+drop policy if exists camps_read on public.camps;
+create policy camps_read on public.camps
+  for select to anon, authenticated using (true);
+
+commit;
@@ -0,0 +1,37 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: per-camp resource ledger (deliveries, consumption, stock counts)
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+create table if not exists public.camp_ledger (
+  id text primary key,
+  camp_id text not null references public.camps(id) on delete cascade,
+  resource text not null
+    check (resource in ('food', 'water', 'medical', 'power')),
+  kind text not null
+    check (kind in ('delivery', 'consumption', 'count')),
+  amount integer not null check (amount >= 0),
+  -- level change this entry caused, and the level it left behind (percent)
+  delta integer not null,
+  level_after integer not null check (level_after between 0 and 100),
+  note varchar(180) null,
+  user_id text null,
+  name varchar(60) not null default 'Unknown Survivor',
+  at timestamptz not null default now()
+);
+
+create index if not exists camp_ledger_camp_at_idx
+  on public.camp_ledger(camp_id, at desc);
+
+-- Camp status now follows resource levels; bring the seeded camp in line.
+update public.camps set status = 'critical'
+  where id = 'camp-forest-line' and status = 'watch';
+
+alter table public.camp_ledger enable row level security;
+
+drop policy if exists camp_ledger_read on public.camp_ledger;
+create policy camp_ledger_read on public.camp_ledger
+  for select to anon, authenticated using (true);
+
+commit;
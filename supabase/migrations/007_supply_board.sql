@@ -0,0 +1,84 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: inter-camp supply requests, offers and transfers
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- quantities are resource percentage points, like camp levels
+create table if not exists public.supply_requests (
+  id text primary key,
+  camp_id text not null references public.camps(id) on delete cascade,
+  resource text not null
+    check (resource in ('food', 'water', 'medical', 'power')),
+  quantity integer not null check (quantity between 1 and 100),
+  remaining integer not null check (remaining >= 0),
+  urgency text not null default 'normal'
+    check (urgency in ('low', 'normal', 'high', 'critical')),
+  note varchar(180) null,
+  status text not null default 'open'
+    check (status in ('open', 'matched', 'fulfilled', 'cancelled')),
+  created_by_user_id text null,
+  created_by_name varchar(60) null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.supply_offers (
+  id text primary key,
+  camp_id text not null references public.camps(id) on delete cascade,
+  resource text not null
+    check (resource in ('food', 'water', 'medical', 'power')),
+  quantity integer not null check (quantity between 1 and 100),
+  remaining integer not null check (remaining >= 0),
+  note varchar(180) null,
+  status text not null default 'open'
+    check (status in ('open', 'matched', 'fulfilled', 'cancelled')),
+  created_by_user_id text null,
+  created_by_name varchar(60) null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.supply_transfers (
+  id text primary key,
+  request_id text not null references public.supply_requests(id) on delete cascade,
+  offer_id text not null references public.supply_offers(id) on delete cascade,
+  from_camp_id text not null references public.camps(id) on delete cascade,
+  to_camp_id text not null references public.camps(id) on delete cascade,
+  resource text not null
+    check (resource in ('food', 'water', 'medical', 'power')),
+  quantity integer not null check (quantity between 1 and 100),
+  status text not null default 'accepted'
+    check (status in ('accepted', 'in_transit', 'delivered', 'cancelled')),
+  -- [{ status, userId, name, at }]
+  history jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists supply_requests_status_idx
+  on public.supply_requests(status, created_at desc);
+create index if not exists supply_offers_status_idx
+  on public.supply_offers(status, created_at desc);
+create index if not exists supply_transfers_status_idx
+  on public.supply_transfers(status, created_at desc);
+create index if not exists supply_transfers_request_idx
+  on public.supply_transfers(request_id);
+
+alter table public.supply_requests enable row level security;
+alter table public.supply_offers enable row level security;
+alter table public.supply_transfers enable row level security;
+
+drop policy if exists supply_requests_read on public.supply_requests;
+create policy supply_requests_read on public.supply_requests
+  for select to anon, authenticated using (true);
+
+drop policy if exists supply_offers_read on public.supply_offers;
+create policy supply_offers_read on public.supply_offers
+  for select to anon, authenticated using (true);
+
+drop policy if exists supply_transfers_read on public.supply_transfers;
+create policy supply_transfers_read on public.supply_transfers
+  for select to anon, authenticated using (true);
+
+commit;
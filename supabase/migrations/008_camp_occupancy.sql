@@ -0,0 +1,32 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: camp capacity and survivor arrivals/departures
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+alter table public.camps
+  add column if not exists capacity integer not null default 50 check (capacity > 0);
+
+update public.camps set capacity = 120 where id = 'camp-hawkins-high' and capacity = 50;
+update public.camps set capacity = 60 where id = 'camp-forest-line' and capacity = 50;
+update public.camps set capacity = 25 where id = 'camp-quarry' and capacity = 50;
+
+-- One row per stay; a survivor has at most one open stay (departed_at null).
+create table if not exists public.camp_stays (
+  id text primary key,
+  camp_id text not null references public.camps(id) on delete cascade,
+  user_id text not null,
+  name varchar(60) not null default 'Unknown Survivor',
+  arrived_at timestamptz not null default now(),
+  departed_at timestamptz null
+);
+
+create unique index if not exists camp_stays_one_open_per_user
+  on public.camp_stays(user_id) where departed_at is null;
+create index if not exists camp_stays_camp_open_idx
+  on public.camp_stays(camp_id) where departed_at is null;
+
+-- Who is where is personal data: server-only, like users and checkins.
+alter table public.camp_stays enable row level security;
+
+commit;
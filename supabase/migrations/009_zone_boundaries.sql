@@ -0,0 +1,35 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: zones become managed records with GeoJSON boundaries
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+alter table public.zones add column if not exists description varchar(500) null;
+-- GeoJSON Polygon or MultiPolygon geometry; positions are [lng, lat]
+alter table public.zones add column if not exists boundary jsonb null;
+alter table public.zones add column if not exists updated_at timestamptz not null default now();
+-- retired zones keep their chat history but leave the map and channel list
+alter table public.zones add column if not exists retired_at timestamptz null;
+
+create index if not exists zones_active_idx
+  on public.zones(created_at) where retired_at is null;
+
+-- Boundaries for the four seed sectors (they tile the area around the camps).
+update public.zones set
+  description = 'North-west woods and the old quarry road',
+  boundary = '{"type": "Polygon", "coordinates": [[[-85.72, 40.135], [-85.67, 40.135], [-85.67, 40.17], [-85.72, 40.17], [-85.72, 40.135]]]}'
+  where id = 'castle-byers' and boundary is null;
+update public.zones set
+  description = 'North-east, around the collapsed mall',
+  boundary = '{"type": "Polygon", "coordinates": [[[-85.67, 40.135], [-85.62, 40.135], [-85.62, 40.17], [-85.67, 40.17], [-85.67, 40.135]]]}'
+  where id = 'starcourt-ruins' and boundary is null;
+update public.zones set
+  description = 'South-west farmland',
+  boundary = '{"type": "Polygon", "coordinates": [[[-85.72, 40.1], [-85.67, 40.1], [-85.67, 40.135], [-85.72, 40.135], [-85.72, 40.1]]]}'
+  where id = 'pumpkin-fields' and boundary is null;
+update public.zones set
+  description = 'South-east, from the high school to the forest line',
+  boundary = '{"type": "Polygon", "coordinates": [[[-85.67, 40.1], [-85.62, 40.1], [-85.62, 40.135], [-85.67, 40.135], [-85.67, 40.1]]]}'
+  where id = 'creel-house' and boundary is null;
+
+commit;
@@ -0,0 +1,43 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: passphrase/invite-protected private channels
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- Chat for these channels lives in zone_messages under the channel id
+-- ('freq-…'). Only verifiers are stored: a scrypt hash of the passphrase,
+-- hashed invite secrets, and (for encrypted channels) wrapped message keys.
+create table if not exists public.private_channels (
+  id text primary key check (id like 'freq-%'),
+  name varchar(40) not null,
+  encrypted boolean not null default false,
+  pass_salt text not null,
+  pass_hash text not null,
+  key_salt text not null,
+  invites jsonb not null default '[]'::jsonb,
+  created_by text null,
+  created_at timestamptz not null default now()
+);
+
+-- Server-only; no read policy.
+alter table public.private_channels enable row level security;
+
+-- Sealed text (`enc:v1:…`) runs longer than the 600-character plaintext
+-- limit; the server still caps what people type.
+alter table public.zone_messages alter column text type text;
+alter table public.zone_pins alter column text type text;
+
+-- The public chat read policies must not expose private channels.
+drop policy if exists zone_messages_read on public.zone_messages;
+create policy zone_messages_read on public.zone_messages
+  for select to anon, authenticated using (zone_id not like 'freq-%');
+
+drop policy if exists zone_pins_read on public.zone_pins;
+create policy zone_pins_read on public.zone_pins
+  for select to anon, authenticated using (zone_id not like 'freq-%');
+
+drop policy if exists zone_reactions_read on public.zone_reactions;
+create policy zone_reactions_read on public.zone_reactions
+  for select to anon, authenticated using (zone_id not like 'freq-%');
+
+commit;
@@ -0,0 +1,17 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: threaded replies in zone chat
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- reply_to is the message answered (for quoting); thread_id is the
+-- top-level message the thread hangs under. Both null for top-level posts.
+alter table public.zone_messages
+  add column if not exists reply_to text null references public.zone_messages(id) on delete set null,
+  add column if not exists thread_id text null references public.zone_messages(id) on delete cascade;
+
+create index if not exists zone_messages_thread_idx
+  on public.zone_messages(zone_id, thread_id, created_at)
+  where thread_id is not null;
+
+commit;
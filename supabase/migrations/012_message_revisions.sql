@@ -0,0 +1,16 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: edited and retracted zone chat messages
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- revisions holds earlier versions, oldest first: [{ text, kind, at, by }].
+-- A retracted message keeps its row as a tombstone: text '' and deleted_at set.
+alter table public.zone_messages
+  add column if not exists edited_at timestamptz null,
+  add column if not exists edited_by jsonb null,
+  add column if not exists revisions jsonb not null default '[]'::jsonb,
+  add column if not exists deleted_at timestamptz null,
+  add column if not exists deleted_by jsonb null;
+
+commit;
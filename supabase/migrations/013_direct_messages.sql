@@ -0,0 +1,31 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: direct survivor-to-survivor messages
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- conversation_id is the two user ids sorted and joined with '|', so both
+-- directions of a conversation share it.
+create table if not exists public.direct_messages (
+  id text primary key,
+  conversation_id text not null,
+  from_user_id text not null,
+  from_name varchar(60) not null default 'Unknown Survivor',
+  to_user_id text not null,
+  to_name varchar(60) null,
+  text varchar(600) not null,
+  created_at timestamptz not null default now(),
+  read_at timestamptz null
+);
+
+create index if not exists direct_messages_conversation_idx
+  on public.direct_messages(conversation_id, created_at desc);
+create index if not exists direct_messages_from_idx
+  on public.direct_messages(from_user_id, created_at desc);
+create index if not exists direct_messages_unread_idx
+  on public.direct_messages(to_user_id, created_at desc) where read_at is null;
+
+-- Private correspondence: server-only, no read policy.
+alter table public.direct_messages enable row level security;
+
+commit;
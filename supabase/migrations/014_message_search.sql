@@ -0,0 +1,17 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: cursor paging and search over zone chat history
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- Cursors order by (created_at, id); the id breaks ties between messages
+-- sent in the same millisecond.
+create index if not exists zone_messages_zone_cursor_idx
+  on public.zone_messages(zone_id, created_at desc, id desc);
+
+-- Cross-zone search ("route reports since yesterday").
+create index if not exists zone_messages_kind_time_idx
+  on public.zone_messages(kind, created_at desc)
+  where deleted_at is null;
+
+commit;
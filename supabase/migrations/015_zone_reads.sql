@@ -0,0 +1,25 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: per-user read markers in zone chat
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- The newest message each survivor has seen per zone. message_at copies
+-- the message's created_at so unread counts need no join.
+create table if not exists public.zone_reads (
+  zone_id text not null,
+  user_id text not null,
+  name varchar(60) not null default 'Unknown Survivor',
+  message_id text not null,
+  message_at timestamptz not null,
+  read_at timestamptz not null default now(),
+  primary key (zone_id, user_id)
+);
+
+create index if not exists zone_reads_user_idx
+  on public.zone_reads(user_id);
+
+-- Served through the API only.
+alter table public.zone_reads enable row level security;
+
+commit;
@@ -0,0 +1,15 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: attachment references on chat messages and SOS alerts
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- Files stay on the server's disk (UPLOAD_DIR); rows only keep references:
+-- [{ id, name, type, size, width, height, url, thumbUrl }].
+alter table public.zone_messages
+  add column if not exists attachments jsonb not null default '[]'::jsonb;
+
+alter table public.sos_alerts
+  add column if not exists attachments jsonb not null default '[]'::jsonb;
+
+commit;
@@ -0,0 +1,13 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: escalation history on SOS alerts
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- escalations: [{ step, at, fromSeverity, toSeverity, reason, notified }],
+-- oldest first. severity always holds the current (possibly bumped) level.
+alter table public.sos_alerts
+  add column if not exists escalated boolean not null default false,
+  add column if not exists escalations jsonb not null default '[]'::jsonb;
+
+commit;
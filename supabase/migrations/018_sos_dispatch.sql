@@ -0,0 +1,12 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: responder dispatch on SOS alerts
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- dispatch: { userId, name, roles, distanceM, etaMinutes, eta, assignedAt,
+-- assignedBy }, or null until a responder is assigned.
+alter table public.sos_alerts
+  add column if not exists dispatch jsonb;
+
+commit;
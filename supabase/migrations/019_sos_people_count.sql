@@ -0,0 +1,11 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: people affected per SOS alert, for the triage queue
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+alter table public.sos_alerts
+  add column if not exists people_count integer not null default 1
+    check (people_count between 1 and 500);
+
+commit;
@@ -0,0 +1,25 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: SOS alerts grouped into incidents
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- An incident lists the alerts reporting the same emergency. Status,
+-- severity and the rest are derived from the member alerts on read.
+create table if not exists public.sos_incidents (
+  id text primary key,
+  sos_ids text[] not null default '{}',
+  auto boolean not null default true,
+  created_by_user_id text,
+  created_by_name varchar(60),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists sos_incidents_updated_idx
+  on public.sos_incidents(updated_at desc);
+
+-- Served through the API only.
+alter table public.sos_incidents enable row level security;
+
+commit;
@@ -0,0 +1,41 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: SOS state-change timeline and follow-up thread
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- One row per state change (created, acked, unacked, taken, untaken,
+-- escalated, dispatched, resolved, reopened). sos_actors only holds the
+-- current state; this keeps what toggling overwrites.
+create table if not exists public.sos_timeline (
+  id text primary key,
+  sos_id text not null references public.sos_alerts(id) on delete cascade,
+  kind text not null check (kind in (
+    'created', 'acked', 'unacked', 'taken', 'untaken', 'escalated', 'dispatched', 'resolved', 'reopened'
+  )),
+  actor_user_id text null,
+  actor_name varchar(60) null,
+  details jsonb null,
+  at timestamptz not null default now()
+);
+
+create index if not exists sos_timeline_sos_idx
+  on public.sos_timeline(sos_id, at);
+
+create table if not exists public.sos_messages (
+  id text primary key,
+  sos_id text not null references public.sos_alerts(id) on delete cascade,
+  user_id text not null,
+  name varchar(60) not null,
+  text varchar(500) not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sos_messages_sos_idx
+  on public.sos_messages(sos_id, created_at desc);
+
+-- Served through the API only.
+alter table public.sos_timeline enable row level security;
+alter table public.sos_messages enable row level security;
+
+commit;
@@ -0,0 +1,18 @@
+-- Maketon / Upside-Down Survivor Network
+-- Migration: per-user identify tokens
+-- Run in Supabase SQL editor, or `npm --prefix server run migrate`.
+
+begin;
+
+-- The first socket to identify as a user id gets a token; only its sha256
+-- is kept. Later sockets must present the token to join the user's room.
+create table if not exists public.user_tokens (
+  user_id text primary key,
+  token_hash text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Server-only; no read policy.
+alter table public.user_tokens enable row level security;
+
+commit;